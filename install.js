@@ -3,75 +3,601 @@
  * claude-export installer
  *
  * Copies slash commands and scripts into the current project so Claude Code
- * can use /export and /export-continue.
+ * can use /export and /export-continue. With --global the commands go into
+ * ~/.claude/commands instead and run one shared copy of the scripts (in
+ * ~/.claude/claude-export) by absolute path, so they work in every project.
+ *
+ * Each install records a manifest: the installed version and the path and
+ * sha256 of every file, plus a copy of each file as installed. `upgrade`
+ * uses them to replace files that are as installed and to ask about ones
+ * changed locally (merging against the installed copy); `uninstall`
+ * removes exactly the recorded files; `status` reports drift.
  *
  * Usage:
- *   node install.js           # install into current project
- *   npx claude-export         # same, via npm
+ *   npx claude-export                  # install into current project (same as `install`)
+ *   npx claude-export upgrade          # update an install to this version
+ *   npx claude-export uninstall        # remove what was installed
+ *   npx claude-export status           # installed version, changed and missing files
+ *   npx claude-export validate <file>  # check handoff file(s) against their schema
+ *   node install.js <command>          # same, from a clone
+ *
+ * Options:
+ *   --global, -g                       # the user-wide install instead of the project's
+ *   --keep | --merge | --overwrite     # for locally changed files (asked when interactive)
+ *   --force                            # uninstall: also remove locally changed files
  */
 
 const fs = require("fs");
 const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
 
 const SRC_DIR = __dirname;
-const TARGET_DIR = process.cwd();
+const VERSION = require("./package.json").version;
+const PROJECT_DIR = process.cwd();
+const HOME_DIR = os.homedir();
+const USER_COMMANDS_DIR = path.join(HOME_DIR, ".claude", "commands");
+const SHARED_DIR = path.join(HOME_DIR, ".claude", "claude-export");
+const MANIFEST_FORMAT = "claude-export-manifest";
+const BASE_FORMAT = "claude-export-base";
 
 const FILES = [
   { src: "scripts/export-chat.js", dst: "scripts/export-chat.js" },
   { src: "scripts/export-continue.js", dst: "scripts/export-continue.js" },
+  { src: "scripts/lib/redact.js", dst: "scripts/lib/redact.js" },
+  { src: "scripts/lib/html.js", dst: "scripts/lib/html.js" },
+  { src: "scripts/lib/jsonl.js", dst: "scripts/lib/jsonl.js" },
+  { src: "scripts/lib/subagents.js", dst: "scripts/lib/subagents.js" },
+  { src: "scripts/lib/branches.js", dst: "scripts/lib/branches.js" },
+  { src: "scripts/lib/compaction.js", dst: "scripts/lib/compaction.js" },
+  { src: "scripts/lib/budget.js", dst: "scripts/lib/budget.js" },
+  { src: "scripts/lib/sessions.js", dst: "scripts/lib/sessions.js" },
+  { src: "scripts/lib/search.js", dst: "scripts/lib/search.js" },
+  { src: "scripts/lib/diffs.js", dst: "scripts/lib/diffs.js" },
+  { src: "scripts/lib/usage.js", dst: "scripts/lib/usage.js" },
+  { src: "scripts/lib/timing.js", dst: "scripts/lib/timing.js" },
+  { src: "scripts/lib/project.js", dst: "scripts/lib/project.js" },
+  { src: "scripts/lib/transcript.js", dst: "scripts/lib/transcript.js" },
+  { src: "scripts/lib/handoff.js", dst: "scripts/lib/handoff.js" },
+  { src: "scripts/lib/index.js", dst: "scripts/lib/index.js" },
+  { src: "scripts/lib/schema.js", dst: "scripts/lib/schema.js" },
+  { src: "scripts/lib/watch.js", dst: "scripts/lib/watch.js" },
+  { src: "scripts/lib/picker.js", dst: "scripts/lib/picker.js" },
+  { src: "scripts/lib/catalog.js", dst: "scripts/lib/catalog.js" },
+  { src: "scripts/lib/config.js", dst: "scripts/lib/config.js" },
+  { src: "scripts/lib/output.js", dst: "scripts/lib/output.js" },
+  { src: "scripts/lib/messages.js", dst: "scripts/lib/messages.js" },
+  { src: "scripts/lib/dataset.js", dst: "scripts/lib/dataset.js" },
+  { src: "scripts/lib/attachments.js", dst: "scripts/lib/attachments.js" },
+  { src: "scripts/lib/slice.js", dst: "scripts/lib/slice.js" },
+  { src: "scripts/lib/cli.js", dst: "scripts/lib/cli.js" },
+  { src: "scripts/lib/schemas/claude-code-handoff-1.0.schema.json", dst: "scripts/lib/schemas/claude-code-handoff-1.0.schema.json" },
+  { src: "scripts/lib/schemas/claude-code-handoff-2.0.schema.json", dst: "scripts/lib/schemas/claude-code-handoff-2.0.schema.json" },
+  { src: "scripts/lib/schemas/claude-code-handoff-2.1.schema.json", dst: "scripts/lib/schemas/claude-code-handoff-2.1.schema.json" },
+  { src: "scripts/lib/schemas/claude-code-handoff-2.2.schema.json", dst: "scripts/lib/schemas/claude-code-handoff-2.2.schema.json" },
+  { src: "scripts/lib/schemas/claude-code-handoff-2.3.schema.json", dst: "scripts/lib/schemas/claude-code-handoff-2.3.schema.json" },
   { src: "commands/export.md", dst: ".claude/commands/export.md" },
   { src: "commands/export-continue.md", dst: ".claude/commands/export-continue.md" },
 ];
 
-function install() {
-  console.log("\n  claude-export installer");
-  console.log("  ======================\n");
-  console.log(`  Installing into: ${TARGET_DIR}\n`);
+const COMMAND_FILES = FILES.filter((f) => f.src.startsWith("commands/")).map((f) => path.basename(f.dst));
+
+// ── Scopes ──────────────────────────────────────────────────────────
+/**
+ * A project install lives under the project root; a global one under the
+ * home directory. Manifest paths are relative to the scope's root.
+ */
+function scopeOf(global) {
+  return global
+    ? {
+      global,
+      root: HOME_DIR,
+      manifestPath: path.join(SHARED_DIR, "manifest.json"),
+      basePath: path.join(SHARED_DIR, "base.json"),
+    }
+    : {
+      global,
+      root: PROJECT_DIR,
+      manifestPath: path.join(PROJECT_DIR, ".claude", "claude-export-manifest.json"),
+      basePath: path.join(PROJECT_DIR, ".claude", "claude-export-base.json"),
+    };
+}
+
+/** How a scope-relative path is shown. */
+function labelOf(scope, rel) {
+  return scope.global ? `~/${rel}` : rel;
+}
+
+/**
+ * Where each file is installed and with what content. A project install
+ * copies files as they are; a global one puts the scripts in SHARED_DIR and
+ * points the commands' `node scripts/...` at them.
+ */
+function planFiles(scope) {
+  const scriptsDir = path.join(SHARED_DIR, "scripts").replace(/\\/g, "/");
+  return FILES.map((file) => {
+    let dstPath = path.join(PROJECT_DIR, file.dst);
+    let content = fs.readFileSync(path.join(SRC_DIR, file.src), "utf8");
+    if (scope.global && file.src.startsWith("commands/")) {
+      dstPath = path.join(USER_COMMANDS_DIR, path.basename(file.dst));
+      content = content.replace(/\bnode scripts\/([\w.-]+)/g, (_, script) => `node "${scriptsDir}/${script}"`);
+    } else if (scope.global) {
+      dstPath = path.join(SHARED_DIR, file.dst);
+    }
+    const rel = path.relative(scope.root, dstPath).replace(/\\/g, "/");
+    return { rel, label: labelOf(scope, rel), dstPath, content };
+  });
+}
+
+// ── Manifest ────────────────────────────────────────────────────────
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function readLocal(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : null;
+}
+
+/**
+ * The scope's manifest: { _format, version, installed_at, updated_at,
+ * files: { <path>: <sha256 as installed, or null if it was already changed
+ * locally when first tracked> } }, or null when there is none.
+ */
+function readManifest(scope) {
+  const text = readLocal(scope.manifestPath);
+  if (text === null) return null;
+  try {
+    const manifest = JSON.parse(text);
+    if (manifest._format !== MANIFEST_FORMAT || !manifest.files) throw new Error("not a claude-export manifest");
+    return manifest;
+  } catch (err) {
+    console.error(`\n  Cannot read ${scope.manifestPath}: ${err.message}\n`);
+    process.exit(1);
+  }
+}
+
+function writeManifest(scope, manifest) {
+  fs.mkdirSync(path.dirname(scope.manifestPath), { recursive: true });
+  fs.writeFileSync(scope.manifestPath, JSON.stringify(manifest, null, 2) + "\n", "utf8");
+}
+
+/**
+ * The text of each file as installed, { <path>: <text> }: the base a locally
+ * changed file is merged against. Empty when missing or unreadable; files
+ * are then overwritten or kept, never merged.
+ */
+function readBases(scope) {
+  try {
+    const data = JSON.parse(fs.readFileSync(scope.basePath, "utf8"));
+    if (data._format === BASE_FORMAT && data.files) return data.files;
+  } catch {}
+  return {};
+}
+
+function writeBases(scope, files) {
+  fs.mkdirSync(path.dirname(scope.basePath), { recursive: true });
+  fs.writeFileSync(scope.basePath, JSON.stringify({ _format: BASE_FORMAT, files }) + "\n", "utf8");
+}
 
-  let installed = 0;
-  let skipped = 0;
+/** Remove `dir` and its parents while empty, up to the scope root or a .claude directory. */
+function removeEmptyDirs(dir, root) {
+  while (dir.startsWith(root + path.sep) && path.basename(dir) !== ".claude" &&
+    fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
 
-  for (const file of FILES) {
-    const srcPath = path.join(SRC_DIR, file.src);
-    const dstPath = path.join(TARGET_DIR, file.dst);
-    const dstDir = path.dirname(dstPath);
+/** Files of an install from before manifests were written. */
+function findUntrackedFiles(scope) {
+  return planFiles(scope).filter((plan) => fs.existsSync(plan.dstPath)).map((plan) => plan.label);
+}
 
-    // Create directories if needed
-    if (!fs.existsSync(dstDir)) {
-      fs.mkdirSync(dstDir, { recursive: true });
+/** Both installs define the same commands; Claude Code then lists each twice. */
+function warnIfInstalledTwice() {
+  const projectCommandsDir = path.join(PROJECT_DIR, ".claude", "commands");
+  const hasCommands = (dir) => COMMAND_FILES.some((name) => fs.existsSync(path.join(dir, name)));
+  if (path.resolve(projectCommandsDir) === path.resolve(USER_COMMANDS_DIR)) return;
+  if (!hasCommands(projectCommandsDir) || !hasCommands(USER_COMMANDS_DIR)) return;
+  console.warn("  Warning: /export and /export-continue are installed both globally");
+  console.warn("  (~/.claude/commands) and in this project (.claude/commands).");
+  console.warn("  Remove one copy so each command is defined once; the project copy uses");
+  console.warn("  this project's scripts/, the global one the shared scripts.");
+  console.warn("");
+}
+
+// ── Locally changed files ───────────────────────────────────────────
+/** Read one line from the terminal; "" when stdin cannot be read. */
+function ask(question) {
+  process.stdout.write(question);
+  const buffer = Buffer.alloc(256);
+  try {
+    const n = fs.readSync(0, buffer, 0, buffer.length, null);
+    return buffer.toString("utf8", 0, n).trim().toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * What to do with a file changed locally: the --keep/--merge/--overwrite
+ * choice, else asked on a terminal, else keep.
+ */
+function chooseResolution(plan, local, resolution) {
+  if (resolution) return resolution;
+  if (!process.stdin.isTTY) return "keep";
+  const { unifiedDiff } = require("./scripts/lib/diffs");
+  for (;;) {
+    const answer = ask(`  [?] ${plan.label} was changed locally: [k]eep yours, [m]erge, [o]verwrite, show [d]iff? `);
+    if (answer === "d") {
+      for (const line of unifiedDiff(local, plan.content, plan.rel).lines) console.log(`      ${line}`);
+      continue;
     }
+    if (answer === "m") return "merge";
+    if (answer === "o") return "overwrite";
+    if (answer === "k" || answer === "") return "keep";
+  }
+}
+
+/**
+ * The regions where `other` differs from `base`: [{ start, end, lines }],
+ * base lines start..end replaced by `lines`.
+ */
+function changedRegions(base, other) {
+  const { diffLines } = require("./scripts/lib/diffs");
+  const regions = [];
+  let index = 0;
+  let region = null;
+  for (const { op, line } of diffLines(base, other)) {
+    if (op === " ") {
+      region = null;
+      index++;
+      continue;
+    }
+    if (!region) {
+      region = { start: index, end: index, lines: [] };
+      regions.push(region);
+    }
+    if (op === "-") region.end = ++index;
+    else region.lines.push(line);
+  }
+  return regions;
+}
 
-    // Check if target already exists
-    if (fs.existsSync(dstPath)) {
-      const srcContent = fs.readFileSync(srcPath, "utf8");
-      const dstContent = fs.readFileSync(dstPath, "utf8");
-      if (srcContent === dstContent) {
-        console.log(`  [=] ${file.dst} (already up to date)`);
-        skipped++;
+/**
+ * Three-way merge of a locally changed file with the new version, against
+ * the text both started from. Returns null when the two changed the same or
+ * adjacent lines differently: conflict markers are never written, since
+ * most of these files are run as they are.
+ */
+function mergeThreeWay(base, local, incoming) {
+  const { splitLines } = require("./scripts/lib/diffs");
+  const baseLines = splitLines(base);
+  const ours = changedRegions(baseLines, splitLines(local));
+  const theirs = changedRegions(baseLines, splitLines(incoming));
+  const out = [];
+  let index = 0;
+  let i = 0;
+  let j = 0;
+  while (i < ours.length || j < theirs.length) {
+    const a = ours[i];
+    const b = theirs[j];
+    let region;
+    if (a && b && a.start <= b.end && b.start <= a.end) {
+      if (a.start !== b.start || a.end !== b.end || a.lines.join("\n") !== b.lines.join("\n")) return null;
+      region = a; // the same change on both sides
+      i++;
+      j++;
+    } else {
+      region = !b || (a && a.start < b.start) ? ours[i++] : theirs[j++];
+    }
+    out.push(...baseLines.slice(index, region.start), ...region.lines);
+    index = region.end;
+  }
+  out.push(...baseLines.slice(index));
+  return out.length > 0 ? out.join("\n") + "\n" : "";
+}
+
+// ── Commands ────────────────────────────────────────────────────────
+/**
+ * Install or upgrade: new files are added, files as installed (or already
+ * identical) are replaced, locally changed ones are kept, merged or
+ * overwritten with a timestamped backup; a merge that conflicts installs
+ * the new version and keeps the local one as `<file>.orig`. Locally changed
+ * files this version does not change are kept as they are. Files an older
+ * version installed and this one no longer ships are removed unless
+ * changed locally.
+ */
+function install({ global = false, resolution = null } = {}) {
+  // From the home directory a project install would land in ~/.claude/commands
+  // with commands that only work there.
+  if (!global && path.resolve(PROJECT_DIR) === path.resolve(HOME_DIR)) {
+    console.error("\n  Run the installer from a project root, or use --global to install for all projects.\n");
+    process.exit(1);
+  }
+  const scope = scopeOf(global);
+  const manifest = readManifest(scope);
+  const recorded = manifest ? manifest.files : {};
+  const bases = readBases(scope);
+  const now = new Date();
+  const stamp = now.toISOString().replace(/[:.]/g, "-").substring(0, 19);
+
+  console.log("\n  claude-export installer");
+  console.log("  ======================\n");
+  console.log(global
+    ? "  Installing for all projects: ~/.claude/commands, scripts in ~/.claude/claude-export"
+    : `  Installing into: ${PROJECT_DIR}`);
+  const fresh = !manifest && findUntrackedFiles(scope).length === 0;
+  if (manifest) console.log(`  Installed version: ${manifest.version}, this version: ${VERSION}`);
+  else if (!fresh) {
+    console.log("  No manifest found: files that differ from this version count as changed locally.");
+  }
+  console.log("");
+
+  const files = {};
+  const installedBases = {};
+  const counts = { installed: 0, unchanged: 0, kept: 0 };
+  for (const plan of planFiles(scope)) {
+    const local = readLocal(plan.dstPath);
+    const sum = sha256(plan.content);
+    fs.mkdirSync(path.dirname(plan.dstPath), { recursive: true });
+
+    if (local === plan.content) {
+      console.log(`  [=] ${plan.label} (already up to date)`);
+      counts.unchanged++;
+    } else if (local === null) {
+      fs.writeFileSync(plan.dstPath, plan.content, "utf8");
+      console.log(`  [+] ${plan.label}`);
+      counts.installed++;
+    } else if (recorded[plan.rel] && sha256(local) === recorded[plan.rel]) {
+      fs.writeFileSync(plan.dstPath, plan.content, "utf8");
+      console.log(`  [~] ${plan.label} (updated)`);
+      counts.installed++;
+    } else if (recorded[plan.rel] === sum) {
+      console.log(`  [=] ${plan.label} (changed locally, kept; this version does not change it)`);
+      counts.unchanged++;
+    } else {
+      const choice = chooseResolution(plan, local, resolution);
+      if (choice === "keep") {
+        console.log(`  [k] ${plan.label} (changed locally, kept)`);
+        files[plan.rel] = recorded[plan.rel] || null;
+        installedBases[plan.rel] = bases[plan.rel];
+        counts.kept++;
         continue;
       }
-      // Backup existing file
-      const backupPath = dstPath + ".backup";
-      fs.copyFileSync(dstPath, backupPath);
-      console.log(`  [~] ${file.dst} (updated, backup at ${file.dst}.backup)`);
-    } else {
-      console.log(`  [+] ${file.dst}`);
+      const base = recorded[plan.rel] && sha256(bases[plan.rel] || "") === recorded[plan.rel] ? bases[plan.rel] : null;
+      const merged = choice === "merge" && base !== null ? mergeThreeWay(base, local, plan.content) : null;
+      if (choice === "merge" && merged === null) {
+        // Backups are never overwritten: a second .orig gets a timestamp.
+        const orig = fs.existsSync(`${plan.dstPath}.orig`) ? `.orig-${stamp}` : ".orig";
+        fs.copyFileSync(plan.dstPath, plan.dstPath + orig);
+        fs.writeFileSync(plan.dstPath, plan.content, "utf8");
+        console.log(`  [!] ${plan.label} (could not merge: ${base === null ? "no installed copy to merge against" : "conflicting changes"}; ` +
+          `new version installed, yours saved as ${plan.label}${orig})`);
+      } else {
+        // Backups are never overwritten: each upgrade gets its own.
+        fs.copyFileSync(plan.dstPath, `${plan.dstPath}.backup-${stamp}`);
+        fs.writeFileSync(plan.dstPath, merged === null ? plan.content : merged, "utf8");
+        console.log(`  [${merged === null ? "~" : "m"}] ${plan.label} (${merged === null ? "overwritten" : "merged"}, ` +
+          `backup at ${plan.label}.backup-${stamp})`);
+      }
+      counts.installed++;
     }
+    files[plan.rel] = sum;
+    installedBases[plan.rel] = plan.content;
+  }
 
-    fs.copyFileSync(srcPath, dstPath);
-    installed++;
+  for (const [rel, sum] of Object.entries(recorded)) {
+    if (rel in files) continue;
+    const filePath = path.join(scope.root, rel);
+    const local = readLocal(filePath);
+    if (local === null) continue;
+    if (sum && sha256(local) === sum) {
+      fs.unlinkSync(filePath);
+      removeEmptyDirs(path.dirname(filePath), scope.root);
+      console.log(`  [-] ${labelOf(scope, rel)} (no longer used)`);
+    } else {
+      console.log(`  [k] ${labelOf(scope, rel)} (no longer used, but changed locally: kept)`);
+    }
   }
 
-  console.log(`\n  Done! ${installed} installed, ${skipped} already up to date.\n`);
+  writeManifest(scope, {
+    _format: MANIFEST_FORMAT,
+    version: VERSION,
+    installed_at: manifest ? manifest.installed_at : now.toISOString(),
+    updated_at: now.toISOString(),
+    files,
+  });
+  writeBases(scope, installedBases);
+
+  console.log(`\n  Done! ${counts.installed} installed, ${counts.unchanged} already up to date` +
+    (counts.kept > 0 ? `, ${counts.kept} changed locally and kept.` : ".") + "\n");
+  if (counts.kept > 0) {
+    console.log("  Run `npx claude-export upgrade --merge` (or --overwrite) to update those too.\n");
+  }
 
-  if (installed > 0) {
+  if (fresh) {
     console.log("  Usage:");
     console.log("    /export           - Full Markdown transcript (for AI review)");
     console.log("    /export-continue  - Compact JSON handoff (for AI continuation)");
     console.log("");
-    console.log("  Both commands auto-detect your project. No configuration needed.");
+    console.log(global
+      ? "  Both commands work in every project and auto-detect it. No configuration needed."
+      : "  Both commands auto-detect your project. No configuration needed.");
     console.log("");
   }
+  warnIfInstalledTwice();
+}
+
+/**
+ * Remove the files in the manifest, then the manifest and any directories
+ * left empty. Files changed locally stay (and stay in the manifest) unless
+ * `force`.
+ */
+function uninstall({ global = false, force = false } = {}) {
+  const scope = scopeOf(global);
+  const manifest = readManifest(scope);
+  if (!manifest) {
+    console.error(`\n  No claude-export install recorded here (${labelOf(scope, path.relative(scope.root, scope.manifestPath).replace(/\\/g, "/"))} not found).`);
+    const untracked = findUntrackedFiles(scope);
+    if (untracked.length > 0) {
+      console.error("  These files look like an install from before manifests; remove them by hand:");
+      for (const label of untracked) console.error(`    ${label}`);
+    }
+    console.error("");
+    process.exit(1);
+  }
+
+  console.log(`\n  Uninstalling claude-export ${manifest.version} (${global ? "global" : PROJECT_DIR})\n`);
+  let removed = 0;
+  const kept = {};
+  for (const [rel, sum] of Object.entries(manifest.files)) {
+    const filePath = path.join(scope.root, rel);
+    const local = readLocal(filePath);
+    if (local === null) {
+      console.log(`  [ ] ${labelOf(scope, rel)} (already gone)`);
+    } else if (force || (sum && sha256(local) === sum)) {
+      fs.unlinkSync(filePath);
+      removeEmptyDirs(path.dirname(filePath), scope.root);
+      console.log(`  [-] ${labelOf(scope, rel)}`);
+      removed++;
+    } else {
+      console.log(`  [k] ${labelOf(scope, rel)} (changed locally, kept; --force removes it)`);
+      kept[rel] = sum;
+    }
+  }
+  // The manifest goes last, or keeps tracking what was kept for a later --force.
+  const keptCount = Object.keys(kept).length;
+  if (keptCount > 0) {
+    writeManifest(scope, { ...manifest, updated_at: new Date().toISOString(), files: kept });
+    if (fs.existsSync(scope.basePath)) {
+      const bases = readBases(scope);
+      writeBases(scope, Object.fromEntries(Object.keys(kept).filter((rel) => rel in bases).map((rel) => [rel, bases[rel]])));
+    }
+  } else {
+    fs.unlinkSync(scope.manifestPath);
+    if (fs.existsSync(scope.basePath)) fs.unlinkSync(scope.basePath);
+    removeEmptyDirs(path.dirname(scope.manifestPath), scope.root);
+  }
+
+  console.log(`\n  Done! ${removed} removed` + (keptCount > 0 ? `, ${keptCount} changed locally and kept.` : ".") + "\n");
+}
+
+/**
+ * Compare the install with its manifest and with this version. Exits 1 when
+ * nothing is installed or files were changed locally or are missing.
+ */
+function status({ global = false } = {}) {
+  const scope = scopeOf(global);
+  const manifest = readManifest(scope);
+  console.log(`\n  claude-export (${global ? "global" : PROJECT_DIR})\n`);
+  if (!manifest) {
+    const untracked = findUntrackedFiles(scope);
+    console.log(untracked.length > 0
+      ? `  Installed without a manifest (${untracked.length} files); run \`npx claude-export upgrade\` to start tracking it.\n`
+      : "  Not installed.\n");
+    process.exit(1);
+  }
+
+  console.log(`  Installed: ${manifest.version} (updated ${manifest.updated_at.substring(0, 10)})`);
+  console.log(`  Available: ${VERSION}\n`);
+
+  const plans = new Map(planFiles(scope).map((plan) => [plan.rel, plan]));
+  const drift = { unchanged: 0, changed: 0, missing: 0, outdated: 0 };
+  for (const rel of new Set([...Object.keys(manifest.files), ...plans.keys()])) {
+    const label = labelOf(scope, rel);
+    const plan = plans.get(rel);
+    if (!(rel in manifest.files)) {
+      console.log(`  [+] ${label} (new in ${VERSION}, not installed)`);
+      drift.outdated++;
+      continue;
+    }
+    const local = readLocal(path.join(scope.root, rel));
+    const sum = manifest.files[rel];
+    if (local === null) {
+      console.log(`  [!] ${label} (missing)`);
+      drift.missing++;
+    } else if (!sum || sha256(local) !== sum) {
+      console.log(`  [~] ${label} (changed locally)`);
+      drift.changed++;
+    } else if (!plan) {
+      console.log(`  [-] ${label} (no longer used by ${VERSION})`);
+      drift.outdated++;
+    } else if (sha256(plan.content) !== sum) {
+      console.log(`  [^] ${label} (update available)`);
+      drift.outdated++;
+    } else {
+      drift.unchanged++;
+    }
+  }
+
+  console.log(`${drift.unchanged < plans.size ? "\n" : ""}  ${drift.unchanged} as installed, ${drift.changed} changed locally, ` +
+    `${drift.missing} missing, ${drift.outdated} to upgrade.\n`);
+  warnIfInstalledTwice();
+  if (drift.changed > 0 || drift.missing > 0) process.exit(1);
+}
+
+/**
+ * Check handoff files against the schema of the version each declares.
+ * Exits 1 if any file is unreadable or violates its schema; an older
+ * version alone is only reported.
+ */
+function validate(files) {
+  const { HANDOFF_VERSION, validateHandoff } = require("./scripts/lib/schema");
+  if (files.length === 0) {
+    console.error("Usage: npx claude-export validate <handoff.json> [...]");
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    let handoff;
+    try {
+      handoff = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      console.log(`\n  [x] ${file}\n      ${err.message}`);
+      failed++;
+      continue;
+    }
+    const { version, schemaVersion, errors, warnings } = validateHandoff(handoff);
+    const label = version !== schemaVersion ? ` (checked as ${schemaVersion})` : version ? ` (version ${version})` : "";
+    console.log(`\n  [${errors.length > 0 ? "x" : warnings.length > 0 ? "!" : "+"}] ${file}${label}`);
+    for (const warning of warnings) console.log(`      warning: ${warning}`);
+    for (const error of errors) console.log(`      ${error}`);
+    if (errors.length > 0) failed++;
+  }
+
+  console.log(`\n  ${files.length - failed} of ${files.length} valid (current version: ${HANDOFF_VERSION}).\n`);
+  if (failed > 0) process.exit(1);
+}
+
+// ── CLI ─────────────────────────────────────────────────────────────
+const COMMANDS = ["install", "upgrade", "uninstall", "status", "validate"];
+
+function parseArgs() {
+  const opts = { command: "install", files: [], global: false, resolution: null, force: false };
+  let commandSeen = false;
+  for (const arg of process.argv.slice(2)) {
+    if (arg === "--global" || arg === "-g") opts.global = true;
+    else if (arg === "--keep" || arg === "--merge" || arg === "--overwrite") opts.resolution = arg.slice(2);
+    else if (arg === "--force") opts.force = true;
+    else if (arg.startsWith("-")) {
+      console.error(`Unknown option: ${arg}`);
+      process.exit(1);
+    } else if (!commandSeen && COMMANDS.includes(arg)) {
+      opts.command = arg;
+      commandSeen = true;
+    } else if (opts.command === "validate") opts.files.push(arg);
+    else {
+      console.error(`Unknown command: ${arg} (expected one of: ${COMMANDS.join(", ")})`);
+      process.exit(1);
+    }
+  }
+  return opts;
 }
 
-install();
+const opts = parseArgs();
+if (opts.command === "validate") validate(opts.files);
+else if (opts.command === "uninstall") uninstall(opts);
+else if (opts.command === "status") status(opts);
+else install(opts);
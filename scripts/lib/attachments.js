@@ -0,0 +1,105 @@
+/**
+ * Image attachments: screenshots pasted into user messages and images in
+ * tool results (a Read of a PNG, for instance), which the session stores as
+ * base64 image blocks.
+ *
+ * The converters hand each image block to an attachment collector and put
+ * the reference it returns into the export: a path in the export's assets
+ * folder (`dir`), or with `embed` a data: URI. A collector with neither
+ * returns null and the export keeps an "[Image attached]" placeholder. The
+ * collector only holds the decoded bytes; whoever writes the export writes
+ * them to `path`, relative to the export file. Identical images are kept
+ * once, under the turn they first appeared in.
+ */
+
+const crypto = require("crypto");
+
+const EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/svg+xml": "svg",
+};
+
+/**
+ * A tool_result's content as text plus its image blocks. Text blocks are
+ * joined, images leave an "[Image]" marker, anything else stays JSON.
+ */
+function splitToolResultContent(content) {
+  if (typeof content === "string") return { text: content, images: [] };
+  if (!Array.isArray(content)) return { text: content == null ? "" : JSON.stringify(content), images: [] };
+  const texts = [];
+  const images = [];
+  for (const block of content) {
+    if (block.type === "text") texts.push(block.text || "");
+    else if (block.type === "image") {
+      texts.push("[Image]");
+      images.push(block);
+    } else texts.push(JSON.stringify(block));
+  }
+  return { text: texts.join("\n"), images };
+}
+
+/**
+ * Collect the images of one export. add(block, { turn, origin, tool })
+ * returns the reference to use for an image block (null without `dir` or
+ * `embed`, or when it carries no data); list() returns
+ * [{ name, path, mediaType, size, turn, origin, tool, data }], data being
+ * the decoded bytes.
+ */
+function createAttachmentCollector({ dir = null, embed = false } = {}) {
+  const attachments = [];
+  const byHash = new Map(); // sha256 of the data -> attachment
+
+  function add(block, { turn = null, origin = "user", tool = null } = {}) {
+    const source = block.source || {};
+    if (source.type === "url") return source.url || null;
+    if (source.type !== "base64" || !source.data) return null;
+
+    const hash = crypto.createHash("sha256").update(source.data).digest("hex");
+    let attachment = byHash.get(hash);
+    if (!attachment) {
+      const mediaType = source.media_type || "application/octet-stream";
+      const name = `image-${String(attachments.length + 1).padStart(3, "0")}.${EXTENSIONS[mediaType] || "bin"}`;
+      const data = Buffer.from(source.data, "base64");
+      attachment = {
+        name,
+        path: dir ? `${dir}/${name}` : null,
+        mediaType,
+        size: data.length,
+        turn,
+        origin,
+        tool,
+        data,
+        dataUri: `data:${mediaType};base64,${source.data}`,
+      };
+      attachments.push(attachment);
+      byHash.set(hash, attachment);
+    }
+    if (embed) return attachment.dataUri;
+    // As a link: the export's own name may contain spaces.
+    return attachment.path && attachment.path.split("/").map(encodeURIComponent).join("/");
+  }
+
+  return {
+    add,
+    list: () => attachments,
+    embed,
+  };
+}
+
+/** The handoff's `attachments` entries for the images a collector saw. */
+function describeAttachments(collector) {
+  return collector.list().map((a) => ({
+    path: collector.embed ? undefined : a.path || undefined,
+    data_uri: collector.embed ? a.dataUri : undefined,
+    media_type: a.mediaType,
+    size_bytes: a.size,
+    turn: a.turn,
+    source: a.origin,
+    tool: a.tool || undefined,
+  }));
+}
+
+module.exports = { splitToolResultContent, createAttachmentCollector, describeAttachments };
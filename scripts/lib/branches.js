@@ -0,0 +1,107 @@
+/**
+ * Conversation branch reconstruction for claude-export.
+ *
+ * Session files are append-only: when the user rewinds, edits an earlier
+ * message or retries a response, the new messages are appended with a
+ * `parentUuid` pointing back into the conversation, and the abandoned ones
+ * stay in the file. The real conversation is the chain of `parentUuid` links
+ * from the latest leaf back to the root.
+ *
+ * A few details keep that chain from losing entries that really happened:
+ *   - Parallel tool calls are written as one assistant entry per tool_use
+ *     (sharing a `message.id`), and each tool_result hangs off its own
+ *     tool_use entry, so the chain continues through only one of them. The
+ *     other blocks of the same response and their results are kept.
+ *   - System and attachment entries can hang off a message as side leaves;
+ *     they are kept with it. Only a new user prompt or assistant message
+ *     starts an abandoned branch.
+ *   - A compaction boundary starts a new chain (`parentUuid: null`) but
+ *     records the previous leaf in `logicalParentUuid`, which is followed.
+ *
+ * Sidechain (subagent) entries and entries without a uuid are never part of
+ * a branch and always pass through.
+ */
+
+const { isSidechain } = require("./subagents");
+
+function isToolResultEntry(entry) {
+  const content = entry.message?.content;
+  return entry.type === "user" && Array.isArray(content) && content.some((c) => c.type === "tool_result");
+}
+
+function inTree(entry) {
+  return Boolean(entry.uuid) && !isSidechain(entry);
+}
+
+/**
+ * Index the branches of a session in one streaming pass. Only uuids and a
+ * few flags are kept, so this is cheap even for very large files.
+ *
+ * Returns {
+ *   branchCount,            // number of abandoned branches
+ *   isActive(entry),        // true for entries on the active branch (and for non-tree entries)
+ *   branchOf(entry),        // { id, forkUuid } for abandoned entries, else null
+ * }
+ */
+function indexBranches(entries) {
+  const nodes = new Map(); // uuid -> { parent, toolResult, message, messageId }
+  const order = [];
+  let leaf = null;
+  let lastAny = null;
+
+  for (const entry of entries) {
+    if (!inTree(entry)) continue;
+    const toolResult = isToolResultEntry(entry);
+    nodes.set(entry.uuid, {
+      parent: entry.parentUuid || entry.logicalParentUuid || null,
+      toolResult,
+      message: entry.type === "user" || entry.type === "assistant",
+      messageId: entry.type === "assistant" ? entry.message?.id : undefined,
+    });
+    order.push(entry.uuid);
+    lastAny = entry.uuid;
+    // A trailing tool result may hang off an earlier parallel tool_use, so it
+    // does not mark the end of the conversation.
+    if (!toolResult) leaf = entry.uuid;
+  }
+  leaf = leaf || lastAny;
+
+  const active = new Set();
+  for (let uuid = leaf; uuid && nodes.has(uuid) && !active.has(uuid); uuid = nodes.get(uuid).parent) {
+    active.add(uuid);
+  }
+
+  // Parents are always written before their children, so one ordered pass
+  // settles side entries and numbers abandoned branches by first appearance.
+  const attached = new Set(); // side entries kept alongside the active chain
+  const branches = new Map(); // abandoned uuid -> { id, forkUuid }
+  let branchCount = 0;
+  for (const uuid of order) {
+    if (active.has(uuid)) continue;
+    const node = nodes.get(uuid);
+    const parentKept = active.has(node.parent) || attached.has(node.parent);
+    const sameResponse = node.messageId && node.messageId === nodes.get(node.parent)?.messageId;
+    if (parentKept && (node.toolResult || !node.message || sameResponse)) {
+      attached.add(uuid);
+    } else if (branches.has(node.parent)) {
+      branches.set(uuid, branches.get(node.parent));
+    } else {
+      branches.set(uuid, { id: ++branchCount, forkUuid: node.parent });
+    }
+  }
+
+  return {
+    branchCount,
+    isActive: (entry) => !inTree(entry) || !branches.has(entry.uuid),
+    branchOf: (entry) => (inTree(entry) && branches.get(entry.uuid)) || null,
+  };
+}
+
+/** Lazily yield only the entries on the active branch. */
+function* activeBranchEntries(entries, index) {
+  for (const entry of entries) {
+    if (index.isActive(entry)) yield entry;
+  }
+}
+
+module.exports = { indexBranches, activeBranchEntries };
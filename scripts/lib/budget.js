@@ -0,0 +1,119 @@
+/**
+ * Token budgeting for the JSON handoff (`export-continue --max-tokens N`).
+ *
+ * The handoff is built in full, then degraded step by step until its
+ * estimated size fits the budget:
+ *   1. attachments          - drop embedded images (data: URIs), keeping the list
+ *   2. conversation_digest  - drop entries, oldest first
+ *   3. diffs                - shorten changes[].diff, then drop them
+ *   4. searches             - empty unique_patterns, keeping the count
+ *   5. timing.turns         - drop the per-turn breakdown
+ *   6. actions              - drop entries, oldest first
+ * Sections are emptied, never removed, so the result still matches the
+ * schema. `task`, `progress`, the `changes` file list and `errors` are never touched.
+ * What was dropped is reported in `_truncation`.
+ */
+
+const { truncateDiff } = require("./diffs");
+
+// Rough chars-per-token ratio for pretty-printed JSON.
+const CHARS_PER_TOKEN = 3.3;
+const DIFF_LINE_LIMITS = [60, 25, 10];
+
+/** Estimated tokens of a handoff as it will be written (2-space indent), or of its JSON text. */
+function estimateTokens(handoff) {
+  const json = typeof handoff === "string" ? handoff : JSON.stringify(handoff, null, 2);
+  return Math.round(json.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Drop the fewest leading items of `handoff[key]` that make it fit.
+ * Binary search, since dropping more never makes the handoff larger.
+ */
+function dropOldest(handoff, key, fits) {
+  const items = handoff[key];
+  let lo = 0;
+  let hi = items.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    handoff[key] = items.slice(mid);
+    if (fits()) hi = mid;
+    else lo = mid + 1;
+  }
+  handoff[key] = items.slice(lo);
+  return lo;
+}
+
+/**
+ * dropOldest() as a reported step. The step is recorded before the search
+ * (with its largest counts) so that the report's own size is part of the fit.
+ */
+function dropOldestStep(handoff, key, truncation, fits) {
+  const total = handoff[key].length;
+  const step = { step: key, dropped: total, kept: total };
+  truncation.steps.push(step);
+  step.dropped = dropOldest(handoff, key, fits);
+  step.kept = total - step.dropped;
+}
+
+/**
+ * Degrade `handoff` in place until it fits `maxTokens`. Always attaches a
+ * `_truncation` report, placed after the `_` header fields.
+ */
+function fitHandoff(handoff, maxTokens) {
+  const truncation = { max_tokens: maxTokens, estimated_tokens: maxTokens, fits: false, steps: [] };
+  const header = {};
+  const body = {};
+  for (const [key, value] of Object.entries(handoff)) (key.startsWith("_") ? header : body)[key] = value;
+  for (const key of Object.keys(handoff)) delete handoff[key];
+  Object.assign(handoff, header, { _truncation: truncation }, body);
+
+  const fits = () => estimateTokens(handoff) <= maxTokens;
+
+  const embedded = (handoff.attachments || []).filter((a) => a.data_uri);
+  if (!fits() && embedded.length > 0) {
+    for (const attachment of embedded) delete attachment.data_uri;
+    truncation.steps.push({ step: "attachments", dropped: embedded.length });
+  }
+
+  if (!fits() && handoff.conversation_digest?.length > 0) {
+    dropOldestStep(handoff, "conversation_digest", truncation, fits);
+  }
+
+  const diffed = (handoff.changes || []).filter((c) => c.diff);
+  if (!fits() && diffed.length > 0) {
+    const step = { step: "diffs", max_lines: null };
+    truncation.steps.push(step);
+    for (const limit of DIFF_LINE_LIMITS) {
+      step.max_lines = limit;
+      for (const change of diffed) change.diff = truncateDiff(change.diff, limit);
+      if (fits()) break;
+    }
+    if (!fits()) {
+      // Keep the file list and line counts; only the diffs go.
+      for (const change of diffed) delete change.diff;
+      delete step.max_lines;
+      step.removed = true;
+    }
+  }
+
+  if (!fits() && handoff.searches?.unique_patterns.length > 0) {
+    truncation.steps.push({ step: "searches", dropped: handoff.searches.unique_patterns.length });
+    handoff.searches.unique_patterns = [];
+  }
+
+  if (!fits() && handoff.timing?.turns) {
+    truncation.steps.push({ step: "timing_turns", dropped: handoff.timing.turns.length });
+    delete handoff.timing.turns;
+  }
+
+  if (!fits() && handoff.actions?.length > 0) {
+    dropOldestStep(handoff, "actions", truncation, fits);
+  }
+
+  truncation.fits = fits();
+  truncation.estimated_tokens = estimateTokens(handoff);
+  return handoff;
+}
+
+module.exports = { estimateTokens, fitHandoff };
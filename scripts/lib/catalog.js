@@ -0,0 +1,101 @@
+/**
+ * On-disk session index for `--list`: a summary of every session file
+ * (timestamps, turns, tool calls, git branch, files edited, ...) keyed by the
+ * file's size and mtime, so listing a large project again only re-reads the
+ * sessions that changed since.
+ *
+ * One index file per project, under $XDG_CACHE_HOME/claude-export (or
+ * ~/.cache/claude-export). It is only a cache: a missing, unreadable or
+ * outdated index is rebuilt, and failing to write it is ignored.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { writeFileAtomic } = require("./watch");
+
+const INDEX_FORMAT = "claude-export-session-index";
+// Bump whenever the summary shape changes; older indexes are then rebuilt.
+// 2: prompts are redacted.
+const INDEX_VERSION = 2;
+
+/** The index file of a Claude Code project directory. */
+function defaultIndexFile(projectDir, home = os.homedir()) {
+  const cacheDir = process.env.XDG_CACHE_HOME || path.join(home, ".cache");
+  return path.join(cacheDir, "claude-export", `${path.basename(projectDir)}.json`);
+}
+
+function readIndex(indexFile) {
+  try {
+    const data = JSON.parse(fs.readFileSync(indexFile, "utf8"));
+    if (data._format === INDEX_FORMAT && data.version === INDEX_VERSION && data.sessions) return data.sessions;
+  } catch {}
+  return {};
+}
+
+/**
+ * Open an index (null: an in-memory one that is never saved).
+ * summary(session, compute) returns the cached summary of { id, file } when
+ * the file is unchanged, or compute(session) stored under the file's current
+ * size and mtime. retain(sessions) drops entries of other (deleted) files,
+ * and save() writes the index back if anything changed.
+ */
+function openSessionIndex(indexFile) {
+  const cached = indexFile ? readIndex(indexFile) : {};
+  let changed = false;
+
+  function summary(session, compute) {
+    const stat = fs.statSync(session.file);
+    const key = path.basename(session.file);
+    const hit = cached[key];
+    if (hit && hit.size === stat.size && hit.mtimeMs === stat.mtimeMs) return hit.summary;
+    // Stat first: a file that grows meanwhile is simply summarized again next time.
+    const fresh = compute(session);
+    cached[key] = { size: stat.size, mtimeMs: stat.mtimeMs, summary: fresh };
+    changed = true;
+    return fresh;
+  }
+
+  function retain(sessions) {
+    const keep = new Set(sessions.map((s) => path.basename(s.file)));
+    for (const key of Object.keys(cached)) {
+      if (!keep.has(key)) {
+        delete cached[key];
+        changed = true;
+      }
+    }
+  }
+
+  function save() {
+    if (!indexFile || !changed) return;
+    try {
+      fs.mkdirSync(path.dirname(indexFile), { recursive: true });
+      writeFileAtomic(indexFile, JSON.stringify({ _format: INDEX_FORMAT, version: INDEX_VERSION, sessions: cached }));
+      changed = false;
+    } catch {}
+  }
+
+  return { summary, retain, save };
+}
+
+/** A listSessions() summary as printed by `--list --json`. */
+function formatSessionJson(summary) {
+  const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  return {
+    id: summary.id,
+    file: summary.file,
+    size: summary.size,
+    modified: iso(summary.modified),
+    first_timestamp: iso(summary.start),
+    last_timestamp: iso(summary.end),
+    turns: summary.turns,
+    tool_calls: summary.toolCalls,
+    errors: summary.errors,
+    git_branch: summary.gitBranch,
+    git_branches: summary.gitBranches,
+    files_edited: summary.filesEdited,
+    prompt: summary.prompt,
+  };
+}
+
+module.exports = { INDEX_VERSION, defaultIndexFile, openSessionIndex, formatSessionJson };
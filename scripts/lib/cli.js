@@ -0,0 +1,541 @@
+/**
+ * The command line both exporters share: argument parsing, `--list` (plain,
+ * JSON or the interactive picker), `--search`, `--usage-only`/`--timeline`,
+ * `--watch` and writing an export. Each script in scripts/ only describes
+ * its output formats and default file name and hands them to runCli():
+ *
+ *   runCli({
+ *     defaultFilename: "claude-chat_{date}_{session}",
+ *     formats: {            // --format value (the first is the default)
+ *       md: {
+ *         ext: "md",                          // output file extension
+ *         images: true,                       // collect images (see attachments.js)
+ *         render: (session, options, report) => text,
+ *         describe: (text) => "120 lines",    // optional, for the size line
+ *       },
+ *     },
+ *   });
+ *
+ * render() receives a loaded (and possibly sliced) session and the converter
+ * options, and returns the file's text. It may report progress with
+ * report.log() and report.warn(), and throws to refuse the export (a
+ * handoff that breaks its schema, for instance).
+ *
+ * Unlike the API in index.js this is the CLI: it reads process.cwd(),
+ * prints, and exits the process when something is wrong.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createRedactor, redactEntries, formatRedactionSummary } = require("./redact");
+const { readSessionPreview } = require("./jsonl");
+const { parseDateOption, isDuration, isMultiSession, selectSessions } = require("./sessions");
+const { DEFAULT_SCOPES, parseSearchPattern, parseScopes, searchSession } = require("./search");
+const { resolvePrices, createUsageTracker, formatUsageReport } = require("./usage");
+const { createTimingTracker, formatTimelineReport } = require("./timing");
+const {
+  findClaudeProjectDir, detectProjectName, createPathShortener, readGitContext,
+} = require("./project");
+const { formatTimestamp, sessionTimeRange } = require("./transcript");
+const { loadConfig, checkFilenameTemplate, formatFilename } = require("./config");
+const { deliverExport, writeAttachments } = require("./output");
+const { createAttachmentCollector } = require("./attachments");
+const { sliceLoadedSession } = require("./slice");
+const { writeFileAtomic } = require("./watch");
+const { pickSession } = require("./picker");
+const { defaultIndexFile, formatSessionJson } = require("./catalog");
+const { locateSessions, listSessions, loadSession, watchSession } = require("./index");
+
+const DEFAULT_LIST_LIMIT = 15;
+const MAX_HITS_PER_SESSION = 5;
+// Turn-slicing flags -> option names
+const TURN_FLAGS = { "--from-turn": "fromTurn", "--to-turn": "toTurn", "--last-turns": "lastTurns" };
+
+/** Run `fn` and return its result; on an error, print it after `prefix` and exit. */
+function orExit(fn, prefix = "") {
+  try {
+    return fn();
+  } catch (err) {
+    console.error(prefix + err.message);
+    process.exit(1);
+  }
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+// ── CLI Args ────────────────────────────────────────────────────────
+function parseArgs(cli, args) {
+  const { config, spec } = cli;
+  const opts = {
+    list: false,
+    sessionId: null,
+    includeThinking: config.includeThinking,
+    includeResults: config.includeResults,
+    maxResultLines: config.maxResultLines,
+    outputDir: config.outputDir,
+    filename: config.filename || spec.defaultFilename,
+    stdout: false,
+    clipboard: false,
+    gzip: false,
+    embedImages: false,
+    redact: true,
+    format: Object.keys(spec.formats)[0],
+    allBranches: false,
+    maxTokens: null,
+    sessions: null,
+    since: null,
+    until: null,
+    last: null,
+    fromTurn: null,
+    toTurn: null,
+    lastTurns: null,
+    turnsSince: null,
+    search: null,
+    searchIn: DEFAULT_SCOPES,
+    searchTool: null,
+    searchFile: null,
+    usageOnly: false,
+    timeline: false,
+    watch: false,
+    skipErrorTurns: false,
+    json: false,
+    limit: null,
+    branch: null,
+    contains: null,
+  };
+  const positive = (flag, value) => {
+    const n = parseInt(value, 10);
+    if (!(n > 0)) fail(`Invalid ${flag}: ${value} (expected a positive number)`);
+    return n;
+  };
+  let sinceDuration = false;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--list" || args[i] === "-l") opts.list = true;
+    else if (args[i] === "--no-thinking") opts.includeThinking = false;
+    else if (args[i] === "--no-results") opts.includeResults = false;
+    else if (args[i] === "--thinking") opts.includeThinking = true;
+    else if (args[i] === "--results") opts.includeResults = true;
+    else if (args[i] === "--no-redact") opts.redact = false;
+    else if (args[i] === "--all-branches") opts.allBranches = true;
+    else if (args[i] === "--usage-only") opts.usageOnly = true;
+    else if (args[i] === "--timeline") opts.timeline = true;
+    else if (args[i] === "--watch" || args[i] === "-w") opts.watch = true;
+    else if (args[i] === "--json") opts.json = true;
+    else if (args[i] === "--skip-error-turns") opts.skipErrorTurns = true;
+    else if (args[i] === "--stdout") opts.stdout = true;
+    else if (args[i] === "--clipboard") opts.clipboard = true;
+    else if (args[i] === "--gzip") opts.gzip = true;
+    else if (args[i] === "--embed-images") opts.embedImages = true;
+    else if (args[i] === "--max-result-lines" && args[i + 1]) {
+      opts.maxResultLines = parseInt(args[++i], 10) || config.maxResultLines;
+    } else if ((args[i] === "--output" || args[i] === "-o") && args[i + 1]) {
+      opts.outputDir = path.resolve(args[++i]);
+    } else if (args[i] === "--filename" && args[i + 1]) {
+      opts.filename = args[++i];
+      orExit(() => checkFilenameTemplate(opts.filename), "Invalid --filename: ");
+    } else if ((args[i] === "--format" || args[i] === "-f") && args[i + 1]) {
+      opts.format = args[++i].toLowerCase();
+    } else if (args[i] === "--max-tokens" && args[i + 1]) {
+      opts.maxTokens = positive(args[i], args[++i]);
+    } else if (args[i] === "--sessions" && args[i + 1]) {
+      opts.sessions = args[++i].split(",").map((id) => id.trim()).filter(Boolean);
+    } else if ((args[i] === "--since" || args[i] === "--until") && args[i + 1]) {
+      const flag = args[i];
+      if (flag === "--since") sinceDuration = isDuration(args[i + 1]);
+      opts[flag.slice(2)] = orExit(() => parseDateOption(args[++i], flag === "--until"), `${flag}: `);
+    } else if (args[i] === "--limit" && args[i + 1]) {
+      opts.limit = parseInt(args[++i], 10);
+      if (!(opts.limit >= 0)) fail(`Invalid --limit: ${args[i]} (expected a number, 0 for all)`);
+    } else if (args[i] === "--branch" && args[i + 1]) {
+      opts.branch = args[++i];
+    } else if (args[i] === "--contains" && args[i + 1]) {
+      opts.contains = args[++i];
+    } else if (args[i] === "--last" && args[i + 1]) {
+      opts.last = positive(args[i], args[++i]);
+    } else if (args[i] === "--turns-since" && args[i + 1]) {
+      opts.turnsSince = orExit(() => parseDateOption(args[++i]), "--turns-since: ");
+    } else if (TURN_FLAGS[args[i]] && args[i + 1]) {
+      opts[TURN_FLAGS[args[i]]] = positive(args[i], args[++i]);
+    } else if (args[i] === "--search" && args[i + 1]) {
+      opts.search = orExit(() => parseSearchPattern(args[++i]));
+    } else if (args[i] === "--in" && args[i + 1]) {
+      opts.searchIn = orExit(() => parseScopes(args[++i]));
+    } else if (args[i] === "--tool" && args[i + 1]) {
+      opts.searchTool = args[++i];
+    } else if (args[i] === "--file" && args[i + 1]) {
+      opts.searchFile = args[++i];
+    } else if (args[i].startsWith("-")) {
+      /* ignore unknown flags */
+    } else {
+      opts.sessionId = args[i];
+    }
+  }
+  // --since picks sessions, --turns-since cuts turns. A duration --since
+  // that selects nothing else ("the last 45 minutes") means the latter: it
+  // cuts the current (or given) session rather than merging every session
+  // active since then. A date, or --sessions/--until/--last, still selects.
+  if (sinceDuration && !opts.list && !opts.search && !opts.searchFile &&
+      !opts.sessions && opts.until == null && !opts.last && opts.turnsSince == null) {
+    opts.turnsSince = opts.since;
+    opts.since = null;
+  }
+  if (!spec.formats[opts.format]) {
+    fail(`Unknown format: ${opts.format} (expected: ${Object.keys(spec.formats).join(", ")})`);
+  }
+  if (opts.searchTool && !opts.search && !opts.searchFile) {
+    fail("--tool narrows a search: combine it with --search or --file.");
+  }
+  if (opts.clipboard && (opts.stdout || opts.gzip)) {
+    fail("--clipboard cannot be combined with --stdout or --gzip.");
+  }
+  return opts;
+}
+
+// ── List Sessions ───────────────────────────────────────────────────
+/** Sessions for --list, most recently active first, narrowed by its filters. */
+function findListedSessions(cli, opts, defaultLimit) {
+  return orExit(() => listSessions(cli.root, {
+    indexFile: defaultIndexFile(cli.projectDir),
+    since: opts.since,
+    until: opts.until,
+    branch: opts.branch,
+    contains: opts.contains,
+    limit: opts.limit ?? defaultLimit,
+  }));
+}
+
+function printSessionList(cli, opts) {
+  const sessions = findListedSessions(cli, opts, DEFAULT_LIST_LIMIT);
+  if (opts.json) {
+    console.log(JSON.stringify(sessions.map(formatSessionJson), null, 2));
+    return;
+  }
+
+  console.log(`\n  Project: ${cli.projectName}`);
+  console.log(`  Sessions dir: ${cli.projectDir}\n`);
+  if (sessions.length === 0) console.log("  No sessions match.\n");
+  for (const s of sessions) {
+    const sizeKB = Math.round(s.size / 1024);
+    console.log(`  ${s.id}`);
+    const date = new Date(s.end).toISOString().replace("T", " ").substring(0, 19);
+    const branch = s.gitBranch ? ` | ${s.gitBranch}` : "";
+    const preview = s.prompt ? s.prompt.substring(0, 80) : "(no preview)";
+    console.log(`    ${date} UTC | ${sizeKB} KB | ${s.turns} turn${s.turns === 1 ? "" : "s"}${branch} | ${preview}`);
+    console.log();
+  }
+}
+
+// ── Pick Session ────────────────────────────────────────────────────
+/**
+ * --list on a terminal: pick a session interactively, then export it with
+ * the other options given.
+ */
+function pickAndExport(cli, opts) {
+  const sessions = findListedSessions(cli, opts, 0);
+  if (sessions.length === 0) fail("No sessions match.");
+  pickSession(sessions, {
+    projectName: cli.projectName,
+    onPick(session) {
+      // The list filters (--since, --until) also select sessions for export.
+      if (session) exportSession(cli, { ...opts, sessionId: session.id, since: null, until: null });
+    },
+  });
+}
+
+// ── Search Sessions ─────────────────────────────────────────────────
+/** Highlight a snippet's match: ANSI on a terminal, Markdown bold otherwise. */
+function highlightSnippet({ before, match, after }) {
+  const color = process.stdout.isTTY && !process.env.NO_COLOR;
+  return before + (color ? `\x1b[1;31m${match}\x1b[0m` : `**${match}**`) + after;
+}
+
+/**
+ * Scan every session (or those picked by --sessions/--since/--until/--last)
+ * and print the ones that match, most recently active first, with a line
+ * per hit. Only the active branch is searched, as it is what gets exported,
+ * along with the subagent transcripts it ran.
+ */
+function searchSessions(cli, opts) {
+  const sessions = orExit(() => selectSessions(cli.projectDir, opts));
+  const redactor = opts.redact ? orExit(() => createRedactor(cli.config.redact), "Redaction config error: ") : null;
+
+  const what = [
+    opts.search ? `${opts.search} in ${opts.searchIn.join(", ")}` : null,
+    opts.searchTool ? `tool ${opts.searchTool}` : null,
+    opts.searchFile ? `edits to ${opts.searchFile}` : null,
+  ].filter(Boolean).join("; ");
+  console.log(`\n  Project: ${cli.projectName}`);
+  console.log(`  Searching ${sessions.length} session${sessions.length === 1 ? "" : "s"} for ${what}\n`);
+
+  const found = [];
+  for (const session of sessions) {
+    const loaded = loadSession(session);
+    const redacted = (entries) => (redactor ? redactEntries(entries, redactor) : entries);
+    const result = searchSession(redacted(loaded), {
+      pattern: opts.search,
+      scopes: opts.searchIn,
+      tool: opts.searchTool,
+      file: opts.searchFile,
+      maxHits: MAX_HITS_PER_SESSION,
+      subagents: loaded.subagents.map((t) => ({ ...t, entries: [...redacted(t.entries)] })),
+    });
+    if (result.hitCount > 0) found.push({ session, ...result });
+  }
+
+  if (found.length === 0) {
+    console.log("  No matches.\n");
+    return;
+  }
+  found.sort((a, b) => b.session.end - a.session.end);
+  for (const { session, hits, hitCount } of found) {
+    console.log(`  ${session.id}  (${hitCount} match${hitCount === 1 ? "" : "es"})`);
+    console.log(`    ${sessionTimeRange(session)} | ${readSessionPreview(session.file, 80, redactor) || "(no preview)"}`);
+    for (const hit of hits) {
+      const where = hit.tool ? `${hit.scope}:${hit.tool}` : hit.scope;
+      const snippet = hit.scope === "edit" ? { ...hit.snippet, match: cli.shortPath(hit.snippet.match) } : hit.snippet;
+      console.log(`    Turn ${hit.turn}  ${formatTimestamp(hit.timestamp)}  [${where}]  ${highlightSnippet(snippet)}`);
+    }
+    if (hitCount > hits.length) console.log(`    ... ${hitCount - hits.length} more`);
+    console.log();
+  }
+  const total = found.reduce((sum, f) => sum + f.hitCount, 0);
+  console.log(`  ${total} match${total === 1 ? "" : "es"} in ${found.length} of ${sessions.length} session${sessions.length === 1 ? "" : "s"}.`);
+  console.log("  Pass a session id to /export or /export-continue, or merge several with --sessions id1,id2.\n");
+}
+
+// ── Export ──────────────────────────────────────────────────────────
+/** The export's file name (without extension) from the --filename template. */
+function exportName(cli, opts, { session, date }) {
+  return formatFilename(opts.filename, {
+    project: cli.projectName,
+    branch: opts.filename.includes("{branch}") ? readGitContext(cli.root).branch : null,
+    session,
+    date,
+  });
+}
+
+/**
+ * The image collector for an export named `name`: images become data: URIs
+ * with --embed-images, otherwise files in <name>_assets/ next to the
+ * export. Exports to stdout or the clipboard have nowhere to put image
+ * files, so they keep placeholders (a handoff only lists the images).
+ */
+function createImageCollector(opts, format, name) {
+  if (!format.images) return null;
+  if (opts.embedImages) return createAttachmentCollector({ embed: true });
+  if (opts.stdout || opts.clipboard) return null;
+  return createAttachmentCollector({ dir: `${name}_assets` });
+}
+
+/** The converter options for a render. */
+function renderOptions(cli, opts, extra) {
+  return {
+    projectPath: cli.root,
+    projectName: cli.projectName,
+    includeThinking: opts.includeThinking,
+    includeResults: opts.includeResults,
+    maxResultLines: opts.maxResultLines,
+    skipErrorTurns: opts.skipErrorTurns,
+    maxTokens: opts.maxTokens,
+    ...extra,
+  };
+}
+
+const describeLines = (text) => `${text.split("\n").length} lines`;
+
+/** The configured prices and redaction config (null with --no-redact); exits on config errors. */
+function loadExportConfig(cli, opts) {
+  const prices = orExit(() => resolvePrices(cli.config.prices), "Price config error: ");
+  let redactConfig = null;
+  if (opts.redact) {
+    redactConfig = cli.config.redact;
+    orExit(() => createRedactor(redactConfig), "Redaction config error: "); // rejects invalid patterns
+  }
+  return { prices, redactConfig };
+}
+
+/** Export the session(s) picked by the options, or watch one. */
+function exportSession(cli, opts) {
+  const { prices, redactConfig } = loadExportConfig(cli, opts);
+  if (opts.watch) {
+    watchExport(cli, opts, prices, redactConfig);
+    return;
+  }
+
+  // Several sessions merged, a given one, or the active one: when the
+  // command runs, Claude Code has just written to the current session, so
+  // its last entry is the most recent.
+  let target = opts.sessionId;
+  if (isMultiSession(opts)) {
+    target = orExit(() => selectSessions(cli.projectDir, opts));
+    if (target.length === 0) fail("No sessions match --sessions/--since/--until/--last.");
+  } else if (!target) {
+    target = locateSessions(cli.root)[0];
+    if (!target) fail("No session files found.");
+  }
+
+  // Only the active branch of each session is exported unless --all-branches.
+  let session = orExit(() => loadSession(target, { projectPath: cli.root, allBranches: opts.allBranches }));
+  const { sessions } = session;
+  // With --stdout the export owns stdout, so progress goes to stderr.
+  const log = opts.stdout ? console.error : console.log;
+
+  const fileSize = sessions.reduce((sum, s) => sum + fs.statSync(s.file).size, 0);
+  log(`Project: ${cli.projectName}`);
+  if (session.multi) {
+    log(`Parsing ${sessions.length} session${sessions.length === 1 ? "" : "s"}: ${sessions.map((s) => s.id).join(", ")}`);
+  } else {
+    log(`Parsing session: ${session.id}`);
+  }
+  log(`JSONL size: ${Math.round(fileSize / 1024)} KB`);
+
+  if (session.branches.branchCount > 0) {
+    log(`Abandoned branches: ${session.branches.branchCount}` +
+      (opts.allBranches ? " (included)" : " (skipped, use --all-branches to include)"));
+  }
+  // --from-turn/--to-turn/--last-turns/--turns-since: the session is cut
+  // here and then exported like a whole one.
+  session = orExit(() => sliceLoadedSession(session, opts));
+  if (session.slice) {
+    const { fromTurn, toTurn, totalTurns } = session.slice;
+    log(`Turns: ${fromTurn}-${toTurn} of ${totalTurns}` + (fromTurn > 1 ? ` (turns 1-${fromTurn - 1} summarized)` : ""));
+  }
+  const redactor = redactConfig ? createRedactor(redactConfig) : null;
+  if (opts.usageOnly || opts.timeline) {
+    const usage = createUsageTracker();
+    const timing = createTimingTracker({ displayPath: cli.shortPath });
+    for (const entry of redactor ? redactEntries(session, redactor) : session) {
+      usage.add(entry);
+      timing.add(entry);
+    }
+    for (const transcript of session.subagents) usage.addTranscript(transcript.entries);
+    if (opts.usageOnly) console.log("\n" + formatUsageReport(usage.summary(prices)).join("\n"));
+    if (opts.timeline) console.log("\n" + formatTimelineReport(timing.summary()).join("\n"));
+    return;
+  }
+  if (session.subagents.length > 0) log(`Subagent transcripts: ${session.subagents.length}`);
+
+  const dateStr = new Date().toISOString().replace(/[:.]/g, "-").substring(0, 19);
+  const shortId = session.multi ? `${sessions.length}-sessions` : session.id.substring(0, 8);
+  const name = exportName(cli, opts, { session: shortId, date: dateStr });
+
+  // Entries are redacted lazily as the converter streams them, so the
+  // count is only final once conversion is done.
+  const format = cli.spec.formats[opts.format];
+  const attachments = createImageCollector(opts, format, name);
+  const output = orExit(() => format.render(
+    session,
+    renderOptions(cli, opts, { redact: opts.redact, redactor, prices, attachments }),
+    { log, warn: (message) => console.warn(`Warning: ${message}`) }
+  ));
+  if (redactor) log(`Redacted: ${formatRedactionSummary(redactor.summary())}`);
+
+  const { target: destination, bytes, warning } = deliverExport(output, {
+    file: path.join(opts.outputDir, `${name}.${format.ext}`),
+    stdout: opts.stdout,
+    clipboard: opts.clipboard,
+    gzip: opts.gzip,
+  });
+  if (warning) console.warn(`Warning: ${warning}`);
+  log(`Exported to: ${destination}`);
+  const images = attachments ? attachments.list() : [];
+  if (attachments?.embed) {
+    // --max-tokens may have dropped embedded images from a handoff.
+    const embedded = images.filter((a) => output.includes(a.dataUri)).length;
+    if (embedded > 0) log(`Images: ${embedded} embedded`);
+  } else if (images.length > 0) {
+    writeAttachments(attachments, opts.outputDir);
+    log(`Images: ${images.length} in ${path.join(opts.outputDir, `${name}_assets`)}`);
+  }
+  log(`Output size: ${Math.round(output.length / 1024)} KB (${(format.describe || describeLines)(output)})` +
+    (opts.gzip ? `, ${Math.round(bytes / 1024)} KB gzipped` : ""));
+}
+
+// ── Watch ───────────────────────────────────────────────────────────
+/**
+ * --watch: re-render the session to one file whenever entries are appended,
+ * until interrupted. Follows the newest session unless one was given. An
+ * update that render() refuses is reported and not written.
+ */
+function watchExport(cli, opts, prices, redactConfig) {
+  if (isMultiSession(opts) || opts.usageOnly || opts.timeline) {
+    fail("--watch follows a single session; it cannot be combined with " +
+      "--sessions/--since/--until/--last, --usage-only or --timeline.");
+  }
+  if (opts.stdout || opts.clipboard || opts.gzip) {
+    fail("--watch keeps a file updated; it cannot be combined with --stdout, --clipboard or --gzip.");
+  }
+  const format = cli.spec.formats[opts.format];
+  fs.mkdirSync(opts.outputDir, { recursive: true });
+  // One file for the whole watch, even when a new session is followed.
+  let name = null;
+  const quiet = { log() {}, warn() {} };
+
+  console.log(`Project: ${cli.projectName}`);
+  console.log(opts.sessionId ? `Watching session: ${opts.sessionId}` : "Watching the active session (switches to newer sessions)");
+  console.log("Press Ctrl+C to stop.");
+  const watcher = orExit(() => watchSession(opts.sessionId, {
+    projectPath: cli.root,
+    allBranches: opts.allBranches,
+    onUpdate(loaded, { added, switched }) {
+      const session = sliceLoadedSession(loaded, opts);
+      // {date} is fixed so that the same file is updated all along.
+      name = name || exportName(cli, opts, { session: opts.sessionId ? session.id.substring(0, 8) : cli.projectName, date: "live" });
+      const outFile = path.join(opts.outputDir, `${name}.${format.ext}`);
+      const time = new Date().toTimeString().substring(0, 8);
+      if (switched) console.log(`[${time}] Following new session: ${session.id}`);
+      const attachments = createImageCollector(opts, format, name);
+      let output;
+      try {
+        output = format.render(session, renderOptions(cli, opts, { redact: redactConfig || false, prices, attachments }), quiet);
+      } catch (err) {
+        console.error(`[${time}] ${err.message}`);
+        return;
+      }
+      writeAttachments(attachments, opts.outputDir);
+      writeFileAtomic(outFile, output);
+      console.log(`[${time}] Updated ${outFile} (+${added} entries, ${Math.round(output.length / 1024)} KB, ` +
+        `${(format.describe || describeLines)(output)})`);
+    },
+    onError: (err) => console.error(`Watch error: ${err.message}`),
+  }));
+  process.on("SIGINT", () => {
+    watcher.close();
+    console.log("\nStopped watching.");
+  });
+}
+
+// ── Entry point ─────────────────────────────────────────────────────
+/**
+ * Run an exporter for the project in the current directory with the
+ * command line `args`; `spec` is described at the top of this file.
+ */
+function runCli(spec, args = process.argv.slice(2)) {
+  const root = process.cwd();
+  const cli = {
+    spec,
+    root,
+    projectDir: orExit(() => findClaudeProjectDir(root)),
+    projectName: detectProjectName(root),
+    config: orExit(() => loadConfig(root), "Config error: "),
+  };
+  cli.shortPath = createPathShortener(root, cli.projectName);
+  const opts = parseArgs(cli, args);
+
+  if (opts.list) {
+    // Piped or run by Claude Code: the plain list to copy an id from.
+    if (process.stdin.isTTY && process.stdout.isTTY && !opts.json) pickAndExport(cli, opts);
+    else printSessionList(cli, opts);
+    return;
+  }
+  if (opts.search || opts.searchFile) {
+    searchSessions(cli, opts);
+    return;
+  }
+  exportSession(cli, opts);
+}
+
+module.exports = { runCli };
@@ -0,0 +1,89 @@
+/**
+ * Compaction detection for claude-export.
+ *
+ * When a session is compacted (`/compact` or auto-compaction), Claude Code
+ * writes a `system` entry with `subtype: "compact_boundary"` (carrying
+ * `compactMetadata: { trigger, preTokens }`), followed by a `user` entry
+ * flagged `isCompactSummary` whose content is the summary the model
+ * continued from. Older versions wrote an unflagged continuation message,
+ * preceded by `{ type: "summary", summary }` title entries.
+ *
+ * Both forms are folded into one event per compaction:
+ *   { timestamp, trigger, preTokens, title, summary }
+ */
+
+const CONTINUATION_PREFIX = "This session is being continued from a previous conversation";
+
+function isCompactBoundary(entry) {
+  return entry.type === "system" && entry.subtype === "compact_boundary";
+}
+
+function messageText(entry) {
+  const content = entry.message?.content;
+  if (typeof content === "string") return content.trim();
+  if (!Array.isArray(content)) return "";
+  return content.filter((c) => c.type === "text").map((c) => c.text).join("\n").trim();
+}
+
+/** The user entry that carries a compaction summary. */
+function isCompactSummary(entry) {
+  if (entry.type !== "user") return false;
+  if (entry.isCompactSummary) return true;
+  return messageText(entry).startsWith(CONTINUATION_PREFIX);
+}
+
+/**
+ * Streaming tracker. Feed every entry to add(); `onCompaction(event)` is
+ * called once the summary for a boundary has arrived, or when the next real
+ * message shows that none is coming. Call flush() after the last entry.
+ */
+function createCompactionTracker(onCompaction) {
+  let pending = null;
+  let title = null;
+
+  function emit() {
+    if (!pending) return;
+    const event = pending;
+    pending = null;
+    if (!event.title) event.title = title;
+    title = null;
+    onCompaction(event);
+  }
+
+  /** Returns true if the entry belongs to a compaction and is not a real message. */
+  function add(entry) {
+    if (isCompactBoundary(entry)) {
+      emit();
+      const meta = entry.compactMetadata || {};
+      pending = {
+        timestamp: entry.timestamp || null,
+        trigger: meta.trigger || null,
+        preTokens: meta.preTokens ?? null,
+        title: null,
+        summary: null,
+      };
+      return true;
+    }
+    // Session titles: only kept if a continuation message follows them.
+    if (entry.type === "summary" && typeof entry.summary === "string") {
+      title = entry.summary.trim();
+      return true;
+    }
+    if (isCompactSummary(entry)) {
+      if (!pending) pending = { timestamp: null, trigger: null, preTokens: null, title: null, summary: null };
+      pending.timestamp = pending.timestamp || entry.timestamp || null;
+      pending.summary = messageText(entry);
+      emit();
+      return true;
+    }
+    if (entry.type === "user" || entry.type === "assistant") {
+      emit();
+      title = null;
+    }
+    return false;
+  }
+
+  return { add, flush: emit };
+}
+
+module.exports = { isCompactBoundary, isCompactSummary, createCompactionTracker };
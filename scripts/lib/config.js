@@ -0,0 +1,204 @@
+/**
+ * Export defaults from `.claude-export.json` files: the project's (at the
+ * project root) over the user's (`~/.claude-export.json`) over the built-in
+ * defaults. Command-line flags override all of them.
+ *
+ *   {
+ *     "outputDir": "~/exports",                  // relative to the config file
+ *     "filename": "{project}_{branch}_{date}",   // without the extension
+ *     "includeThinking": false,
+ *     "includeResults": true,
+ *     "maxResultLines": 80,
+ *     "maxWriteLines": 300,                      // Write content in transcripts
+ *     "maxThinkingChars": 2000,
+ *     "maxTaskChars": 500,                       // handoff task and prompts
+ *     "maxExcerptChars": 300,                    // handoff digest, commands, errors
+ *     "maxSnippetChars": 200,                    // handoff command output, tool inputs
+ *     "tools": { "Read": "summary", "TodoWrite": "input" },
+ *     "redact": { ... },                         // see redact.js
+ *     "prices": { ... }                          // see usage.js
+ *   }
+ *
+ * `tools` sets how much of each tool's calls the transcripts show: "full"
+ * (input and result, the default), "input" (no result) or "summary" (one
+ * line). The sections (tools, redact, prices) merge key by key, so a project
+ * can add to the user's; every other key replaces. Unknown keys and wrong
+ * types are errors naming the file and the key, so a typo never quietly
+ * falls back to a default.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CONFIG_FILE = ".claude-export.json";
+
+const TOOL_VERBOSITY = ["full", "input", "summary"];
+const REDACT_KEYS = ["patterns", "allowlist", "disable"];
+const FILENAME_FIELDS = ["project", "branch", "session", "date"];
+
+// key -> expected type; "count" is a positive integer
+const CONFIG_KEYS = {
+  outputDir: "string",
+  filename: "string",
+  includeThinking: "boolean",
+  includeResults: "boolean",
+  maxResultLines: "count",
+  maxWriteLines: "count",
+  maxThinkingChars: "count",
+  maxTaskChars: "count",
+  maxExcerptChars: "count",
+  maxSnippetChars: "count",
+  tools: "section",
+  redact: "section",
+  prices: "section",
+};
+
+// The keys the converters take as options (see index.js resolveOptions).
+const CONVERTER_KEYS = [
+  "includeThinking", "includeResults", "maxResultLines", "maxWriteLines", "maxThinkingChars",
+  "maxTaskChars", "maxExcerptChars", "maxSnippetChars", "tools",
+];
+
+const DEFAULT_CONFIG = Object.freeze({
+  outputDir: null, // ~/Downloads, filled in by loadConfig()
+  filename: null, // each script's own naming
+  includeThinking: true,
+  includeResults: true,
+  maxResultLines: 150,
+  maxWriteLines: 300,
+  maxThinkingChars: 2000,
+  maxTaskChars: 500,
+  maxExcerptChars: 300,
+  maxSnippetChars: 200,
+  tools: {},
+  redact: {},
+  prices: {},
+});
+
+// ── Validation ──────────────────────────────────────────────────────
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row.push(Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function unknownKeyError(file, key, known) {
+  const close = known.find((k) => k.toLowerCase() === key.toLowerCase() || editDistance(k, key) <= 2);
+  const hint = close ? `did you mean "${close}"?` : `expected one of: ${known.join(", ")}`;
+  return new Error(`${file}: unknown key "${key}" (${hint})`);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/** Throws when a file name template has a path separator or an unknown placeholder. */
+function checkFilenameTemplate(template) {
+  if (/[\\/]/.test(template)) throw new Error("must not contain a path separator (set the output directory instead)");
+  for (const [, field] of template.matchAll(/\{([^}]*)\}/g)) {
+    if (!FILENAME_FIELDS.includes(field)) {
+      throw new Error(`unknown placeholder {${field}} (expected: ${FILENAME_FIELDS.map((f) => `{${f}}`).join(", ")})`);
+    }
+  }
+}
+
+/** Check one parsed config file; throws on the first problem. */
+function validateConfig(file, config) {
+  if (!isPlainObject(config)) throw new Error(`${file}: expected a JSON object`);
+  for (const [key, value] of Object.entries(config)) {
+    const type = CONFIG_KEYS[key];
+    if (!type) throw unknownKeyError(file, key, Object.keys(CONFIG_KEYS));
+    if (type === "count" && !(Number.isInteger(value) && value > 0)) {
+      throw new Error(`${file}: "${key}" must be a positive integer`);
+    }
+    if (type === "section" && !isPlainObject(value)) throw new Error(`${file}: "${key}" must be an object`);
+    if ((type === "string" || type === "boolean") && typeof value !== type) {
+      throw new Error(`${file}: "${key}" must be a ${type}`);
+    }
+  }
+  if (config.filename !== undefined) {
+    try {
+      checkFilenameTemplate(config.filename);
+    } catch (err) {
+      throw new Error(`${file}: "filename": ${err.message}`);
+    }
+  }
+  for (const [tool, verbosity] of Object.entries(config.tools || {})) {
+    if (!TOOL_VERBOSITY.includes(verbosity)) {
+      throw new Error(`${file}: tools["${tool}"] must be one of: ${TOOL_VERBOSITY.map((v) => `"${v}"`).join(", ")}`);
+    }
+  }
+  for (const key of Object.keys(config.redact || {})) {
+    if (!REDACT_KEYS.includes(key)) throw unknownKeyError(file, `redact.${key}`, REDACT_KEYS.map((k) => `redact.${k}`));
+  }
+}
+
+// ── Loading ─────────────────────────────────────────────────────────
+/** One validated config file, with outputDir made absolute; {} when it does not exist. */
+function readConfigFile(file, home) {
+  if (!fs.existsSync(file)) return {};
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+  }
+  validateConfig(file, config);
+  if (config.outputDir) {
+    const dir = config.outputDir.replace(/^~(?=$|[\\/])/, home);
+    config.outputDir = path.resolve(path.dirname(file), dir);
+  }
+  return config;
+}
+
+/**
+ * The merged export config for a project: every key of DEFAULT_CONFIG, set
+ * from the project's and the user's config files. Throws on invalid files.
+ */
+function loadConfig(projectRoot, { home = os.homedir() } = {}) {
+  const userFile = path.join(home, CONFIG_FILE);
+  const projectFile = path.join(projectRoot, CONFIG_FILE);
+  const layers = [readConfigFile(userFile, home)];
+  if (path.resolve(projectFile) !== path.resolve(userFile)) layers.push(readConfigFile(projectFile, home));
+
+  const config = { ...DEFAULT_CONFIG, outputDir: path.join(home, "Downloads") };
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer)) {
+      config[key] = CONFIG_KEYS[key] === "section" ? { ...config[key], ...value } : value;
+    }
+  }
+  return config;
+}
+
+/** The converter options of a config (inclusion, limits, per-tool verbosity). */
+function converterOptions(config) {
+  const options = {};
+  for (const key of CONVERTER_KEYS) options[key] = config[key];
+  return options;
+}
+
+/**
+ * A file name from a `filename` template ({project}, {branch}, {session},
+ * {date}); placeholder values are reduced to characters that are safe in
+ * file names, so a branch like "feat/x" becomes "feat-x".
+ */
+function formatFilename(template, values) {
+  return template.replace(/\{(\w+)\}/g, (_, field) => String(values[field] ?? "").replace(/[^\w.-]+/g, "-"));
+}
+
+module.exports = {
+  CONFIG_FILE,
+  DEFAULT_CONFIG,
+  TOOL_VERBOSITY,
+  loadConfig,
+  converterOptions,
+  checkFilenameTemplate,
+  formatFilename,
+};
@@ -0,0 +1,173 @@
+/**
+ * Tool-use dataset export (`--format dataset`): one JSONL record per turn,
+ * for building evals or fine-tuning sets from real sessions.
+ *
+ *   { id, session_id, turn, timestamp, model, request,
+ *     trajectory: [{ tool, input, result, is_error }], answer,
+ *     labels: { tool_calls, tool_errors, files_changed, answered, completed } }
+ *
+ * A turn is a user prompt and everything up to the next one, numbered per
+ * session. `answer` is the assistant's text after the turn's last tool call
+ * (null when the turn ended on a call); a turn is `completed` when it has
+ * one and every tool call got a result. `files_changed` lists the files
+ * that edit tools changed without an error, including those of subagents
+ * the turn ran.
+ *
+ * Records are deduplicated by a hash of the request, the tool calls and the
+ * answer, so turns that a resumed or continued session carries over from an
+ * earlier one appear once. Sidechain (subagent) entries are left out; a
+ * subagent's work is the result of its Task call.
+ */
+
+const crypto = require("crypto");
+const { SESSION_START } = require("./sessions");
+const { SLICE_START } = require("./slice");
+const { TASK_TOOL, isSidechain, createSubagentIndex } = require("./subagents");
+const { isCompactSummary } = require("./compaction");
+const { stripSystemTags, truncateLines } = require("./transcript");
+
+const EDIT_TOOLS = new Set(["Edit", "MultiEdit", "Write", "NotebookEdit"]);
+
+/** The text of a message or tool result content (a string or blocks). */
+function textOf(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content.filter((c) => c.type === "text").map((c) => c.text).join("\n");
+}
+
+/** Files a call changed: its own target, or those a subagent edited. */
+function editedFiles(block, result) {
+  const input = block.input || {};
+  if (EDIT_TOOLS.has(block.name)) return result.is_error ? [] : [input.file_path || input.notebook_path].filter(Boolean);
+  return [];
+}
+
+/** Files the edit calls of a subagent transcript changed without an error. */
+function subagentFiles(transcript) {
+  const calls = new Map(); // tool_use id -> block
+  const files = [];
+  for (const entry of transcript.entries) {
+    const content = entry.message?.content;
+    if (!Array.isArray(content)) continue;
+    for (const block of content) {
+      if (block.type === "tool_use") calls.set(block.id, block);
+      if (block.type === "tool_result" && calls.has(block.tool_use_id)) files.push(...editedFiles(calls.get(block.tool_use_id), block));
+    }
+  }
+  return files;
+}
+
+function recordId(record) {
+  const key = JSON.stringify([record.request, record.trajectory.map((step) => [step.tool, step.input]), record.answer]);
+  return crypto.createHash("sha256").update(key).digest("hex").substring(0, 16);
+}
+
+/**
+ * The dataset records of a session (or merged sessions), oldest first.
+ * Options: includeResults and maxResultLines as for the transcripts,
+ * `skipErrorTurns` to leave out turns with a failed tool call, and
+ * `dedupe` (default true).
+ */
+function convertToDataset(entries, opts) {
+  const records = [];
+  const seen = new Set();
+  let turn = null;
+  let turnCount = 0;
+  let sessionId = opts.sessionId;
+  const subagents = createSubagentIndex(opts.subagents);
+
+  function finishTurn() {
+    if (!turn) return;
+    const { steps, record } = turn;
+    turn = null;
+    record.trajectory = steps.map(({ tool, input, result, is_error }) => ({ tool, input, result, is_error }));
+    const errors = steps.filter((step) => step.is_error).length;
+    const changed = steps.flatMap((step) => step.files).map((file) => opts.shortPath(file));
+    record.labels = {
+      tool_calls: steps.length,
+      tool_errors: errors,
+      files_changed: [...new Set(changed)],
+      answered: record.answer !== null,
+      completed: record.answer !== null && steps.every((step) => step.resolved),
+    };
+    if (opts.skipErrorTurns && errors > 0) return;
+    const id = recordId(record);
+    if (opts.dedupe !== false && seen.has(id)) return;
+    seen.add(id);
+    records.push({ id, ...record });
+  }
+
+  for (const entry of entries) {
+    if (entry.type === SESSION_START) {
+      finishTurn();
+      turnCount = 0;
+      sessionId = entry.session.id;
+      continue;
+    }
+    // A sliced stream keeps the turn numbers of the session.
+    if (entry.type === SLICE_START) {
+      turnCount = entry.slice.sessionTurn - 1;
+      continue;
+    }
+    if (isSidechain(entry)) {
+      subagents.add(entry);
+      continue;
+    }
+    if (opts.branches?.branchOf(entry)) continue;
+    if ((entry.type !== "user" && entry.type !== "assistant") || entry.isMeta || !entry.message?.content) continue;
+    const content = entry.message.content;
+
+    if (entry.type === "user") {
+      const results = Array.isArray(content) ? content.filter((c) => c.type === "tool_result") : [];
+      for (const result of results) {
+        const step = turn && turn.steps.find((s) => s.id === result.tool_use_id && !s.resolved);
+        if (!step) continue;
+        step.resolved = true;
+        step.is_error = result.is_error || false;
+        step.result = opts.includeResults ? truncateLines(textOf(result.content), opts.maxResultLines) : null;
+        step.files = editedFiles(step.block, result);
+        const transcript = step.tool === TASK_TOOL ? subagents.match(step.block, entry.toolUseResult?.agentId) : null;
+        if (transcript) step.files.push(...subagentFiles(transcript));
+      }
+      if (results.length > 0 || isCompactSummary(entry)) continue;
+      const request = stripSystemTags(textOf(content));
+      if (!request) continue;
+      finishTurn();
+      turnCount++;
+      turn = {
+        steps: [],
+        record: {
+          session_id: entry.sessionId || sessionId || null,
+          turn: turnCount,
+          timestamp: entry.timestamp || null,
+          model: null,
+          request,
+          trajectory: [],
+          answer: null,
+        },
+      };
+    } else if (turn && Array.isArray(content)) {
+      if (entry.message.model && !entry.message.model.startsWith("<")) turn.record.model = entry.message.model;
+      // The answer is the text after the last tool call.
+      for (const block of content) {
+        if (block.type === "text" && typeof block.text === "string" && block.text.trim()) turn.record.answer = block.text;
+        if (block.type !== "tool_use") continue;
+        turn.record.answer = null;
+        turn.steps.push({
+          id: block.id,
+          block,
+          tool: block.name,
+          input: block.input || {},
+          result: null,
+          is_error: false,
+          resolved: false,
+          files: [],
+        });
+      }
+    }
+  }
+  finishTurn();
+  return records;
+}
+
+module.exports = { convertToDataset };
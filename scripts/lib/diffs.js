@@ -0,0 +1,320 @@
+/**
+ * Net per-file changes for the JSON handoff.
+ *
+ * Write/Edit/MultiEdit calls (and the Read results that precede them) are
+ * collected while a session streams by. Afterwards each changed file is
+ * rebuilt by replaying its successful edits, in timestamp order, onto a base:
+ *   read  the first full Read of the file, taken before any change
+ *   git   the file at git HEAD (it may have drifted before the session)
+ *   new   neither exists and the first change is a Write: a new file
+ *   none  no base at all; the edits are listed as standalone hunks
+ * and a unified diff from base to final content is emitted, capped at a
+ * number of lines.
+ *
+ * `status` is "exact" when the base is a full Read (or the file is new) and
+ * every edit applied cleanly, "approximate" otherwise.
+ */
+
+const EDIT_TOOLS = new Set(["Edit", "MultiEdit", "Write"]);
+const READ_LINE_LIMIT = 2000; // Read's default line limit and per-line cap
+const DIFF_CONTEXT = 3;
+const MAX_LCS_CELLS = 4000000;
+
+// ── Tool payloads ───────────────────────────────────────────────────
+function resultText(block) {
+  if (typeof block.content === "string") return block.content;
+  if (!Array.isArray(block.content)) return "";
+  return block.content.map((c) => (c && c.type === "text" ? c.text : "")).join("\n");
+}
+
+/**
+ * Rebuild file content from a Read result ("     1→text" or "     1\ttext"
+ * lines). `complete` is false for offset/limit reads and results that may
+ * have hit Read's size limits.
+ */
+function parseReadResult(text, input) {
+  const lines = [];
+  let expected = 1;
+  let contiguous = true;
+  for (const line of text.split("\n")) {
+    const m = /^\s*(\d+)(?:→|\t)(.*)$/.exec(line);
+    if (!m) {
+      if (lines.length > 0) break; // trailing notes, e.g. <system-reminder>
+      continue;
+    }
+    if (+m[1] !== expected) contiguous = false;
+    expected = +m[1] + 1;
+    lines.push(m[2].replace(/\r$/, ""));
+  }
+  if (lines.length === 0) return null;
+  const complete = contiguous &&
+    !input.offset && !input.limit &&
+    lines.length < READ_LINE_LIMIT &&
+    lines.every((l) => l.length < READ_LINE_LIMIT);
+  return { content: lines.join("\n") + "\n", complete };
+}
+
+function editsOf(name, input) {
+  if (name === "MultiEdit") return Array.isArray(input.edits) ? input.edits : [];
+  return [input];
+}
+
+/** Apply one Edit; `ok` is false when old_string is missing or not unique. */
+function applyEdit(content, edit) {
+  const oldText = edit.old_string;
+  const newText = edit.new_string ?? "";
+  if (typeof oldText !== "string" || oldText === "") return { content, ok: false };
+  const index = content.indexOf(oldText);
+  if (index < 0) return { content, ok: false };
+  if (edit.replace_all) return { content: content.split(oldText).join(newText), ok: true };
+  const unique = content.indexOf(oldText, index + 1) < 0;
+  return { content: content.slice(0, index) + newText + content.slice(index + oldText.length), ok: unique };
+}
+
+// ── Diff ────────────────────────────────────────────────────────────
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/**
+ * Line diff as [{ op: " " | "-" | "+", line }]. Common prefix and suffix are
+ * trimmed first; the rest goes through an LCS table, or is shown as a
+ * straight replacement when that table would be too large.
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const out = a.slice(0, start).map((line) => ({ op: " ", line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+  if (n * m > MAX_LCS_CELLS) {
+    for (const line of midA) out.push({ op: "-", line });
+    for (const line of midB) out.push({ op: "+", line });
+  } else {
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) { out.push({ op: " ", line: midA[i] }); i++; j++; }
+      else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) out.push({ op: "-", line: midA[i++] });
+      else out.push({ op: "+", line: midB[j++] });
+    }
+    while (i < n) out.push({ op: "-", line: midA[i++] });
+    while (j < m) out.push({ op: "+", line: midB[j++] });
+  }
+  for (const line of a.slice(endA)) out.push({ op: " ", line });
+  return out;
+}
+
+function hunkRange(start, count) {
+  return count === 1 ? `${start}` : `${count === 0 ? start - 1 : start},${count}`;
+}
+
+/**
+ * Unified diff between two texts. `oldText` null means the file did not
+ * exist. Returns { lines, added, removed }; `lines` is empty when nothing
+ * changed.
+ */
+function unifiedDiff(oldText, newText, label) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const added = ops.filter((o) => o.op === "+").length;
+  const removed = ops.filter((o) => o.op === "-").length;
+  if (added === 0 && removed === 0) return { lines: [], added, removed };
+
+  const lines = [oldText === null ? "--- /dev/null" : `--- a/${label}`, `+++ b/${label}`];
+  const changed = [];
+  ops.forEach((o, k) => { if (o.op !== " ") changed.push(k); });
+  let k = 0;
+  while (k < changed.length) {
+    // Merge changes whose context windows touch into one hunk.
+    let last = k;
+    while (last + 1 < changed.length && changed[last + 1] - changed[last] <= DIFF_CONTEXT * 2) last++;
+    const from = Math.max(0, changed[k] - DIFF_CONTEXT);
+    const to = Math.min(ops.length, changed[last] + DIFF_CONTEXT + 1);
+    let oldLine = 1;
+    let newLine = 1;
+    for (let x = 0; x < from; x++) {
+      if (ops[x].op !== "+") oldLine++;
+      if (ops[x].op !== "-") newLine++;
+    }
+    const body = ops.slice(from, to);
+    const oldCount = body.filter((o) => o.op !== "+").length;
+    const newCount = body.filter((o) => o.op !== "-").length;
+    lines.push(`@@ -${hunkRange(oldLine, oldCount)} +${hunkRange(newLine, newCount)} @@`);
+    for (const o of body) lines.push(o.op + o.line);
+    k = last + 1;
+  }
+  return { lines, added, removed };
+}
+
+/** Edits against an unknown base, as standalone hunks. */
+function editHunks(edits, label) {
+  const lines = [`--- a/${label}`, `+++ b/${label}`];
+  let added = 0;
+  let removed = 0;
+  edits.forEach((edit, i) => {
+    const oldLines = splitLines(edit.old_string || "");
+    const newLines = splitLines(edit.new_string || "");
+    lines.push(`@@ edit ${i + 1}${edit.replace_all ? " (all occurrences)" : ""} @@`);
+    for (const line of oldLines) lines.push("-" + line);
+    for (const line of newLines) lines.push("+" + line);
+    removed += oldLines.length;
+    added += newLines.length;
+  });
+  return { lines, added, removed };
+}
+
+/**
+ * Cap a diff at `maxLines` lines, cutting at a hunk boundary when one is
+ * close enough. Returns the (possibly shortened) diff text.
+ */
+function truncateDiff(diff, maxLines) {
+  const lines = diff.split("\n");
+  if (lines.length <= maxLines) return diff;
+  let cut = maxLines;
+  for (let i = maxLines; i > maxLines / 2; i--) {
+    if (lines[i].startsWith("@@")) { cut = i; break; }
+  }
+  return lines.slice(0, cut).concat(`... (diff truncated, ${lines.length - cut} more lines)`).join("\n");
+}
+
+// ── Tracker ─────────────────────────────────────────────────────────
+/**
+ * Collects file operations from entries fed to add() - the main session
+ * while it streams, then any subagent transcripts. A tool call is recorded
+ * once its result arrives, and skipped if that result is an error; calls
+ * left without a result are recorded by build().
+ */
+function createChangeTracker() {
+  const pending = new Map(); // tool_use id -> { name, input }
+  const files = new Map(); // file path -> { firstRead, ops }
+  let seq = 0;
+  let lastTime = 0;
+
+  function fileOf(filePath) {
+    if (!files.has(filePath)) files.set(filePath, { firstRead: null, ops: [] });
+    return files.get(filePath);
+  }
+
+  function record({ name, input }, result, time) {
+    const file = fileOf(input.file_path);
+    const at = { time, seq: seq++ };
+    if (name === "Read") {
+      // Only the earliest Read can serve as the base; later ones are dropped.
+      if (result === null || (file.firstRead && file.firstRead.time <= time)) return;
+      const parsed = parseReadResult(result, input);
+      if (parsed) file.firstRead = { ...at, ...parsed };
+    } else if (name === "Write") {
+      file.ops.push({ ...at, write: input.content || "" });
+    } else {
+      file.ops.push({ ...at, edits: editsOf(name, input) });
+    }
+  }
+
+  function add(entry) {
+    const time = Date.parse(entry.timestamp) || lastTime;
+    lastTime = time;
+    const content = entry.message?.content;
+    if (!Array.isArray(content)) return;
+    for (const block of content) {
+      if (block.type === "tool_use") {
+        const input = block.input || {};
+        if ((block.name === "Read" || EDIT_TOOLS.has(block.name)) && input.file_path) {
+          pending.set(block.id, { name: block.name, input });
+        }
+      } else if (block.type === "tool_result") {
+        const use = pending.get(block.tool_use_id);
+        if (!use) continue;
+        pending.delete(block.tool_use_id);
+        if (!block.is_error) record(use, resultText(block), time);
+      }
+    }
+  }
+
+  /**
+   * Rebuild every changed file. `readBase(filePath)` returns the git HEAD
+   * content or null; `label(filePath)` the path shown in diff headers.
+   * Returns Map(filePath -> { base, status, added, removed, diff,
+   * unapplied_edits }).
+   */
+  function build({ readBase, label, maxLines }) {
+    for (const use of pending.values()) record(use, null, lastTime);
+    pending.clear();
+
+    const out = new Map();
+    for (const [filePath, file] of files) {
+      if (file.ops.length === 0) continue;
+      const ops = file.ops.sort((a, b) => a.time - b.time || a.seq - b.seq);
+      const name = label(filePath);
+
+      let base = "none";
+      let baseText = null;
+      const read = file.firstRead;
+      if (read && read.complete && read.time <= ops[0].time) {
+        base = "read";
+        baseText = read.content;
+      } else {
+        const head = readBase(filePath);
+        if (head !== null) {
+          base = "git";
+          baseText = head;
+        } else if (ops[0].write !== undefined) {
+          base = "new";
+        }
+      }
+
+      let content = baseText;
+      let unapplied = 0;
+      const looseEdits = []; // edits with no known content to apply them to
+      for (const op of ops) {
+        if (op.write !== undefined) {
+          content = op.write;
+          looseEdits.length = 0;
+          continue;
+        }
+        for (const edit of op.edits) {
+          if (content === null) { looseEdits.push(edit); continue; }
+          const applied = applyEdit(content, edit);
+          if (!applied.ok) unapplied++;
+          content = applied.content;
+        }
+      }
+
+      let diff;
+      if (content === null) diff = editHunks(looseEdits, name);
+      else diff = unifiedDiff(base === "new" ? null : baseText || "", content, name);
+      const exact = (base === "read" || base === "new") && unapplied === 0 && looseEdits.length === 0;
+      const text = diff.lines.join("\n");
+      out.set(filePath, {
+        base,
+        status: exact ? "exact" : "approximate",
+        added: diff.added,
+        removed: diff.removed,
+        diff: text ? truncateDiff(text, maxLines) : "",
+        unapplied_edits: unapplied || undefined,
+      });
+    }
+    return out;
+  }
+
+  return { add, build };
+}
+
+module.exports = { createChangeTracker, truncateDiff, splitLines, diffLines, unifiedDiff };
@@ -0,0 +1,483 @@
+/**
+ * The JSON handoff for claude-export: a compact, structured summary of a
+ * session for AI agent continuation, expert review and cross-model handoff.
+ *
+ * It captures what task was requested, what was done (files changed with
+ * net diffs, commands run, subagent work), current progress (todos), errors
+ * encountered, a condensed conversation digest, and the images the session
+ * carried (`attachments`, see attachments.js). A sliced stream (slice.js)
+ * gives a handoff of those turns only, with a `slice` note on what came
+ * before.
+ *
+ * Built from entries and options alone; the options are the ones index.js
+ * resolves (sessionId, projectPath, projectName, shortPath, git, redactor,
+ * prices, branches, subagents, attachments, and the maxTaskChars,
+ * maxExcerptChars and maxSnippetChars text limits). Git HEAD is read, never written, to find
+ * the base of each changed file.
+ *
+ * The output must match schemas/claude-code-handoff-<HANDOFF_VERSION>.schema.json;
+ * change the shape only together with a new schema version (see schema.js).
+ */
+
+const { TASK_TOOL, isSidechain, createSubagentIndex } = require("./subagents");
+const { createCompactionTracker } = require("./compaction");
+const { createChangeTracker } = require("./diffs");
+const { createUsageTracker } = require("./usage");
+const { createTimingTracker } = require("./timing");
+const { SESSION_START } = require("./sessions");
+const { SLICE_START } = require("./slice");
+const { readGitFile } = require("./project");
+const { HANDOFF_FORMAT, HANDOFF_VERSION } = require("./schema");
+const { createAttachmentCollector, describeAttachments } = require("./attachments");
+const { stripSystemTags, toolResultsOf } = require("./transcript");
+
+const MAX_COMPACTION_SUMMARY_CHARS = 2000;
+const MAX_DIFF_LINES = 150; // per file
+
+// ── Helpers ─────────────────────────────────────────────────────────
+function truncate(text, max) {
+  if (!text || text.length <= max) return text || "";
+  return text.substring(0, max) + "...";
+}
+
+// ── Tool results ────────────────────────────────────────────────────
+/**
+ * Reduce a tool result to the few excerpts the handoff uses, so the full
+ * output can be dropped as soon as it has been seen.
+ */
+function summarizeToolResult(result, entry, opts) {
+  const content = result.text || "";
+  const lines = content.split("\n");
+  return {
+    is_error: result.is_error,
+    agentId: entry.toolUseResult?.agentId,
+    hasContent: !!content,
+    excerpt: truncate(content, opts.maxExcerptChars),
+    output: lines.length <= 5 ? content.trim() : truncate(content, opts.maxSnippetChars),
+    matches: lines.filter(Boolean).length,
+  };
+}
+
+// ── Extract structured data ─────────────────────────────────────────
+function describeToolError(name, input, result, opts) {
+  return {
+    tool: name,
+    error: result.excerpt,
+    input_summary: name === "Bash"
+      ? truncate(input.command, opts.maxSnippetChars)
+      : name === "Read" || name === "Write" || name === "Edit" || name === "MultiEdit"
+        ? opts.shortPath(input.file_path)
+        : truncate(JSON.stringify(input), opts.maxSnippetChars),
+  };
+}
+
+/**
+ * Note a Write/Edit/MultiEdit in `fileChanges` (short path -> full path);
+ * returns the file's short path, or null. What changed comes from the
+ * change tracker.
+ */
+function recordFileChange(fileChanges, name, input, shortPath) {
+  if ((name === "Write" || name === "Edit" || name === "MultiEdit") && input.file_path) {
+    const sp = shortPath(input.file_path);
+    if (!fileChanges[sp]) fileChanges[sp] = input.file_path;
+    return sp;
+  }
+  return null;
+}
+
+/**
+ * Summarize a Task call's subagent transcript. Its Write/Edit calls are also
+ * recorded into the parent's `fileChanges` and `changeTracker`.
+ */
+function extractSubagent(transcript, taskInput, fileChanges, changeTracker, opts) {
+  const results = {};
+  const uses = [];
+  for (const entry of transcript.entries) {
+    changeTracker.add(entry);
+    for (const r of toolResultsOf(entry)) results[r.id] = summarizeToolResult(r, entry, opts);
+    if (entry.type !== "assistant" || !Array.isArray(entry.message?.content)) continue;
+    for (const block of entry.message.content) {
+      if (block.type === "tool_use") uses.push(block);
+    }
+  }
+
+  const changed = new Set();
+  const errors = [];
+  for (const block of uses) {
+    const input = block.input || {};
+    const result = results[block.id];
+    if (result?.is_error) errors.push(describeToolError(block.name, input, result, opts));
+    const file = recordFileChange(fileChanges, block.name, input, opts.shortPath);
+    if (file) changed.add(file);
+  }
+
+  return {
+    agent: taskInput.subagent_type || "unknown",
+    description: taskInput.description,
+    agent_id: transcript.agentId || undefined,
+    tool_calls: uses.length,
+    changes: [...changed],
+    errors,
+  };
+}
+
+/**
+ * Fold one entry of an abandoned branch into its summary. Its edits are
+ * listed by file only; they never reach `changes`.
+ */
+function summarizeBranchEntry(summary, entry, opts) {
+  const content = entry.message?.content;
+  if (!Array.isArray(content)) return;
+  if (entry.type === "user" && !content.some((c) => c.type === "tool_result")) {
+    const text = content.filter((c) => c.type === "text").map((c) => stripSystemTags(c.text)).join(" ").trim();
+    if (text) summary.prompts.push(truncate(text, opts.maxExcerptChars));
+  }
+  if (entry.type === "assistant") {
+    for (const block of content) {
+      if (block.type !== "tool_use") continue;
+      summary.tool_calls++;
+      const file = block.input?.file_path;
+      if (file && (block.name === "Write" || block.name === "Edit")) summary.files.add(opts.shortPath(file));
+    }
+  }
+}
+
+/** The handoff's `session.usage` block; costs in USD, rounded to 4 decimals. */
+function describeUsage(summary) {
+  if (summary.responses === 0) return undefined;
+  const usd = (cost) => (cost === null ? null : Math.round(cost * 10000) / 10000);
+  const tokens = (t) => ({
+    input_tokens: t.input,
+    output_tokens: t.output,
+    cache_creation_input_tokens: t.cacheWrite,
+    cache_read_input_tokens: t.cacheRead,
+  });
+  return {
+    responses: summary.responses,
+    ...tokens(summary.tokens),
+    cache_hit_ratio: summary.cacheHitRatio === null ? null : Math.round(summary.cacheHitRatio * 1000) / 1000,
+    estimated_cost_usd: usd(summary.cost),
+    unpriced_models: summary.unpriced.length > 0 ? summary.unpriced : undefined,
+    by_model: summary.models.map((m) => ({
+      model: m.model, responses: m.responses, ...tokens(m.tokens), estimated_cost_usd: usd(m.cost),
+    })),
+    top_turns: summary.topTurns.map((t) => ({ turn: t.turn, tokens: t.tokens, estimated_cost_usd: usd(t.cost) })),
+  };
+}
+
+/** The handoff's `timing` block; durations in seconds. */
+function describeTiming(summary) {
+  if (summary.turns.length === 0) return undefined;
+  const sec = (ms) => Math.round(ms / 100) / 10;
+  const iso = (ms) => new Date(ms).toISOString();
+  return {
+    wall_seconds: sec(summary.wall),
+    active_seconds: sec(summary.active),
+    model_seconds: sec(summary.model),
+    tool_seconds: sec(summary.tools),
+    idle_gaps: summary.idleGaps.map((g) => ({ after_turn: g.afterTurn, from: iso(g.start), to: iso(g.end), seconds: sec(g.ms) })),
+    slowest_tool_calls: summary.slowest.map((c) => ({ turn: c.turn, tool: c.tool, target: c.target || undefined, seconds: sec(c.ms) })),
+    turns: summary.turns.map((t) => ({
+      turn: t.turn, started: iso(t.start), wall_seconds: sec(t.wall), model_seconds: sec(t.model),
+      tool_seconds: sec(t.tools), tool_calls: t.calls,
+    })),
+  };
+}
+
+/** The handoff's `slice` block: the turns it covers and what came before. */
+function describeSlice(slice, shortPath) {
+  return {
+    from_turn: slice.fromTurn,
+    to_turn: slice.toTurn,
+    total_turns: slice.totalTurns,
+    before: {
+      turns: slice.before.turns,
+      tool_calls: slice.before.toolCalls,
+      files_changed: slice.before.filesChanged.map(shortPath),
+      started: slice.before.started || undefined,
+    },
+  };
+}
+
+/**
+ * Build the handoff in a single pass over `entries` (any iterable, e.g. a
+ * streaming reader). Tool calls are collected in order and analysed after
+ * the pass; their results are condensed by summarizeToolResult() on arrival.
+ *
+ * Several sessions can be streamed back to back (SESSION_START markers
+ * between them): their changes, errors and actions then accumulate, and the
+ * latest todo list wins.
+ */
+function extractHandoff(entries, opts) {
+  const { shortPath, git } = opts;
+  const toolResults = {};
+  const toolUses = [];
+  const toolNames = new Map(); // tool_use id -> tool name, for the images of results
+  const attachments = opts.attachments || createAttachmentCollector();
+  const subagentIndex = createSubagentIndex(opts.subagents);
+  const userMessages = [];
+  const digest = [];
+  const abandonedBranches = new Map();
+  const changeTracker = createChangeTracker();
+  const usage = createUsageTracker();
+  const timing = createTimingTracker({ displayPath: shortPath });
+  const sessions = [];
+  let currentSession = null;
+  const compactions = [];
+  const compactionTracker = createCompactionTracker((event) => {
+    compactions.push({
+      timestamp: event.timestamp,
+      trigger: event.trigger || undefined,
+      pre_tokens: event.preTokens ?? undefined,
+      title: event.title || undefined,
+      summary: event.summary ? truncate(event.summary, MAX_COMPACTION_SUMMARY_CHARS) : null,
+    });
+  });
+  let startTs = null, endTs = null;
+  let turnNum = 0;
+  let slice = null;
+
+  for (const entry of entries) {
+    if (entry.type === SESSION_START) {
+      currentSession = { id: entry.session.id, started: null, ended: null };
+      sessions.push(currentSession);
+      timing.add(entry);
+      continue;
+    }
+    if (entry.type === SLICE_START) {
+      slice = entry.slice;
+      turnNum = slice.fromTurn - 1;
+      usage.add(entry);
+      timing.add(entry);
+      continue;
+    }
+    // Sidechain entries belong to a subagent; see extractSubagent().
+    if (isSidechain(entry)) {
+      subagentIndex.add(entry);
+      usage.add(entry);
+      continue;
+    }
+    // Only present with --all-branches; summarized apart from the real changes.
+    const branch = opts.branches?.branchOf(entry);
+    if (branch) {
+      if (!abandonedBranches.has(branch.id)) {
+        abandonedBranches.set(branch.id, { branch: branch.id, after_turn: turnNum, prompts: [], tool_calls: 0, files: new Set() });
+      }
+      summarizeBranchEntry(abandonedBranches.get(branch.id), entry, opts);
+      continue;
+    }
+    usage.add(entry);
+    timing.add(entry);
+    if (entry.timestamp) {
+      if (!startTs) startTs = entry.timestamp;
+      endTs = entry.timestamp;
+      if (currentSession) {
+        if (!currentSession.started) currentSession.started = entry.timestamp;
+        currentSession.ended = entry.timestamp;
+      }
+    }
+    if (compactionTracker.add(entry)) continue;
+    changeTracker.add(entry);
+    for (const r of toolResultsOf(entry)) {
+      toolResults[r.id] = summarizeToolResult(r, entry, opts);
+      for (const image of r.images) attachments.add(image, { turn: turnNum, origin: "tool_result", tool: toolNames.get(r.id) });
+    }
+
+    const content = entry.message?.content;
+    if (!Array.isArray(content)) continue;
+
+    if (entry.type === "user" && entry.message?.role === "user") {
+      const isToolResult = content.some((c) => c.type === "tool_result");
+      if (isToolResult) continue;
+      turnNum++;
+      let text = "";
+      for (const block of content) {
+        if (block.type === "text") {
+          const cleaned = stripSystemTags(block.text);
+          if (cleaned) {
+            userMessages.push(truncate(cleaned, opts.maxTaskChars));
+            text += (text ? " " : "") + cleaned;
+          }
+        } else if (block.type === "image") {
+          attachments.add(block, { turn: turnNum, origin: "user" });
+        }
+      }
+      if (text) digest.push({ turn: turnNum, role: "user", content: truncate(text, opts.maxExcerptChars) });
+    }
+
+    if (entry.type === "assistant" && entry.message?.role === "assistant") {
+      let text = "";
+      for (const block of content) {
+        if (block.type === "tool_use") {
+          toolUses.push(block);
+          toolNames.set(block.id, block.name);
+        } else if (block.type === "text" && block.text?.trim()) {
+          text += (text ? " " : "") + block.text.trim();
+        }
+      }
+      if (text) digest.push({ turn: turnNum, role: "assistant", content: truncate(text, opts.maxExcerptChars) });
+    }
+  }
+  compactionTracker.flush();
+  // Inline subagent responses were already counted; the tracker dedupes them.
+  for (const transcript of opts.subagents || []) usage.addTranscript(transcript.entries);
+
+  const durationMin = startTs && endTs
+    ? Math.round((new Date(endTs) - new Date(startTs)) / 60000) : 0;
+
+  const fileChanges = {};
+  const filesRead = new Set();
+  const errors = [];
+  const actions = [];
+  const searches = [];
+  const subagents = [];
+  let latestTodos = null;
+  const toolCallCount = toolUses.length;
+
+  for (const block of toolUses) {
+    const name = block.name;
+    const input = block.input || {};
+    const result = toolResults[block.id];
+    const isError = result?.is_error || false;
+
+    if (isError) errors.push(describeToolError(name, input, result, opts));
+
+    if (!recordFileChange(fileChanges, name, input, shortPath) && name === "Read" && input.file_path) {
+      filesRead.add(shortPath(input.file_path));
+    }
+
+    if (name === "Bash" && input.command) {
+      const cmd = input.command.trim();
+      if (cmd.length > 5 && !cmd.startsWith("echo ")) {
+        const actionEntry = { command: truncate(cmd, opts.maxExcerptChars) };
+        if (input.description) actionEntry.description = input.description;
+        if (isError) actionEntry.failed = true;
+        else if (result?.hasContent) actionEntry.output = result.output;
+        actions.push(actionEntry);
+      }
+    }
+
+    if (name === "Grep") {
+      const s = { type: "grep", pattern: input.pattern };
+      if (input.path) s.path = shortPath(input.path);
+      if (input.glob) s.glob = input.glob;
+      if (result?.hasContent) s.matches = result.matches;
+      searches.push(s);
+    } else if (name === "Glob") {
+      const s = { type: "glob", pattern: input.pattern };
+      if (input.path) s.path = shortPath(input.path);
+      if (result?.hasContent) s.matches = result.matches;
+      searches.push(s);
+    }
+
+    if (name === "TodoWrite" && input.todos) latestTodos = input.todos;
+
+    if (name === TASK_TOOL) {
+      const transcript = subagentIndex.match(block, result?.agentId);
+      if (transcript) subagents.push(extractSubagent(transcript, input, fileChanges, changeTracker, opts));
+      const taskEntry = {
+        command: truncate(input.command || input.prompt, opts.maxExcerptChars),
+        agent: input.subagent_type || "unknown",
+      };
+      if (input.description) taskEntry.description = input.description;
+      if (result?.hasContent) taskEntry.result = result.excerpt;
+      if (isError) taskEntry.failed = true;
+      actions.push(taskEntry);
+    }
+  }
+
+  // Net diff per changed file; git HEAD content is redacted like the session.
+  const fileDiffs = changeTracker.build({
+    readBase(filePath) {
+      const content = opts.projectPath ? readGitFile(opts.projectPath, shortPath(filePath)) : null;
+      return content !== null && opts.redactor ? opts.redactor.redactText(content, { filePath }) : content;
+    },
+    label: shortPath,
+    maxLines: MAX_DIFF_LINES,
+  });
+
+  // Progress from todos
+  const progress = { completed: [], in_progress: [], pending: [] };
+  if (latestTodos) {
+    for (const t of latestTodos) {
+      if (t.status === "completed") progress.completed.push(t.content);
+      else if (t.status === "in_progress") progress.in_progress.push(t.content);
+      else progress.pending.push(t.content);
+    }
+  }
+
+  // Deduplicate searches
+  const uniqueSearches = [];
+  const seenPatterns = {};
+  for (const s of searches) {
+    const key = s.type + ":" + s.pattern;
+    if (!seenPatterns[key]) { seenPatterns[key] = true; uniqueSearches.push(s); }
+  }
+
+  // Assemble
+  const handoff = {
+    _format: HANDOFF_FORMAT,
+    _version: HANDOFF_VERSION,
+    _purpose: "Structured session export for AI agent continuation. Read this to understand what was done, what changed, and what remains.",
+    _tool: "claude-export (https://github.com/stephenpham68/claude-export)",
+
+    session: {
+      id: opts.sessionId,
+      project: opts.projectName,
+      branch: git.branch,
+      started: startTs,
+      ended: endTs,
+      duration_minutes: durationMin,
+      tool_calls: toolCallCount,
+      error_count: errors.length,
+      redactions: opts.redactor ? opts.redactor.summary().total : null,
+      abandoned_branches: opts.branches?.branchCount || undefined,
+      usage: opts.prices ? describeUsage(usage.summary(opts.prices)) : undefined,
+    },
+    sessions,
+    slice: slice ? describeSlice(slice, shortPath) : undefined,
+    timing: describeTiming(timing.summary()),
+
+    // A session continued from a compaction may no longer hold its first prompt.
+    task: userMessages[0] || truncate(compactions.find((c) => c.summary)?.summary, opts.maxTaskChars) || "(no task detected)",
+    progress,
+
+    // Files whose every change failed are left out; the failures are in `errors`.
+    changes: Object.entries(fileChanges).filter(([, filePath]) => fileDiffs.has(filePath)).map(([file, filePath]) => {
+      const net = fileDiffs.get(filePath);
+      return {
+        file,
+        action: net.base === "new" ? "created" : "modified",
+        status: net.status,
+        base: net.base,
+        lines_added: net.added,
+        lines_removed: net.removed,
+        unapplied_edits: net.unapplied_edits,
+        diff: net.diff || undefined,
+      };
+    }),
+
+    files_read: [...filesRead],
+    errors,
+    actions,
+    subagents,
+    compactions,
+    abandoned_branches: [...abandonedBranches.values()].map((b) => ({ ...b, files: [...b.files] })),
+
+    searches: { count: searches.length, unique_patterns: uniqueSearches },
+    attachments: describeAttachments(attachments),
+
+    conversation_digest: digest,
+
+    git_context: {
+      branch: git.branch,
+      recent_commits: git.recentCommits,
+      uncommitted_changes: git.uncommittedFiles.length > 0
+        ? git.uncommittedFiles.slice(0, 20).map(shortPath) : undefined,
+    },
+  };
+
+  return JSON.parse(JSON.stringify(handoff));
+}
+
+module.exports = { extractHandoff };
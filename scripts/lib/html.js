@@ -0,0 +1,491 @@
+/**
+ * Self-contained HTML renderer for export-chat.js (`--format html`).
+ *
+ * Produces a single offline file: inline CSS, inline JS, no CDN or network
+ * requests. Syntax highlighting is done here at export time, so the page
+ * works even with scripts disabled; the inline JS only powers the text
+ * filter and expand/collapse controls. Images are the exception: they are
+ * linked from the export's assets folder unless embedded as data: URIs
+ * (`--embed-images`).
+ *
+ * Input is a plain document model whose messages come from buildMessages()
+ * in transcript.js, the same ones the Markdown export is written from.
+ */
+
+// ── Escaping ────────────────────────────────────────────────────────
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// ── Syntax highlighting ─────────────────────────────────────────────
+const C_LIKE = new Set([
+  "js", "jsx", "ts", "tsx", "mjs", "cjs", "java", "c", "h", "cpp", "hpp", "cc", "cs",
+  "go", "rs", "swift", "kt", "scala", "php", "css", "scss", "less", "dart",
+]);
+const HASH_COMMENT = new Set([
+  "py", "sh", "bash", "zsh", "rb", "yml", "yaml", "toml", "r", "pl", "env", "ini", "conf",
+  "dockerfile", "makefile", "ps1",
+]);
+
+const KEYWORDS = new Set((
+  "abstract as async await break case catch class const continue def default defer del do elif " +
+  "else enum except export extends false final finally fn for from func function go if impl " +
+  "implements import in instanceof interface let match mod module mut new nil none null package " +
+  "pass private protected pub public raise return self static struct super switch this throw " +
+  "throws trait true try type typeof undefined use var void where while with yield " +
+  "echo exit fi then esac done local readonly True False None lambda not and or is"
+).split(" "));
+
+const TOKEN_RES = {
+  c: /(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\.)*`)|(\b\d+(?:\.\d+)?\b)|(\b[A-Za-z_$][\w$]*\b)/g,
+  hash: /(#[^\n]*)|("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|(\b\d+(?:\.\d+)?\b)|(\b[A-Za-z_][\w]*\b)/g,
+  json: /()("(?:[^"\\\n]|\\.)*")|(-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b)|(\btrue\b|\bfalse\b|\bnull\b)/g,
+};
+
+function tokenFamily(lang) {
+  const l = (lang || "").toLowerCase();
+  if (C_LIKE.has(l)) return "c";
+  if (HASH_COMMENT.has(l)) return "hash";
+  if (l === "json" || l === "jsonl") return "json";
+  return null;
+}
+
+/**
+ * Highlight `text` and return one HTML string per source line. Tokens that
+ * span lines (block comments, template strings) are closed and reopened at
+ * each line break so lines can be rendered independently.
+ */
+function highlightLines(text, lang) {
+  const lines = [""];
+  const emit = (chunk, cls) => {
+    const segs = chunk.split("\n");
+    segs.forEach((seg, i) => {
+      if (i > 0) lines.push("");
+      if (!seg) return;
+      const html = escapeHtml(seg);
+      lines[lines.length - 1] += cls ? `<span class="${cls}">${html}</span>` : html;
+    });
+  };
+
+  const family = tokenFamily(lang);
+  if (!family) {
+    emit(text);
+    return lines;
+  }
+
+  const re = TOKEN_RES[family];
+  re.lastIndex = 0;
+  let last = 0;
+  let m;
+  while ((m = re.exec(text))) {
+    if (m[0] === "") { re.lastIndex++; continue; }
+    emit(text.slice(last, m.index));
+    if (m[1]) emit(m[0], "tk-com");
+    else if (m[2]) emit(m[0], family === "json" && /^\s*:/.test(text.slice(re.lastIndex)) ? "tk-key" : "tk-str");
+    else if (m[3]) emit(m[0], "tk-num");
+    else if (family === "json" || KEYWORDS.has(m[0])) emit(m[0], "tk-kw");
+    else emit(m[0]);
+    last = re.lastIndex;
+  }
+  emit(text.slice(last));
+  return lines;
+}
+
+/**
+ * Render a code block. Read results carry "     12→" line-number prefixes;
+ * those are moved into a gutter so the code itself highlights cleanly.
+ */
+function renderCode(text, lang, cls = "") {
+  const raw = String(text ?? "").split("\n");
+  const numbered = raw.filter((l) => l.trim()).length > 0 &&
+    raw.every((l) => !l.trim() || /^\s*\d+→/.test(l));
+  let gutter = null;
+  let body = text;
+  if (numbered) {
+    gutter = raw.map((l) => (/^\s*(\d+)→/.exec(l) || [])[1] || "");
+    body = raw.map((l) => l.replace(/^\s*\d+→/, "")).join("\n");
+  }
+  const lines = highlightLines(body, lang).map((html, i) =>
+    gutter ? `<span class="ln">${gutter[i] || ""}</span>${html}` : html
+  );
+  const langAttr = lang ? ` data-lang="${escapeHtml(lang)}"` : "";
+  return `<pre class="${["code", cls].filter(Boolean).join(" ")}"${langAttr}><code>${lines.join("\n")}</code></pre>`;
+}
+
+// ── Assistant/user text (minimal Markdown) ──────────────────────────
+function renderInline(text) {
+  return escapeHtml(text)
+    .replace(/`([^`\n]+)`/g, "<code>$1</code>")
+    .replace(/\*\*([^*\n]+)\*\*/g, "<strong>$1</strong>")
+    .replace(/^(#{1,6}) (.*)$/gm, "<strong class=\"h\">$2</strong>");
+}
+
+function renderText(text) {
+  const out = [];
+  const fence = /```([\w+-]*)\n([\s\S]*?)```/g;
+  let last = 0;
+  let m;
+  while ((m = fence.exec(text))) {
+    const before = text.slice(last, m.index).trim();
+    if (before) out.push(`<div class="text">${renderInline(before)}</div>`);
+    out.push(renderCode(m[2].replace(/\n$/, ""), m[1]));
+    last = fence.lastIndex;
+  }
+  const rest = text.slice(last).trim();
+  if (rest) out.push(`<div class="text">${renderInline(rest)}</div>`);
+  return out.join("\n");
+}
+
+// ── Tool cards ──────────────────────────────────────────────────────
+function renderItem(item) {
+  if (item.kind === "quote") {
+    return `<blockquote>${escapeHtml(item.text)}</blockquote>`;
+  }
+  if (item.kind === "field") {
+    const value = item.code ? `<code>${escapeHtml(item.value)}</code>` : escapeHtml(item.value);
+    return `<div class="field"><span class="label">${escapeHtml(item.label)}:</span> ${value}</div>`;
+  }
+  if (item.kind === "code") {
+    return `<div class="label">${escapeHtml(item.label)}:</div>\n${renderCode(item.text, item.lang)}`;
+  }
+  if (item.kind === "edit") {
+    const side = (cls, title, text) => text === undefined ? "" :
+      `<div class="${cls}"><div class="label">${title}</div>${renderCode(text, item.lang)}</div>`;
+    return `<div class="diff">${side("old", "Old", item.oldText)}${side("new", "New", item.newText)}</div>`;
+  }
+  if (item.kind === "todos") {
+    const lis = item.todos.map((t) => {
+      const icon = t.status === "completed" ? "&#9745;" : t.status === "in_progress" ? "&#9684;" : "&#9744;";
+      return `<li class="todo-${escapeHtml(t.status)}">${icon} ${escapeHtml(t.content)}</li>`;
+    });
+    return `<div class="label">${escapeHtml(item.label)}:</div><ul class="todos">${lis.join("")}</ul>`;
+  }
+  if (item.kind === "question") {
+    const opts = item.options.map((o) =>
+      `<li><strong>${escapeHtml(o.label)}</strong>: ${escapeHtml(o.description || "")}</li>`
+    );
+    return `<div class="field"><span class="label">Q:</span> ${escapeHtml(item.question)}</div><ul>${opts.join("")}</ul>`;
+  }
+  return "";
+}
+
+function renderImage(src, alt) {
+  return `<img class="attachment" src="${escapeHtml(src)}" alt="${escapeHtml(alt)}">`;
+}
+
+function renderTool(block) {
+  const { desc, label, result } = block;
+  const cls = desc.isError ? "tool error" : "tool";
+  const parts = [];
+  parts.push(`<details class="${cls}"${desc.isError ? " open" : ""}>`);
+  parts.push(
+    `<summary><span class="tool-name">${desc.isError ? "[ERROR] " : ""}${escapeHtml(desc.toolName)}</span>` +
+    (label ? ` <span class="tool-label">${escapeHtml(label)}</span>` : "") + "</summary>"
+  );
+  parts.push(`<div class="tool-body">`);
+  for (const item of desc.items) parts.push(renderItem(item));
+  if (result) {
+    if (result.text !== null) {
+      parts.push(`<div class="label">${result.isError ? "Result: ERROR" : "Result:"}</div>`);
+      parts.push(renderCode(result.text, result.lang, result.isError ? "result error" : "result"));
+    }
+    for (const src of result.images) parts.push(renderImage(src, `Image from ${desc.toolName}`));
+  }
+  if (block.subagent) {
+    const { stats, messages } = block.subagent;
+    parts.push(`<details class="subagent"><summary>Subagent transcript: ${stats.toolCalls} tool calls ` +
+      `(${stats.toolErrors} errors)</summary>`);
+    for (const msg of messages) parts.push(renderMessage(msg));
+    parts.push("</details>");
+  }
+  parts.push("</div></details>");
+  return parts.join("\n");
+}
+
+// ── Messages ────────────────────────────────────────────────────────
+function renderBranch(msg) {
+  const parts = [];
+  parts.push(`<details class="branch"><summary>Abandoned branch ${msg.id} (branches off turn ${msg.turn}; ` +
+    `not part of the final conversation): ${msg.stats.userTurns} prompts, ${msg.stats.toolCalls} tool calls</summary>`);
+  for (const m of msg.messages) parts.push(renderMessage(m));
+  parts.push("</details>");
+  return parts.join("\n");
+}
+
+function renderCompaction(msg) {
+  const parts = [];
+  parts.push(`<article class="msg compaction">`);
+  parts.push(`<header><span class="role">Context compacted</span>` +
+    (msg.time ? ` <time>${escapeHtml(msg.time)}</time>` : "") + "</header>");
+  const facts = [];
+  if (msg.trigger) facts.push(`Trigger: ${msg.trigger}`);
+  if (msg.preTokens != null) facts.push(`Tokens before compaction: ${msg.preTokens}`);
+  if (msg.title) facts.push(`Title: ${msg.title}`);
+  if (facts.length > 0) parts.push(`<div class="note">${escapeHtml(facts.join(" · "))}</div>`);
+  parts.push(msg.summary
+    ? `<div class="label">Summary (what Claude continued from):</div>` + renderText(msg.summary)
+    : `<div class="note">No summary was recorded.</div>`);
+  parts.push("</article>");
+  return parts.join("\n");
+}
+
+function renderMessage(msg) {
+  if (msg.role === "session") {
+    return `<h2 class="session">Session ${msg.index} of ${msg.total}: <code>${escapeHtml(msg.id)}</code>` +
+      (msg.time ? ` <time>${escapeHtml(msg.time)}</time>` : "") + "</h2>";
+  }
+  if (msg.role === "branch") return renderBranch(msg);
+  if (msg.role === "compaction") return renderCompaction(msg);
+  const parts = [];
+  const title = msg.label || (msg.role === "user" ? `User (Turn ${msg.turn})` : "Assistant");
+  parts.push(`<article class="msg ${msg.role}">`);
+  parts.push(`<header><span class="role">${title}</span>` +
+    (msg.time ? ` <time>${escapeHtml(msg.time)}</time>` : "") + "</header>");
+  for (const block of msg.blocks) {
+    if (block.type === "text") parts.push(renderText(block.text));
+    else if (block.type === "image") {
+      parts.push(block.src ? renderImage(block.src, "Image attached") : `<div class="note">[Image attached]</div>`);
+    }
+    else if (block.type === "thinking") {
+      parts.push(`<details class="thinking"><summary>Thinking / Internal Reasoning</summary>` +
+        `<div class="text">${escapeHtml(block.text)}</div></details>`);
+    } else if (block.type === "tool") parts.push(renderTool(block));
+  }
+  parts.push("</article>");
+  return parts.join("\n");
+}
+
+/**
+ * Split messages into sidebar sections: one per user turn, plus one per
+ * session header in multi-session exports.
+ */
+function groupTurns(messages) {
+  const turns = [];
+  let current = null;
+  for (const msg of messages) {
+    if (msg.role === "user" || msg.role === "session" || !current) {
+      current = { turn: msg.role === "user" ? msg.turn : 0, preview: "", errors: 0, messages: [] };
+      if (msg.role === "user") {
+        const text = msg.blocks.find((b) => b.type === "text");
+        current.preview = text ? text.text.replace(/\s+/g, " ").substring(0, 60) : "(no text)";
+      } else if (msg.role === "session") {
+        current.turn = `s${msg.index}`;
+        current.label = `Session ${msg.index}: ${msg.id.substring(0, 8)}`;
+      }
+      turns.push(current);
+    }
+    if (msg.blocks) current.errors += msg.blocks.filter((b) => b.type === "tool" && b.desc.isError).length;
+    current.messages.push(msg);
+  }
+  return turns;
+}
+
+// ── Document ────────────────────────────────────────────────────────
+const CSS = `
+:root { --bg:#fff; --fg:#1f2328; --muted:#656d76; --border:#d0d7de; --panel:#f6f8fa;
+  --accent:#0969da; --err:#cf222e; --err-bg:#ffebe9; --add-bg:#e6ffec; --del-bg:#ffebe9; --user:#ddf4ff; }
+@media (prefers-color-scheme: dark) {
+  :root { --bg:#0d1117; --fg:#e6edf3; --muted:#8d96a0; --border:#30363d; --panel:#161b22;
+    --accent:#4493f8; --err:#f85149; --err-bg:#3a1d1f; --add-bg:#12261e; --del-bg:#2d1618; --user:#121d2f; }
+}
+* { box-sizing: border-box; }
+body { margin:0; font:14px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color:var(--fg); background:var(--bg); }
+.layout { display:grid; grid-template-columns: 260px 1fr; min-height:100vh; }
+nav { position:sticky; top:0; height:100vh; overflow:auto; border-right:1px solid var(--border); background:var(--panel); padding:12px; }
+nav input[type=search] { width:100%; padding:6px 8px; border:1px solid var(--border); border-radius:6px; background:var(--bg); color:var(--fg); }
+nav .controls { margin:8px 0; display:flex; flex-wrap:wrap; gap:6px; font-size:12px; }
+nav button { font-size:12px; padding:2px 8px; border:1px solid var(--border); border-radius:6px; background:var(--bg); color:var(--fg); cursor:pointer; }
+nav ol { list-style:none; padding:0; margin:8px 0 0; }
+nav li a { display:block; padding:4px 6px; border-radius:4px; color:var(--fg); text-decoration:none; font-size:12px; }
+nav li a:hover { background:var(--border); }
+nav li.hidden { opacity:.35; }
+nav .badge { color:var(--err); font-weight:600; }
+#match-count { color:var(--muted); font-size:12px; }
+main { padding:24px 32px; max-width:1200px; min-width:0; }
+h1 { margin-top:0; }
+table { border-collapse:collapse; margin-bottom:16px; }
+td, th { border:1px solid var(--border); padding:4px 10px; text-align:left; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size:12.5px; background:var(--panel); padding:1px 4px; border-radius:4px; }
+pre.code { background:var(--panel); border:1px solid var(--border); border-radius:6px; padding:8px 10px; overflow:auto; max-height:480px; margin:6px 0; }
+pre.code code { background:none; padding:0; }
+pre.result.error { background:var(--err-bg); }
+.ln { display:inline-block; min-width:3em; padding-right:8px; margin-right:8px; text-align:right; color:var(--muted); border-right:1px solid var(--border); user-select:none; }
+.tk-com { color:#6e7781; font-style:italic; } .tk-str { color:#0a3069; } .tk-num { color:#0550ae; }
+.tk-kw { color:#cf222e; } .tk-key { color:#8250df; }
+@media (prefers-color-scheme: dark) { .tk-str { color:#a5d6ff; } .tk-num { color:#79c0ff; } .tk-kw { color:#ff7b72; } .tk-key { color:#d2a8ff; } }
+section.turn { border-top:1px solid var(--border); padding-top:8px; margin-top:16px; }
+h2.session { margin-top:24px; } h2.session time { font-size:12px; font-weight:normal; color:var(--muted); }
+.msg { margin:12px 0; padding:10px 14px; border:1px solid var(--border); border-radius:8px; }
+.msg.user { background:var(--user); }
+.msg.compaction { border-style:dashed; background:var(--panel); }
+.msg header { margin-bottom:6px; } .msg .role { font-weight:600; } .msg time { color:var(--muted); font-size:12px; }
+.text { white-space:pre-wrap; overflow-wrap:anywhere; margin:6px 0; }
+.text .h { display:block; }
+.note { color:var(--muted); font-style:italic; }
+img.attachment { display:block; max-width:100%; max-height:480px; margin:6px 0; border:1px solid var(--border); border-radius:6px; }
+details.thinking { color:var(--muted); margin:6px 0; }
+details.tool { border:1px solid var(--border); border-radius:6px; margin:8px 0; background:var(--bg); }
+details.tool > summary { cursor:pointer; padding:6px 10px; }
+details.tool.error { border-color:var(--err); }
+details.tool.error > summary { background:var(--err-bg); color:var(--err); }
+details.subagent { margin:8px 0; padding:4px 10px; border-left:3px solid var(--accent); }
+details.subagent > summary { cursor:pointer; color:var(--accent); }
+details.branch { margin:8px 0; padding:4px 10px; border-left:3px dashed var(--muted); opacity:.85; }
+details.branch > summary { cursor:pointer; color:var(--muted); font-style:italic; }
+.msg .msg { margin:8px 0; }
+.tool-name { font-weight:600; } .tool-label { color:var(--muted); font-family:ui-monospace, monospace; font-size:12px; }
+.tool-body { padding:4px 12px 10px; }
+.label { font-weight:600; margin-top:6px; }
+blockquote { margin:4px 0; padding-left:10px; border-left:3px solid var(--border); color:var(--muted); }
+.diff { display:grid; grid-template-columns:1fr 1fr; gap:8px; }
+.diff .old pre.code { background:var(--del-bg); } .diff .new pre.code { background:var(--add-bg); }
+ul.todos { list-style:none; padding-left:4px; } .todo-completed { color:var(--muted); text-decoration:line-through; }
+.filtered-out { display:none !important; }
+mark { background:#fff8c5; color:inherit; }
+@media (max-width: 800px) { .layout { grid-template-columns:1fr; } nav { position:static; height:auto; } .diff { grid-template-columns:1fr; } }
+`;
+
+const SCRIPT = `
+(function () {
+  var input = document.getElementById("filter");
+  var errorsOnly = document.getElementById("errors-only");
+  var count = document.getElementById("match-count");
+  var turns = Array.prototype.slice.call(document.querySelectorAll("section.turn"));
+  function apply() {
+    var q = input.value.trim().toLowerCase();
+    var onlyErr = errorsOnly.checked;
+    var hits = 0;
+    turns.forEach(function (turn) {
+      var visible = 0;
+      turn.querySelectorAll(".msg").forEach(function (msg) {
+        var match = (!q || msg.textContent.toLowerCase().indexOf(q) >= 0) &&
+          (!onlyErr || msg.querySelector(".tool.error"));
+        msg.classList.toggle("filtered-out", !match);
+        if (match) {
+          visible++;
+          if (q) msg.querySelectorAll("details").forEach(function (d) {
+            if (d.textContent.toLowerCase().indexOf(q) >= 0) d.open = true;
+          });
+        }
+      });
+      hits += visible;
+      turn.classList.toggle("filtered-out", visible === 0);
+      var link = document.querySelector('nav li[data-turn="' + turn.dataset.turn + '"]');
+      if (link) link.classList.toggle("hidden", visible === 0);
+    });
+    count.textContent = q || onlyErr ? hits + " matching messages" : "";
+  }
+  input.addEventListener("input", apply);
+  errorsOnly.addEventListener("change", apply);
+  function setAll(open) {
+    document.querySelectorAll("details.tool, details.thinking").forEach(function (d) { d.open = open; });
+  }
+  document.getElementById("expand-all").addEventListener("click", function () { setAll(true); });
+  document.getElementById("collapse-all").addEventListener("click", function () { setAll(false); });
+})();
+`;
+
+/**
+ * Render the full HTML document.
+ *
+ * doc: {
+ *   title, purpose,
+ *   metadata: [{ label, value, code }],
+ *   excerpt: string[] | null,         // what a sliced export leaves out
+ *   summary: string[],                 // one line per bullet
+ *   toolBreakdown: [[name, count]],
+ *   filesModified: string[], filesRead: string[],
+ *   recentCommits: string,
+ *   messages: [{ role, turn, time, blocks, label }          // label overrides the heading
+ *              | { role: "branch", id, turn, messages, stats }
+ *              | { role: "compaction", time, trigger, preTokens, title, summary }
+ *              | { role: "session", index, total, id, time }],
+ *   footer: string[],
+ * }
+ */
+function renderHtmlDocument(doc) {
+  const turns = groupTurns(doc.messages);
+  const out = [];
+  out.push("<!DOCTYPE html>");
+  out.push(`<html lang="en"><head><meta charset="utf-8">`);
+  out.push(`<meta name="viewport" content="width=device-width, initial-scale=1">`);
+  out.push(`<title>${escapeHtml(doc.title)}</title>`);
+  out.push(`<style>${CSS}</style></head><body><div class="layout">`);
+
+  // Sidebar
+  out.push("<nav>");
+  out.push(`<input type="search" id="filter" placeholder="Filter messages..." autocomplete="off">`);
+  out.push(`<div class="controls"><label><input type="checkbox" id="errors-only"> Errors only</label>` +
+    `<button type="button" id="expand-all">Expand all</button>` +
+    `<button type="button" id="collapse-all">Collapse all</button></div>`);
+  out.push(`<div id="match-count"></div>`);
+  out.push("<ol>");
+  for (const t of turns) {
+    const badge = t.errors ? ` <span class="badge">${t.errors} err</span>` : "";
+    const name = t.label ? `<strong>${escapeHtml(t.label)}</strong>`
+      : t.turn ? `${t.turn}. ${escapeHtml(t.preview)}` : "(before first turn)";
+    out.push(`<li data-turn="${t.turn}"><a href="#turn-${t.turn}">${name}${badge}</a></li>`);
+  }
+  out.push("</ol></nav>");
+
+  // Main
+  out.push("<main>");
+  out.push(`<h1>${escapeHtml(doc.title)}</h1>`);
+  if (doc.purpose) out.push(`<blockquote>${escapeHtml(doc.purpose)}</blockquote>`);
+
+  out.push("<h2>Metadata</h2><table><tbody>");
+  for (const row of doc.metadata) {
+    const value = row.code ? `<code>${escapeHtml(row.value)}</code>` : escapeHtml(row.value);
+    out.push(`<tr><th>${escapeHtml(row.label)}</th><td>${value}</td></tr>`);
+  }
+  out.push("</tbody></table>");
+
+  if (doc.excerpt) {
+    out.push("<h2>Excerpt</h2><ul>");
+    for (const line of doc.excerpt) out.push(`<li>${renderInline(line)}</li>`);
+    out.push("</ul>");
+  }
+
+  out.push("<h2>Session Summary</h2><ul>");
+  for (const line of doc.summary) out.push(`<li>${renderInline(line)}</li>`);
+  out.push("</ul>");
+  if (doc.toolBreakdown.length > 0) {
+    out.push("<p><strong>Tool usage breakdown:</strong></p><ul>");
+    for (const [name, n] of doc.toolBreakdown) out.push(`<li>${escapeHtml(name)}: ${n}x</li>`);
+    out.push("</ul>");
+  }
+  const fileList = (files) => files.map((f) => `<li><code>${escapeHtml(f)}</code></li>`).join("");
+  if (doc.filesModified.length > 0 || doc.filesRead.length > 0) {
+    out.push("<p><strong>Files touched:</strong></p><ul>");
+    if (doc.filesModified.length > 0) {
+      out.push(`<li>Modified/Created (${doc.filesModified.length}):<ul>${fileList(doc.filesModified)}</ul></li>`);
+    }
+    if (doc.filesRead.length > 0) {
+      out.push(`<li>Read (${doc.filesRead.length}):<ul>${fileList(doc.filesRead)}</ul></li>`);
+    }
+    out.push("</ul>");
+  }
+  if (doc.recentCommits) {
+    out.push("<p><strong>Recent commits (context):</strong></p>");
+    out.push(renderCode(doc.recentCommits, ""));
+  }
+
+  out.push("<h2>Conversation</h2>");
+  for (const t of turns) {
+    out.push(`<section class="turn" id="turn-${t.turn}" data-turn="${t.turn}">`);
+    for (const msg of t.messages) out.push(renderMessage(msg));
+    out.push("</section>");
+  }
+
+  out.push(`<footer>${doc.footer.map((l) => `<p><em>${renderInline(l)}</em></p>`).join("")}</footer>`);
+  out.push("</main></div>");
+  out.push(`<script>${SCRIPT}</script>`);
+  out.push("</body></html>");
+  return out.join("\n");
+}
+
+module.exports = { renderHtmlDocument, escapeHtml, highlightLines };
@@ -0,0 +1,497 @@
+// Type definitions for the claude-export programmatic API (scripts/lib/index.js).
+
+/** One line of a Claude Code session JSONL file. Only the fields claude-export reads are typed. */
+export interface Entry {
+  type: string;
+  uuid?: string;
+  parentUuid?: string | null;
+  timestamp?: string;
+  sessionId?: string;
+  isSidechain?: boolean;
+  agentId?: string;
+  message?: {
+    id?: string;
+    role?: "user" | "assistant";
+    model?: string;
+    content?: string | ContentBlock[];
+    usage?: Record<string, unknown>;
+  };
+  toolUseResult?: unknown;
+  [key: string]: unknown;
+}
+
+export interface ContentBlock {
+  type: string;
+  text?: string;
+  thinking?: string;
+  id?: string;
+  name?: string;
+  input?: Record<string, any>;
+  tool_use_id?: string;
+  content?: string | ContentBlock[];
+  is_error?: boolean;
+  [key: string]: unknown;
+}
+
+/** Marker entry yielded before each session of a multi-session stream. */
+export interface SessionStartEntry {
+  type: typeof SESSION_START;
+  session: SessionInfo;
+  index: number;
+  total: number;
+}
+
+export const SESSION_START: "claude-export:session-start";
+
+export interface SessionInfo {
+  id: string;
+  /** Absolute path of the session's .jsonl file. */
+  file: string;
+  /** First entry time, ms since the epoch (0 if unknown). */
+  start: number;
+  /** Last entry time, ms since the epoch. */
+  end: number;
+}
+
+export interface LocatedSession extends SessionInfo {
+  size: number;
+  /** File modification time, ms since the epoch. */
+  modified: number;
+}
+
+/** A session as listSessions() describes it; counts cover the active branch. */
+export interface SessionSummary extends LocatedSession {
+  /** First user prompt, up to 200 characters. */
+  prompt: string;
+  turns: number;
+  toolCalls: number;
+  /** Failed tool calls. */
+  errors: number;
+  /** Git branch of the last entry that recorded one. */
+  gitBranch: string | null;
+  gitBranches: string[];
+  filesEdited: string[];
+}
+
+export interface ListOptions extends LocateOptions {
+  /** Cache summaries in this file, keyed by session file size and mtime. */
+  indexFile?: string | null;
+  /** Only sessions with activity at or after this time (ms since the epoch). */
+  since?: number | null;
+  /** Only sessions with activity at or before this time (ms since the epoch). */
+  until?: number | null;
+  /** Only sessions with an entry recorded on this git branch. */
+  branch?: string | null;
+  /** Only sessions whose prompts, replies or tool inputs contain this text (case-insensitive). */
+  contains?: string | null;
+  /** At most this many sessions; 0 (default) for all. */
+  limit?: number;
+}
+
+export interface BranchIndex {
+  branchCount: number;
+  isActive(entry: Entry): boolean;
+  branchOf(entry: Entry): { id: number } | null;
+}
+
+export interface SubagentTranscript {
+  agentId: string | null;
+  file: string | null;
+  entries: Entry[];
+}
+
+/** An opened session; iterating it streams its entries, as often as needed. */
+export interface LoadedSession extends Iterable<Entry | SessionStartEntry> {
+  /** Id of the (most recent) session. */
+  id: string;
+  sessions: SessionInfo[];
+  /** True when loaded from an array: entries are then preceded by SESSION_START markers. */
+  multi: boolean;
+  allBranches: boolean;
+  entries: Iterable<Entry | SessionStartEntry>;
+  branches: BranchIndex;
+  subagents: SubagentTranscript[];
+}
+
+export type SessionRef = string | SessionInfo;
+
+export interface LocateOptions {
+  /** Home directory holding `.claude/projects`; defaults to os.homedir(). */
+  home?: string;
+}
+
+export interface LoadOptions extends LocateOptions {
+  /** Project root; needed to resolve session ids. */
+  projectPath?: string | null;
+  /** Include rewound/edited branches (converters show them as side sections). */
+  allBranches?: boolean;
+}
+
+export interface WatchOptions extends LoadOptions {
+  /** Quiet time (ms) that ends a burst of writes; defaults to 500. */
+  debounceMs?: number;
+  /** Called once at the start and after each burst of entries appended to the session or its subagent transcripts. */
+  onUpdate: (session: LoadedSession, change: { added: number; switched: boolean }) => void;
+  /** Errors while reading or from onUpdate; rethrown by default. */
+  onError?: (error: Error) => void;
+}
+
+export interface Watcher {
+  close(): void;
+}
+
+export interface RedactConfig {
+  patterns?: { name: string; pattern: string; flags?: string }[];
+  allowlist?: string[];
+  disable?: string[];
+}
+
+export interface Redactor {
+  redactText(text: string, context?: { filePath?: string; command?: string }): string;
+  summary(): { total: number; byType: Record<string, number> };
+}
+
+export interface Price {
+  input: number;
+  output: number;
+  cache_write?: number;
+  cache_write_1h?: number;
+  cache_read?: number;
+}
+
+export interface GitContext {
+  branch: string;
+  recentCommits: string[];
+  uncommittedFiles: string[];
+}
+
+export interface ConvertOptions {
+  /** Project root: file paths are shown relative to it; its config and git state are read. */
+  projectPath?: string | null;
+  /** Defaults to the package.json name, git remote or folder name of projectPath. */
+  projectName?: string;
+  /** false disables redaction; an object is used as the redaction config. Default: project config. */
+  redact?: boolean | RedactConfig;
+  /** A redactor to use (and read the counts from) instead of creating one. */
+  redactor?: Redactor;
+  /** USD per million tokens by model-id prefix; null leaves usage out. Default: built-in + project config. */
+  prices?: Record<string, Price> | null;
+  /** Default: read from projectPath. */
+  git?: GitContext;
+  /** Defaults to the loaded session's id. */
+  sessionId?: string;
+  /** Sessions of a multi-session export; defaults to the loaded session's. */
+  sessionList?: SessionInfo[] | null;
+  /** Defaults to the loaded session's. */
+  branches?: BranchIndex | null;
+  allBranches?: boolean;
+  /** Defaults to the loaded session's. */
+  subagents?: SubagentTranscript[];
+  /**
+   * Collects the session's images and gives each its reference. Without
+   * one, transcripts show placeholders and the handoff lists images
+   * without a path.
+   */
+  attachments?: AttachmentCollector | null;
+  /** Convert only some turns; throws when none is in range. */
+  slice?: SliceSpec | null;
+}
+
+/**
+ * Which turns to convert, numbered as in the "User (Turn N)" headings. The
+ * limits combine.
+ */
+export interface SliceSpec {
+  fromTurn?: number | null;
+  toTurn?: number | null;
+  /** The last N turns. */
+  lastTurns?: number | null;
+  /** Turns started at or after this time (ms since the epoch). */
+  since?: number | null;
+}
+
+/** The turns a sliced conversion covers, and what came before them. */
+export interface SliceSummary {
+  fromTurn: number;
+  toTurn: number;
+  totalTurns: number;
+  /** fromTurn counted within its own session. */
+  sessionTurn: number;
+  before: {
+    turns: number;
+    toolCalls: number;
+    /** Files changed by edit tools without an error, as recorded (absolute paths). */
+    filesChanged: string[];
+    /** When the first turn started; null when the slice starts at turn 1. */
+    started: string | null;
+  };
+}
+
+/** An image of a session, as an attachment collector holds it. */
+export interface Attachment {
+  /** image-001.png, image-002.jpg, ... */
+  name: string;
+  /** `<dir>/<name>`, relative to the export file; null without a `dir`. */
+  path: string | null;
+  mediaType: string;
+  /** Decoded size in bytes. */
+  size: number;
+  /** The turn it first appeared in. */
+  turn: number | null;
+  origin: "user" | "tool_result";
+  /** The tool whose result carried it. */
+  tool: string | null;
+  /** The decoded image, to write to `path`. */
+  data: Uint8Array;
+  dataUri: string;
+}
+
+export interface AttachmentCollector {
+  /** The reference an image block gets in the export (a link or a data: URI), or null for a placeholder. */
+  add(
+    block: Record<string, unknown>,
+    context?: { turn?: number | null; origin?: "user" | "tool_result"; tool?: string | null },
+  ): string | null;
+  /** Each distinct image once, in order of first appearance. */
+  list(): Attachment[];
+  embed: boolean;
+}
+
+/** How much of a tool's calls the transcripts show: input and result, input only, or one line. */
+export type ToolVerbosity = "full" | "input" | "summary";
+
+/**
+ * Defaults below are the built-in ones; with a projectPath, the project's
+ * and the user's .claude-export.json can change them.
+ */
+export interface TranscriptOptions extends ConvertOptions {
+  /** Default true. */
+  includeThinking?: boolean;
+  /** Default true. */
+  includeResults?: boolean;
+  /** Default 150. */
+  maxResultLines?: number;
+  /** Lines of Write content shown. Default 300. */
+  maxWriteLines?: number;
+  /** Default 2000. */
+  maxThinkingChars?: number;
+  /** By tool name; unlisted tools are "full". */
+  tools?: Record<string, ToolVerbosity>;
+}
+
+export interface MessagesOptions extends TranscriptOptions {
+  provider: "anthropic" | "openai";
+}
+
+/** A tool definition inferred from the recorded calls. */
+export interface InferredTool {
+  name: string;
+  description: string;
+  input_schema: { type: "object"; properties: Record<string, { type: string | string[] }>; required: string[] };
+}
+
+/** Content blocks use the Messages API vocabulary (text, image, thinking, tool_use, tool_result). */
+export interface AnthropicMessages {
+  system: string;
+  messages: { role: "user" | "assistant"; content: Record<string, unknown>[] }[];
+  tools: InferredTool[];
+}
+
+export type OpenAiMessage =
+  | { role: "system"; content: string }
+  | { role: "user"; content: string | Record<string, unknown>[] }
+  | {
+      role: "assistant";
+      content: string | null;
+      tool_calls?: { id: string; type: "function"; function: { name: string; arguments: string } }[];
+    }
+  | { role: "tool"; tool_call_id: string; content: string };
+
+export interface OpenAiMessages {
+  messages: OpenAiMessage[];
+  tools: { type: "function"; function: { name: string; description: string; parameters: InferredTool["input_schema"] } }[];
+}
+
+export interface DatasetOptions extends TranscriptOptions {
+  /** Leave out turns with a failed tool call. Default false. */
+  skipErrorTurns?: boolean;
+  /** Drop records identical to an earlier one (same request, calls and answer). Default true. */
+  dedupe?: boolean;
+}
+
+/** One turn of a `--format dataset` export (a line of its JSONL). */
+export interface DatasetRecord {
+  /** Hash of the request, the tool calls and the answer. */
+  id: string;
+  session_id: string | null;
+  /** 1-based, per session. */
+  turn: number;
+  timestamp: string | null;
+  model: string | null;
+  request: string;
+  /** `result` is null with includeResults false. */
+  trajectory: { tool: string; input: Record<string, unknown>; result: string | null; is_error: boolean }[];
+  /** The text after the turn's last tool call; null when it ended on a call. */
+  answer: string | null;
+  labels: {
+    tool_calls: number;
+    tool_errors: number;
+    files_changed: string[];
+    answered: boolean;
+    completed: boolean;
+  };
+}
+
+export interface HandoffOptions extends ConvertOptions {
+  /** Length of `task`. Default 500 (or the config's). */
+  maxTaskChars?: number;
+  /** Length of digest messages, commands and error excerpts. Default 300. */
+  maxExcerptChars?: number;
+  /** Length of command output and failed calls' input summaries. Default 200. */
+  maxSnippetChars?: number;
+  /** Degrade the handoff until its estimated size fits. */
+  maxTokens?: number | null;
+}
+
+export interface UsageSummary {
+  responses: number;
+  tokens: { input: number; output: number; cacheWrite: number; cacheWrite1h: number; cacheRead: number };
+  cacheHitRatio: number | null;
+  cost: number | null;
+  unpriced: string[];
+  models: { model: string; responses: number; tokens: UsageSummary["tokens"]; cost: number | null }[];
+  topTurns: { turn: number; tokens: number; cost: number | null }[];
+}
+
+/** Durations in ms, times in ms since the epoch. */
+export interface TimingSummary {
+  start: number | null;
+  end: number | null;
+  wall: number;
+  active: number;
+  model: number;
+  tools: number;
+  idle: number;
+  idleGaps: { afterTurn: number; start: number; end: number; ms: number }[];
+  turns: { turn: number; start: number; wall: number; model: number; tools: number; calls: number }[];
+  slowest: { turn: number; tool: string; target: string; ms: number }[];
+}
+
+export interface SessionStats {
+  userTurns: number;
+  assistantMessages: number;
+  toolCalls: number;
+  toolErrors: number;
+  thinkingBlocks: number;
+  toolBreakdown: Record<string, number>;
+  filesRead: string[];
+  filesWritten: string[];
+  filesEdited: string[];
+  bashCommands: number;
+  searches: number;
+  subagentRuns: number;
+  subagentToolCalls: number;
+  subagentErrors: number;
+  compactions: number;
+  abandonedBranches: number;
+  start: string | null;
+  end: string | null;
+  usage: UsageSummary | null;
+  timing: TimingSummary;
+  /** Set when `slice` was given; the other numbers cover the slice only. */
+  slice: SliceSummary | null;
+}
+
+/** The JSON handoff; its fields are defined by lib/schemas/claude-code-handoff-<version>.schema.json. */
+export interface Handoff {
+  _format: "claude-code-handoff";
+  _version: string;
+  _purpose: string;
+  _tool: string;
+  _truncation?: {
+    max_tokens: number;
+    estimated_tokens: number;
+    fits: boolean;
+    steps: { step: string; [key: string]: unknown }[];
+  };
+  session: Record<string, unknown> & { id: string | null; project: string };
+  task: string;
+  progress: { completed: string[]; in_progress: string[]; pending: string[] };
+  changes: Record<string, unknown>[];
+  files_read: string[];
+  sessions: Record<string, unknown>[];
+  errors: Record<string, unknown>[];
+  actions: Record<string, unknown>[];
+  subagents: Record<string, unknown>[];
+  compactions: Record<string, unknown>[];
+  abandoned_branches: Record<string, unknown>[];
+  searches: { count: number; unique_patterns: Record<string, unknown>[] };
+  attachments: Record<string, unknown>[];
+  conversation_digest: { turn: number; role: "user" | "assistant"; content: string }[];
+  git_context: { branch: string; recent_commits: string[]; uncommitted_changes?: string[] };
+  [key: string]: unknown;
+}
+
+type Source = Iterable<Entry | SessionStartEntry> | LoadedSession;
+
+/** Every session of a project, most recently active first. Throws when Claude Code has no data for it. */
+export function locateSessions(projectPath: string, options?: LocateOptions): LocatedSession[];
+
+/** Summaries of a project's sessions, most recently active first, optionally filtered. */
+export function listSessions(projectPath: string, options?: ListOptions): SessionSummary[];
+
+/** Open a session (id, unique id prefix, .jsonl path or located session), or several merged into one stream. */
+export function loadSession(idOrPath: SessionRef | SessionRef[], options?: LoadOptions): LoadedSession;
+
+/** Keep a session (or, with null, the project's newest session) under observation; reads only appended bytes. */
+export function watchSession(idOrPath: SessionRef | null, options: WatchOptions): Watcher;
+
+export function collectStats(entries: Source, options?: TranscriptOptions): SessionStats;
+
+export function toMarkdown(entries: Source, options?: TranscriptOptions): string;
+
+export function toHtml(entries: Source, options?: TranscriptOptions): string;
+
+/** The session as a Messages API request body (Anthropic) or Chat Completions body (OpenAI). */
+export function toMessages(entries: Source, options: MessagesOptions & { provider: "anthropic" }): AnthropicMessages;
+export function toMessages(entries: Source, options: MessagesOptions & { provider: "openai" }): OpenAiMessages;
+
+/** One dataset record per turn, oldest first. */
+export function toDataset(entries: Source, options?: DatasetOptions): DatasetRecord[];
+
+export function toHandoff(entries: Source, options?: HandoffOptions): Handoff;
+
+/** The handoff version toHandoff() writes, e.g. "2.3". */
+export const HANDOFF_VERSION: string;
+
+/** The JSON Schema of a handoff version; throws for an unknown one. */
+export function loadHandoffSchema(version: string): Record<string, unknown>;
+
+export interface HandoffValidation {
+  /** The version the handoff declares (null if missing or not a string). */
+  version: string | null;
+  /** The version it was checked against: its own if known, else the current one. */
+  schemaVersion: string | null;
+  /** "<JSON Pointer>: <message>"; empty when the handoff is valid. */
+  errors: string[];
+  /** E.g. an older version than HANDOFF_VERSION. */
+  warnings: string[];
+}
+
+/** Check a parsed handoff (of any version) against its schema. */
+export function validateHandoff(handoff: unknown): HandoffValidation;
+
+/** Rough token count of a handoff, or of its JSON text (JSON characters / 3.3). */
+export function estimateTokens(handoff: Handoff | string): number;
+
+/** The Claude Code session directory of a project root. Throws when there is none. */
+export function findClaudeProjectDir(projectRoot: string, home?: string): string;
+
+export function createRedactor(config?: RedactConfig): Redactor;
+
+/**
+ * A collector for the `attachments` option: images are linked from `dir`
+ * (relative to the export; the caller writes list()'s data there) or, with
+ * `embed`, embedded as data: URIs.
+ */
+export function createAttachmentCollector(options?: { dir?: string | null; embed?: boolean }): AttachmentCollector;
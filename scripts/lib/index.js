@@ -0,0 +1,312 @@
+/**
+ * Programmatic API for claude-export: `require("claude-export")`.
+ *
+ *   const { locateSessions, loadSession, toMarkdown } = require("claude-export");
+ *   const [latest] = locateSessions("/path/to/project");
+ *   const session = loadSession(latest, { projectPath: "/path/to/project" });
+ *   const markdown = toMarkdown(session, { projectPath: "/path/to/project" });
+ *
+ * Nothing here prints, exits the process or looks at process.cwd(), and the
+ * only file written is the session index listSessions() keeps when given an
+ * `indexFile`: paths come from the caller and failures are thrown. With a
+ * `projectPath`, the converters read the project's and the user's
+ * .claude-export.json (defaults for the options not given) and the
+ * project's git state (branch, recent commits, HEAD contents of changed
+ * files).
+ * The CLI scripts are thin wrappers over these functions; the types are in
+ * index.d.ts.
+ */
+
+const fs = require("fs");
+const { createRedactor, redactEntries } = require("./redact");
+const { resolvePrices } = require("./usage");
+const { DEFAULT_CONFIG, loadConfig, converterOptions } = require("./config");
+const { estimateTokens, fitHandoff } = require("./budget");
+const { SESSION_START, sessionFiles, resolveSession, selectSessions, openSessions } = require("./sessions");
+const {
+  NO_GIT, findClaudeProjectDir, detectProjectName, createPathShortener, readGitContext,
+} = require("./project");
+const { collectStats: collectTranscriptStats, convertToMarkdown, convertToHtml } = require("./transcript");
+const { extractHandoff } = require("./handoff");
+const { convertToMessages } = require("./messages");
+const { convertToDataset } = require("./dataset");
+const { openJsonl, promptText, formatPreview } = require("./jsonl");
+const { indexBranches, activeBranchEntries } = require("./branches");
+const { DEFAULT_SCOPES, searchSession } = require("./search");
+const { openSessionIndex } = require("./catalog");
+const { HANDOFF_VERSION, loadHandoffSchema, validateHandoff } = require("./schema");
+const { watchSession: watchSessionFile } = require("./watch");
+const { createAttachmentCollector } = require("./attachments");
+const { sliceSession } = require("./slice");
+
+// ── Sessions ────────────────────────────────────────────────────────
+/**
+ * Every session of a project, most recently active first:
+ * [{ id, file, start, end, size, modified }]. `start` and `end` are the
+ * first and last entry times, `modified` the file's mtime, all in ms.
+ * Throws when Claude Code has no session directory for the project.
+ */
+function locateSessions(projectPath, { home } = {}) {
+  const projectDir = findClaudeProjectDir(projectPath, home);
+  return selectSessions(projectDir, {})
+    .map((s) => {
+      const stat = fs.statSync(s.file);
+      return { ...s, size: stat.size, modified: stat.mtimeMs };
+    })
+    .sort((a, b) => b.end - a.end);
+}
+
+/**
+ * Open a session for conversion. `idOrPath` is a session id (or unique
+ * prefix; needs `projectPath`), a path to a session file, a session from
+ * locateSessions(), or an array of these - several sessions merged into one
+ * stream, oldest first, each preceded by a SESSION_START marker entry.
+ *
+ * The result is iterable over the entries (only the active branch unless
+ * `allBranches`) and can be iterated any number of times; each pass re-reads
+ * the files.
+ */
+function loadSession(idOrPath, { projectPath = null, home, allBranches = false } = {}) {
+  const multi = Array.isArray(idOrPath);
+  const refs = multi ? idOrPath : [idOrPath];
+  if (refs.length === 0) throw new Error("No sessions to load");
+  let projectDir = null;
+  const sessions = refs.map((ref) => {
+    if (typeof ref !== "string") return ref;
+    if (!projectDir && projectPath) projectDir = findClaudeProjectDir(projectPath, home);
+    return resolveSession(projectDir, ref);
+  });
+  if (multi) sessions.sort((a, b) => a.start - b.start);
+
+  const opened = openSessions(sessions, { allBranches, markers: multi });
+  return {
+    id: sessions[sessions.length - 1].id,
+    sessions,
+    multi,
+    allBranches,
+    entries: opened.entries,
+    branches: opened.branches,
+    subagents: opened.subagents,
+    [Symbol.iterator]: () => opened.entries[Symbol.iterator](),
+  };
+}
+
+/**
+ * Keep watching a session as it is written. `idOrPath` is as for
+ * loadSession() (one session), or null to follow the project's newest
+ * session, switching when another one becomes newer. `onUpdate(session,
+ * { added, switched })` receives a loaded session once at the start and
+ * after each burst of entries appended to it or its subagent transcripts;
+ * only the appended bytes are read.
+ * Errors while watching go to `onError`. Returns { close() }.
+ */
+function watchSession(idOrPath, { projectPath = null, home, allBranches = false, debounceMs, onUpdate, onError } = {}) {
+  const needsProject = !idOrPath || typeof idOrPath === "string";
+  const projectDir = needsProject && projectPath ? findClaudeProjectDir(projectPath, home) : null;
+  if (!idOrPath && !projectDir) throw new Error("Following the newest session needs a projectPath");
+  const session = typeof idOrPath === "string" ? resolveSession(projectDir, idOrPath) : idOrPath || null;
+  return watchSessionFile({ projectDir, session, allBranches, debounceMs, onUpdate, onError });
+}
+
+/**
+ * The summary listSessions() returns for one session file. Its prompt is
+ * redacted: summaries are cached on disk and printed by `--list --json`.
+ * Apart from indexing the branches, the file is read once: the stats pass
+ * streams every entry, so times, git branches and the prompt are taken
+ * from it on the way.
+ */
+function summarizeSession(session, { projectPath, projectName, redactor }) {
+  const loaded = loadSession(session, { allBranches: true });
+  let seen;
+  function* activeEntries() {
+    seen = { start: null, end: null, gitBranch: null, gitBranches: [], prompt: null };
+    for (const entry of loaded) {
+      if (entry.timestamp) {
+        seen.start = seen.start || entry.timestamp;
+        seen.end = entry.timestamp;
+      }
+      if (entry.gitBranch) {
+        seen.gitBranch = entry.gitBranch;
+        if (!seen.gitBranches.includes(entry.gitBranch)) seen.gitBranches.push(entry.gitBranch);
+      }
+      if (seen.prompt == null) seen.prompt = promptText(entry);
+      if (loaded.branches.isActive(entry)) yield entry;
+    }
+  }
+  const active = { ...loaded, allBranches: false, [Symbol.iterator]: activeEntries };
+  const stats = collectStats(active, { projectPath, projectName, redact: false, prices: null, git: NO_GIT });
+  return {
+    id: session.id,
+    start: seen.start ? Date.parse(seen.start) : 0,
+    end: seen.end ? Date.parse(seen.end) : 0,
+    prompt: seen.prompt == null ? "" : formatPreview(seen.prompt, 200, redactor),
+    turns: stats.userTurns,
+    toolCalls: stats.toolCalls,
+    errors: stats.toolErrors,
+    gitBranch: seen.gitBranch,
+    gitBranches: seen.gitBranches,
+    filesEdited: [...new Set([...stats.filesEdited, ...stats.filesWritten])],
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Summaries of a project's sessions, most recently active (latest last
+ * entry) first: [{ id, file, size, modified, start, end, prompt, turns,
+ * toolCalls, errors, gitBranch, gitBranches, filesEdited }]. Counts cover
+ * the active branch, as exported; times are in ms.
+ *
+ * Filters: `since`/`until` (ms; sessions with activity in the range),
+ * `branch` (recorded as the git branch of any entry), `contains` (text in a
+ * prompt, reply or tool input, case-insensitive) and `limit` (0: all).
+ * With `indexFile`, summaries are cached there by file size and mtime.
+ * Prompts are redacted with the project's redaction config.
+ */
+function listSessions(projectPath, {
+  home, indexFile = null, since = null, until = null, branch = null, contains = null, limit = 0,
+} = {}) {
+  const projectDir = findClaudeProjectDir(projectPath, home);
+  const projectName = detectProjectName(projectPath);
+  const index = openSessionIndex(indexFile);
+  const files = sessionFiles(projectDir);
+  const redactor = createRedactor(loadConfig(projectPath).redact);
+  let summaries = files.map((session) => {
+    const stat = fs.statSync(session.file);
+    const summary = index.summary(session, () => summarizeSession(session, { projectPath, projectName, redactor }));
+    return { ...summary, file: session.file, size: stat.size, modified: stat.mtimeMs };
+  });
+  index.retain(files);
+  index.save();
+
+  if (since != null) summaries = summaries.filter((s) => s.end >= since);
+  if (until != null) summaries = summaries.filter((s) => s.start <= until);
+  if (branch) summaries = summaries.filter((s) => s.gitBranches.includes(branch));
+  summaries.sort((a, b) => b.end - a.end);
+
+  // Searched last and only as far as needed: it reads the whole session.
+  if (!contains) return limit > 0 ? summaries.slice(0, limit) : summaries;
+  const pattern = new RegExp(escapeRegExp(contains), "i");
+  const found = [];
+  for (const summary of summaries) {
+    if (limit > 0 && found.length >= limit) break;
+    const entries = openJsonl(summary.file);
+    const active = activeBranchEntries(entries, indexBranches(entries));
+    if (searchSession(active, { pattern, scopes: DEFAULT_SCOPES, maxHits: 0 }).hitCount > 0) found.push(summary);
+  }
+  return found;
+}
+
+// ── Options ─────────────────────────────────────────────────────────
+/**
+ * Fill in the converter options from the caller's options, then the
+ * project's export config and, when `source` is a loaded session, from the
+ * session itself. With `slice` ({ fromTurn, toTurn, lastTurns, since }) only
+ * those turns are converted; it throws when none is in range.
+ * Entries and subagent transcripts are redacted unless `redact` is false.
+ */
+function resolveOptions(source, opts = {}) {
+  const loaded = source && source.branches && Array.isArray(source.subagents) ? source : {};
+  const projectPath = opts.projectPath || null;
+  const projectName = opts.projectName || (projectPath ? detectProjectName(projectPath) : "unknown");
+  const config = projectPath ? loadConfig(projectPath) : DEFAULT_CONFIG;
+
+  let redactor = null;
+  if (opts.redact !== false) {
+    redactor = opts.redactor || createRedactor(typeof opts.redact === "object" ? opts.redact : config.redact);
+  }
+  const branches = opts.branches || loaded.branches || null;
+  let entries = source;
+  let subagents = opts.subagents || loaded.subagents || [];
+  if (opts.slice) ({ entries, subagents } = sliceSession(source, opts.slice, { branches, subagents }));
+
+  return {
+    entries: redactor ? redactEntries(entries, redactor) : entries,
+    opts: {
+      ...converterOptions(config),
+      ...opts,
+      sessionId: opts.sessionId || loaded.id || null,
+      sessionList: opts.sessionList || (loaded.multi ? loaded.sessions : null),
+      projectPath,
+      projectName,
+      shortPath: createPathShortener(projectPath, projectName),
+      git: opts.git || (projectPath ? readGitContext(projectPath) : NO_GIT),
+      redactor,
+      prices: opts.prices !== undefined ? opts.prices : resolvePrices(config.prices),
+      branches,
+      allBranches: opts.allBranches ?? loaded.allBranches ?? false,
+      subagents: subagents.map((t) => (redactor ? { ...t, entries: [...redactEntries(t.entries, redactor)] } : t)),
+    },
+  };
+}
+
+// ── Converters ──────────────────────────────────────────────────────
+/** Session summary numbers (turns, tool calls, files, usage, timing). */
+function collectStats(entries, opts) {
+  const resolved = resolveOptions(entries, opts);
+  return collectTranscriptStats(resolved.entries, resolved.opts);
+}
+
+/** The AI-optimized Markdown transcript. */
+function toMarkdown(entries, opts) {
+  const resolved = resolveOptions(entries, opts);
+  return convertToMarkdown(resolved.entries, resolved.opts);
+}
+
+/** The single-file HTML transcript. */
+function toHtml(entries, opts) {
+  const resolved = resolveOptions(entries, opts);
+  return convertToHtml(resolved.entries, resolved.opts);
+}
+
+/**
+ * The session as a chat API request body, for `provider` "anthropic"
+ * ({ system, messages, tools }) or "openai" ({ messages, tools }).
+ */
+function toMessages(entries, opts = {}) {
+  const resolved = resolveOptions(entries, opts);
+  return convertToMessages(resolved.entries, resolved.opts);
+}
+
+/**
+ * One tool-use dataset record per turn, deduplicated (unless `dedupe` is
+ * false); `skipErrorTurns` leaves out turns with a failed tool call.
+ */
+function toDataset(entries, opts) {
+  const resolved = resolveOptions(entries, opts);
+  return convertToDataset(resolved.entries, resolved.opts);
+}
+
+/**
+ * The JSON handoff object. With `maxTokens` it is degraded until it fits
+ * and carries a `_truncation` report. It is not validated here; see
+ * validateHandoff().
+ */
+function toHandoff(entries, opts = {}) {
+  const resolved = resolveOptions(entries, opts);
+  const handoff = extractHandoff(resolved.entries, resolved.opts);
+  return opts.maxTokens ? fitHandoff(handoff, opts.maxTokens) : handoff;
+}
+
+module.exports = {
+  SESSION_START,
+  locateSessions,
+  listSessions,
+  loadSession,
+  watchSession,
+  collectStats,
+  toMarkdown,
+  toHtml,
+  toMessages,
+  toDataset,
+  toHandoff,
+  HANDOFF_VERSION,
+  loadHandoffSchema,
+  validateHandoff,
+  estimateTokens,
+  findClaudeProjectDir,
+  createRedactor,
+  createAttachmentCollector,
+};
@@ -0,0 +1,188 @@
+/**
+ * Line-streaming JSONL reader for Claude Code session files.
+ *
+ * Session files can grow to hundreds of MB. Instead of reading the whole
+ * file into one string and splitting it, these helpers read fixed-size
+ * chunks and yield one line (or parsed entry) at a time, so callers can
+ * process entries incrementally and stop early.
+ *
+ * Everything here is synchronous, matching the rest of the exporters.
+ * Breaking out of a `for...of` over these generators closes the file.
+ */
+
+const fs = require("fs");
+const { StringDecoder } = require("string_decoder");
+
+const CHUNK_SIZE = 64 * 1024;
+
+/** Yield each line of a file (without the trailing "\n"). */
+function* readLines(filePath, chunkSize = CHUNK_SIZE) {
+  const fd = fs.openSync(filePath, "r");
+  const decoder = new StringDecoder("utf8");
+  const buf = Buffer.alloc(chunkSize);
+  let pending = "";
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buf, 0, chunkSize, null)) > 0) {
+      // Only scan the newly appended text for newlines, so a single very long
+      // line does not get rescanned on every chunk.
+      let searchFrom = pending.length;
+      pending += decoder.write(buf.subarray(0, bytesRead));
+      let start = 0;
+      let idx;
+      while ((idx = pending.indexOf("\n", searchFrom)) >= 0) {
+        yield pending.slice(start, idx);
+        start = idx + 1;
+        searchFrom = start;
+      }
+      pending = pending.slice(start);
+    }
+    pending += decoder.end();
+    if (pending) yield pending;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/** Yield each parsed JSONL entry, skipping blank and malformed lines. */
+function* iterateJsonl(filePath) {
+  for (const line of readLines(filePath)) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (entry) yield entry;
+  }
+}
+
+/**
+ * A re-iterable view of a session file: every `for...of` streams the file
+ * again from the start, so multi-pass consumers never hold all entries.
+ */
+function openJsonl(filePath) {
+  return { [Symbol.iterator]: () => iterateJsonl(filePath) };
+}
+
+/** Parse the whole file into an array (for callers that need random access). */
+function parseJsonl(filePath) {
+  return Array.from(iterateJsonl(filePath));
+}
+
+/**
+ * Incremental reader for a session file that is still being written
+ * (`--watch`). Each read() parses only the bytes appended since the previous
+ * one and adds the new entries to `entries`; a trailing line without its
+ * newline waits for the next read unless it already parses as a whole
+ * entry. If the file shrinks or is replaced, reading starts over. read()
+ * returns the number of entries added; bytesRead() is the offset reached.
+ */
+function createJsonlTail(filePath, chunkSize = CHUNK_SIZE) {
+  const tail = { entries: [], read, bytesRead: () => offset };
+  let offset = 0;
+  let inode = null;
+  let decoder = new StringDecoder("utf8");
+  let pending = "";
+
+  function push(line) {
+    if (!line.trim()) return true;
+    try {
+      const entry = JSON.parse(line);
+      if (entry) tail.entries.push(entry);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  function read() {
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch {
+      return 0; // gone for now; keep what was read
+    }
+    if (stat.size < offset || (inode !== null && stat.ino !== inode)) {
+      tail.entries = [];
+      offset = 0;
+      decoder = new StringDecoder("utf8");
+      pending = "";
+    }
+    inode = stat.ino;
+    const before = tail.entries.length;
+    if (stat.size === offset) return 0;
+
+    const fd = fs.openSync(filePath, "r");
+    const buf = Buffer.alloc(chunkSize);
+    try {
+      while (offset < stat.size) {
+        const bytesRead = fs.readSync(fd, buf, 0, Math.min(chunkSize, stat.size - offset), offset);
+        if (bytesRead === 0) break;
+        offset += bytesRead;
+        let searchFrom = pending.length;
+        pending += decoder.write(buf.subarray(0, bytesRead));
+        let start = 0;
+        let idx;
+        while ((idx = pending.indexOf("\n", searchFrom)) >= 0) {
+          push(pending.slice(start, idx));
+          start = idx + 1;
+          searchFrom = start;
+        }
+        pending = pending.slice(start);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (pending && push(pending)) pending = "";
+    return tail.entries.length - before;
+  }
+
+  return tail;
+}
+
+/**
+ * The text of `entry` when it is a real user prompt (not a tool result or a
+ * system-injected message), else null.
+ */
+function promptText(entry) {
+  if (entry.type !== "user" || entry.message?.role !== "user") return null;
+  const content = entry.message.content;
+  if (!Array.isArray(content)) return null;
+  const textBlock = content.find((c) => c.type === "text" && !c.text?.startsWith("<"));
+  return textBlock ? textBlock.text : null;
+}
+
+/**
+ * A prompt as a one-line preview, redacted with `redactor` (see redact.js)
+ * when one is given.
+ */
+function formatPreview(text, maxChars = 80, redactor = null) {
+  // Redacted whole: a secret cut off at maxChars would no longer match.
+  const redacted = redactor ? redactor.redactText(text) : text;
+  return redacted.substring(0, maxChars).replace(/\n/g, " ");
+}
+
+/**
+ * First real user prompt of a session, for `--list` previews. Stops
+ * reading as soon as it is found.
+ */
+function readSessionPreview(filePath, maxChars = 80, redactor = null) {
+  for (const obj of iterateJsonl(filePath)) {
+    const text = promptText(obj);
+    if (text != null) return formatPreview(text, maxChars, redactor);
+  }
+  return "";
+}
+
+module.exports = {
+  readLines,
+  iterateJsonl,
+  openJsonl,
+  parseJsonl,
+  createJsonlTail,
+  promptText,
+  formatPreview,
+  readSessionPreview,
+};
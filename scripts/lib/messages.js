@@ -0,0 +1,264 @@
+/**
+ * Chat messages export (`--format openai-messages` / `anthropic-messages`):
+ * the session as the body of a chat API request, to replay it in a local
+ * harness or continue it with another model.
+ *
+ *   anthropic  { system, messages, tools }   Messages API
+ *   openai     { messages, tools }           Chat Completions API
+ *
+ * Both are rendered from one neutral list of { role, blocks } messages, in
+ * Anthropic's block vocabulary. Consecutive entries of one role are merged
+ * (Claude Code writes each block of a response as its own entry), and every
+ * tool call is paired with its result in the next message, as both APIs
+ * require: a call whose result was never recorded gets a placeholder error
+ * result, and a result without its call becomes plain text. Tool
+ * definitions are inferred from the calls made: one property per input key
+ * seen, required when every call set it.
+ *
+ * Only the active branch is exported, and sidechain (subagent) entries are
+ * left out; their work is in the Task call's result. Thinking is kept for
+ * Anthropic when it carries the signature the API checks on replay (and
+ * redaction left it intact), and dropped for OpenAI, which has no field
+ * for it.
+ */
+
+const { SESSION_START } = require("./sessions");
+const { isSidechain } = require("./subagents");
+const { stripSystemTags, formatTimestamp, truncateLines } = require("./transcript");
+
+const PROVIDERS = ["anthropic", "openai"];
+const MISSING_RESULT = "[No result was recorded for this tool call]";
+const OMITTED_RESULT = "[Tool result omitted from this export]";
+// Redacted thinking no longer matches its signature, so it cannot be replayed.
+const REDACTED = /\[REDACTED:[\w-]+\]/;
+
+// ── Neutral messages ────────────────────────────────────────────────
+function resultText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content.map((c) => (c.type === "text" ? c.text : `[${c.type}]`)).join("\n");
+}
+
+function userBlocks(content, opts) {
+  if (typeof content === "string") content = [{ type: "text", text: content }];
+  const blocks = [];
+  for (const block of content) {
+    if (block.type === "text") {
+      const text = stripSystemTags(block.text || "");
+      if (text) blocks.push({ type: "text", text });
+    } else if (block.type === "image" && block.source) {
+      blocks.push({ type: "image", source: block.source });
+    } else if (block.type === "tool_result" && block.tool_use_id) {
+      blocks.push({
+        type: "tool_result",
+        tool_use_id: block.tool_use_id,
+        content: opts.includeResults ? truncateLines(resultText(block.content), opts.maxResultLines) : OMITTED_RESULT,
+        is_error: block.is_error || false,
+      });
+    }
+  }
+  return blocks;
+}
+
+function assistantBlocks(content, opts) {
+  if (typeof content === "string") content = [{ type: "text", text: content }];
+  const blocks = [];
+  for (const block of content) {
+    if (block.type === "text" && block.text) {
+      blocks.push({ type: "text", text: block.text });
+    } else if (block.type === "thinking" && opts.includeThinking && block.signature && !REDACTED.test(block.thinking || "")) {
+      blocks.push({ type: "thinking", thinking: block.thinking, signature: block.signature });
+    } else if (block.type === "redacted_thinking" && opts.includeThinking) {
+      blocks.push({ type: "redacted_thinking", data: block.data });
+    } else if (block.type === "tool_use") {
+      blocks.push({ type: "tool_use", id: block.id, name: block.name, input: block.input || {} });
+    }
+  }
+  return blocks;
+}
+
+function missingResult(id) {
+  return { type: "tool_result", tool_use_id: id, content: MISSING_RESULT, is_error: true };
+}
+
+/** Give every tool call its result in the next message, results first. */
+function pairToolResults(messages) {
+  const paired = [];
+  let pendingIds = [];
+  for (const message of messages) {
+    if (message.role === "user") {
+      const results = [];
+      const rest = [];
+      for (const block of message.blocks) {
+        if (block.type !== "tool_result") rest.push(block);
+        else if (pendingIds.includes(block.tool_use_id)) results.push(block);
+        else rest.push({ type: "text", text: `[Result of tool call ${block.tool_use_id}]\n${block.content}` });
+      }
+      for (const id of pendingIds) {
+        if (!results.some((r) => r.tool_use_id === id)) results.push(missingResult(id));
+      }
+      paired.push({ role: "user", blocks: [...results, ...rest] });
+      pendingIds = [];
+    } else {
+      if (pendingIds.length > 0) paired.push({ role: "user", blocks: pendingIds.map(missingResult) });
+      paired.push(message);
+      pendingIds = message.blocks.filter((b) => b.type === "tool_use").map((b) => b.id);
+    }
+  }
+  if (pendingIds.length > 0) paired.push({ role: "user", blocks: pendingIds.map(missingResult) });
+  return paired;
+}
+
+/**
+ * The conversation as [{ role, blocks }], alternating and starting with the
+ * user, plus what the system prompt says about it.
+ */
+function collectMessages(entries, opts) {
+  const messages = [];
+  const context = { cwd: null, gitBranch: null, start: null, end: null };
+  for (const entry of entries) {
+    if (entry.type === SESSION_START || isSidechain(entry) || opts.branches?.branchOf(entry)) continue;
+    if (entry.timestamp) {
+      context.start = context.start || entry.timestamp;
+      context.end = entry.timestamp;
+    }
+    if (entry.cwd) context.cwd = entry.cwd;
+    if (entry.gitBranch) context.gitBranch = entry.gitBranch;
+    if ((entry.type !== "user" && entry.type !== "assistant") || entry.isMeta || !entry.message?.content) continue;
+
+    const role = entry.type;
+    const { content } = entry.message;
+    const blocks = role === "user" ? userBlocks(content, opts) : assistantBlocks(content, opts);
+    if (blocks.length === 0) continue;
+    const last = messages[messages.length - 1];
+    if (last && last.role === role) last.blocks.push(...blocks);
+    else messages.push({ role, blocks });
+  }
+  if (messages.length > 0 && messages[0].role !== "user") {
+    messages.unshift({ role: "user", blocks: [{ type: "text", text: "(The recorded conversation starts with an assistant message.)" }] });
+  }
+  return { messages: pairToolResults(messages), context };
+}
+
+function buildSystemPrompt(context, opts) {
+  const lines = [
+    `This conversation was recorded in Claude Code, an agentic coding assistant, working on the project "${opts.projectName}".`,
+    "The assistant's tool calls ran on the user's machine; their results are included as recorded" +
+      (opts.includeResults ? ` (long results cut to ${opts.maxResultLines} lines).` : ", except that they were left out of this export."),
+  ];
+  if (context.cwd) lines.push(`Working directory: ${context.cwd}`);
+  if (context.gitBranch) lines.push(`Git branch: ${context.gitBranch}`);
+  if (opts.sessionId) lines.push(`Session: ${opts.sessionId}`);
+  if (context.start) lines.push(`Recorded: ${formatTimestamp(context.start)} -> ${formatTimestamp(context.end)}`);
+  return lines.join("\n");
+}
+
+// ── Tool definitions ────────────────────────────────────────────────
+function jsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+/** [{ name, description, input_schema }] for every tool called, in order of first use. */
+function inferTools(messages) {
+  const tools = new Map(); // name -> { calls, keys: Map(key -> { types, count }) }
+  for (const message of messages) {
+    for (const block of message.blocks) {
+      if (block.type !== "tool_use") continue;
+      if (!tools.has(block.name)) tools.set(block.name, { calls: 0, keys: new Map() });
+      const tool = tools.get(block.name);
+      tool.calls++;
+      for (const [key, value] of Object.entries(block.input)) {
+        if (!tool.keys.has(key)) tool.keys.set(key, { types: new Set(), count: 0 });
+        const seen = tool.keys.get(key);
+        seen.types.add(jsonType(value));
+        seen.count++;
+      }
+    }
+  }
+  return [...tools].map(([name, tool]) => {
+    const properties = {};
+    for (const [key, { types }] of tool.keys) {
+      // An integer seen alongside fractions is just a number.
+      if (types.has("number")) types.delete("integer");
+      properties[key] = { type: types.size === 1 ? [...types][0] : [...types] };
+    }
+    return {
+      name,
+      description: `Claude Code's ${name} tool (input schema inferred from ${tool.calls} recorded call${tool.calls === 1 ? "" : "s"}).`,
+      input_schema: {
+        type: "object",
+        properties,
+        required: [...tool.keys].filter(([, seen]) => seen.count === tool.calls).map(([key]) => key),
+      },
+    };
+  });
+}
+
+// ── Providers ───────────────────────────────────────────────────────
+function toAnthropic(messages, system, tools) {
+  return {
+    system,
+    messages: messages.map((m) => ({ role: m.role, content: m.blocks })),
+    tools,
+  };
+}
+
+function toOpenAiContent(blocks) {
+  if (blocks.every((b) => b.type === "text")) return blocks.map((b) => b.text).join("\n\n");
+  return blocks.map((b) => {
+    if (b.type === "text") return { type: "text", text: b.text };
+    const url = b.source.type === "base64" ? `data:${b.source.media_type};base64,${b.source.data}` : b.source.url;
+    return { type: "image_url", image_url: { url } };
+  });
+}
+
+function toOpenAi(messages, system, tools) {
+  const out = [{ role: "system", content: system }];
+  for (const { role, blocks } of messages) {
+    if (role === "user") {
+      // Tool results are messages of their own, right after the calls.
+      for (const b of blocks.filter((b) => b.type === "tool_result")) {
+        out.push({ role: "tool", tool_call_id: b.tool_use_id, content: b.is_error ? `[Error] ${b.content}` : b.content });
+      }
+      const rest = blocks.filter((b) => b.type !== "tool_result");
+      if (rest.length > 0) out.push({ role: "user", content: toOpenAiContent(rest) });
+    } else {
+      const text = blocks.filter((b) => b.type === "text").map((b) => b.text).join("\n\n");
+      const calls = blocks.filter((b) => b.type === "tool_use");
+      if (!text && calls.length === 0) continue;
+      const message = { role: "assistant", content: text || null };
+      if (calls.length > 0) {
+        message.tool_calls = calls.map((b) => ({
+          id: b.id,
+          type: "function",
+          function: { name: b.name, arguments: JSON.stringify(b.input) },
+        }));
+      }
+      out.push(message);
+    }
+  }
+  return {
+    messages: out,
+    tools: tools.map((t) => ({ type: "function", function: { name: t.name, description: t.description, parameters: t.input_schema } })),
+  };
+}
+
+/**
+ * The request body for `opts.provider` ("anthropic" or "openai"); see the
+ * top of this file. Uses includeThinking, includeResults, maxResultLines,
+ * branches, sessionId and projectName from the resolved options.
+ */
+function convertToMessages(entries, opts) {
+  if (!PROVIDERS.includes(opts.provider)) {
+    throw new Error(`Unknown messages provider: ${opts.provider} (expected: ${PROVIDERS.join(", ")})`);
+  }
+  const { messages, context } = collectMessages(entries, opts);
+  const system = buildSystemPrompt(context, opts);
+  const tools = inferTools(messages);
+  return opts.provider === "openai" ? toOpenAi(messages, system, tools) : toAnthropic(messages, system, tools);
+}
+
+module.exports = { PROVIDERS, convertToMessages };
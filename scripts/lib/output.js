@@ -0,0 +1,102 @@
+/**
+ * Where a finished export goes: a file in the output directory (the
+ * default), standard output (`--stdout`, to pipe it into another tool) or
+ * the system clipboard (`--clipboard`), optionally gzip-compressed
+ * (`--gzip`).
+ *
+ * The clipboard is reached through whichever copy command the platform
+ * has: pbcopy (macOS), wl-copy (Wayland), xclip (X11) or clip.exe (Windows
+ * and WSL). When none is available or it fails, the export is written to
+ * its file instead, with a warning, so it is never lost.
+ *
+ * Images a file export links to are written next to it by writeAttachments().
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { spawnSync } = require("child_process");
+
+const CLIPBOARD_TIMEOUT_MS = 10000;
+
+// ── Clipboard ───────────────────────────────────────────────────────
+/** The copy commands worth trying here, most specific first. */
+function clipboardCommands(env = process.env, platform = process.platform) {
+  const commands = [];
+  if (platform === "darwin") commands.push({ command: "pbcopy", args: [] });
+  if (env.WAYLAND_DISPLAY) commands.push({ command: "wl-copy", args: [] });
+  if (env.DISPLAY) commands.push({ command: "xclip", args: ["-selection", "clipboard"] });
+  if (platform === "win32" || platform === "linux") commands.push({ command: "clip.exe", args: [] });
+  return commands;
+}
+
+/**
+ * Copy text to the clipboard with the first copy command that exists.
+ * Returns the command's name; throws when none exists or it fails.
+ */
+function copyToClipboard(text) {
+  const commands = clipboardCommands();
+  for (const { command, args } of commands) {
+    // xclip stays in the background to serve the selection; with its output
+    // ignored, it does not hold this process open.
+    const result = spawnSync(command, args, { input: text, stdio: ["pipe", "ignore", "ignore"], timeout: CLIPBOARD_TIMEOUT_MS });
+    if (result.error?.code === "ENOENT") continue;
+    if (result.error) throw new Error(`${command} failed: ${result.error.message}`);
+    if (result.status !== 0) throw new Error(`${command} exited with code ${result.status}`);
+    return command;
+  }
+  const tried = commands.map((c) => c.command).join(", ") || "none for this platform";
+  throw new Error(`no clipboard command found (tried: ${tried})`);
+}
+
+// ── Delivery ────────────────────────────────────────────────────────
+/**
+ * Deliver the export `text` to stdout, the clipboard or `file` (with ".gz"
+ * appended when gzipped), creating the file's directory as needed.
+ * Returns { target, bytes, warning }: where it went ("stdout", "clipboard
+ * (<command>)" or the file path), the size delivered and, when the
+ * clipboard could not be used, why.
+ */
+function deliverExport(text, { file, stdout = false, clipboard = false, gzip = false }) {
+  const data = gzip ? zlib.gzipSync(text) : Buffer.from(text, "utf8");
+  if (stdout) {
+    // A reader that stops early (`| head`) is not an error.
+    process.stdout.on("error", (err) => {
+      if (err.code !== "EPIPE") throw err;
+    });
+    process.stdout.write(data);
+    return { target: "stdout", bytes: data.length, warning: null };
+  }
+  let warning = null;
+  if (clipboard) {
+    try {
+      return { target: `clipboard (${copyToClipboard(text)})`, bytes: Buffer.byteLength(text), warning: null };
+    } catch (err) {
+      warning = `Could not copy to the clipboard: ${err.message}. Writing a file instead.`;
+    }
+  }
+  const outFile = gzip ? `${file}.gz` : file;
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, data);
+  return { target: outFile, bytes: data.length, warning };
+}
+
+// ── Attachments ─────────────────────────────────────────────────────
+/**
+ * Write the images an attachment collector gathered (see attachments.js)
+ * to their paths under `dir`, the export's directory. Images already there
+ * at the same size are left alone, so --watch does not rewrite them on
+ * every update. Returns how many images the export links to.
+ */
+function writeAttachments(attachments, dir) {
+  const linked = attachments ? attachments.list().filter((a) => a.path) : [];
+  for (const attachment of linked) {
+    const file = path.join(dir, attachment.path);
+    if (fs.existsSync(file) && fs.statSync(file).size === attachment.size) continue;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, attachment.data);
+  }
+  return linked.length;
+}
+
+module.exports = { copyToClipboard, deliverExport, writeAttachments };
@@ -0,0 +1,129 @@
+/**
+ * Interactive session picker for `--list` on a terminal.
+ *
+ * Plain Node (readline keypress events, raw mode and ANSI escapes), so it
+ * needs no native dependency. The arrow keys move, typing filters by id,
+ * first prompt and git branch, Enter picks and Esc or Ctrl+C cancels. The
+ * highlighted session is previewed below the list from its listSessions()
+ * summary: first prompt, turns, duration, git branch and files edited.
+ */
+
+const readline = require("readline");
+const { formatDuration } = require("./timing");
+
+const PREVIEW_LINES = 5;
+
+// ── Preview ─────────────────────────────────────────────────────────
+function formatPreview(summary, width) {
+  const files = summary.filesEdited;
+  return [
+    `  ${summary.prompt || "(no prompt)"}`,
+    `  Turns: ${summary.turns} | Tool calls: ${summary.toolCalls} (${summary.errors} failed)` +
+      ` | Duration: ${formatDuration(summary.end - summary.start)} | Branch: ${summary.gitBranch || "-"}`,
+    `  Files edited (${files.length}): ${files.length > 0 ? files.join(", ") : "none"}`,
+  ].map((line) => fit(line, width));
+}
+
+// ── Picker ──────────────────────────────────────────────────────────
+function fit(text, width) {
+  return text.length > width ? text.substring(0, width - 1) + "…" : text;
+}
+
+function formatRow(summary) {
+  const date = new Date(summary.end).toISOString().replace("T", " ").substring(0, 16);
+  const sizeKB = Math.round(summary.size / 1024);
+  return `${summary.id.substring(0, 8)}  ${date}  ${String(sizeKB).padStart(6)} KB  ${summary.prompt || "(no preview)"}`;
+}
+
+/**
+ * Let the user pick one of `sessions` (listSessions() summaries, in display
+ * order) on the terminal. Calls onPick(session), or onPick(null) when the
+ * user cancels or there is nothing to pick. Needs a TTY on both ends.
+ */
+function pickSession(sessions, { projectName, input = process.stdin, output = process.stdout, onPick }) {
+  const haystacks = new Map(sessions.map((s) => [s, `${s.id} ${s.prompt} ${s.gitBranches.join(" ")}`.toLowerCase()]));
+  let filter = "";
+  let visible = sessions;
+  let selected = 0;
+  let scroll = 0;
+
+  function applyFilter() {
+    const needle = filter.toLowerCase();
+    visible = sessions.filter((s) => haystacks.get(s).includes(needle));
+    selected = 0;
+    scroll = 0;
+  }
+
+  function render() {
+    const width = Math.max(20, (output.columns || 80) - 1);
+    const listRows = Math.max(3, (output.rows || 24) - PREVIEW_LINES - 4);
+    if (selected < scroll) scroll = selected;
+    if (selected >= scroll + listRows) scroll = selected - listRows + 1;
+
+    const lines = [
+      fit(`  Project: ${projectName} | ↑/↓ move, type to filter, Enter exports, Esc cancels`, width),
+      `  Filter: ${filter}`,
+      "",
+    ];
+    for (let i = scroll; i < Math.min(visible.length, scroll + listRows); i++) {
+      const row = fit(`${i === selected ? "> " : "  "}${formatRow(visible[i])}`, width);
+      lines.push(i === selected ? `\x1b[7m${row}\x1b[0m` : row);
+    }
+    if (visible.length === 0) lines.push("  (no sessions match)");
+    while (lines.length < listRows + 3) lines.push("");
+
+    lines.push(`  ${"─".repeat(Math.max(0, width - 2))}`);
+    if (visible[selected]) lines.push(...formatPreview(visible[selected], width));
+    output.write("\x1b[H\x1b[2J" + lines.join("\n"));
+  }
+
+  function finish(session) {
+    input.removeListener("keypress", onKeypress);
+    output.removeListener("resize", render);
+    input.setRawMode(false);
+    input.pause();
+    output.write("\x1b[?25h\x1b[?1049l"); // show the cursor, leave the alternate screen
+    onPick(session);
+  }
+
+  function onKeypress(str, key = {}) {
+    if ((key.ctrl && key.name === "c") || key.name === "escape") {
+      finish(null);
+      return;
+    }
+    if (key.name === "return" || key.name === "enter") {
+      if (visible.length > 0) finish(visible[selected]);
+      return;
+    }
+    const page = Math.max(1, (output.rows || 24) - PREVIEW_LINES - 5);
+    if (key.name === "up") selected = Math.max(0, selected - 1);
+    else if (key.name === "down") selected = Math.min(visible.length - 1, selected + 1);
+    else if (key.name === "pageup") selected = Math.max(0, selected - page);
+    else if (key.name === "pagedown") selected = Math.min(visible.length - 1, selected + page);
+    else if (key.name === "home") selected = 0;
+    else if (key.name === "end") selected = visible.length - 1;
+    else if (key.name === "backspace") {
+      filter = filter.slice(0, -1);
+      applyFilter();
+    } else if (str && !key.ctrl && !key.meta && str >= " ") {
+      filter += str;
+      applyFilter();
+    } else return;
+    selected = Math.max(0, selected);
+    render();
+  }
+
+  if (sessions.length === 0) {
+    onPick(null);
+    return;
+  }
+  readline.emitKeypressEvents(input);
+  input.setRawMode(true);
+  input.resume();
+  input.on("keypress", onKeypress);
+  output.on("resize", render);
+  output.write("\x1b[?1049h\x1b[?25l"); // alternate screen, hide the cursor
+  render();
+}
+
+module.exports = { pickSession };
@@ -0,0 +1,155 @@
+/**
+ * Project context for claude-export: where Claude Code keeps a project's
+ * sessions, what the project is called, its git state, and how file paths
+ * inside it are displayed.
+ *
+ * Nothing here looks at process.cwd(); every function takes the project root
+ * it works on. Failures are thrown (or reported as "unknown"), never exited on.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { execSync, execFileSync } = require("child_process");
+
+// Git context used when there is no repository (or no project root given).
+const NO_GIT = Object.freeze({ branch: "unknown", recentCommits: [], uncommittedFiles: [] });
+
+// ── Session directory ───────────────────────────────────────────────
+/**
+ * Encode a filesystem path the same way Claude Code does internally.
+ * e.g. "c:\Users\ADMIN\project" -> "c--Users-ADMIN-project"
+ *      "/home/user/project"     -> "-home-user-project"
+ */
+function encodeProjectPath(absPath) {
+  // Normalize to forward slashes
+  let p = absPath.replace(/\\/g, "/");
+  // Remove trailing slash
+  p = p.replace(/\/$/, "");
+  // Replace : and / with -
+  p = p.replace(/[:/]/g, "-");
+  return p;
+}
+
+/**
+ * Find the Claude Code session directory for a project root, searching
+ * `<home>/.claude/projects/` for its encoded path. Throws, with the
+ * directories that do exist, when there is none.
+ */
+function findClaudeProjectDir(projectRoot, home = os.homedir()) {
+  const claudeProjectsRoot = path.join(home, ".claude", "projects");
+  if (!fs.existsSync(claudeProjectsRoot)) {
+    throw new Error("Claude Code projects directory not found: " + claudeProjectsRoot + "\n" +
+      "Make sure Claude Code has been used in this project at least once.");
+  }
+
+  const encoded = encodeProjectPath(projectRoot);
+
+  // Try exact match first
+  const exactPath = path.join(claudeProjectsRoot, encoded);
+  if (fs.existsSync(exactPath)) return exactPath;
+
+  // Try case-insensitive match (Windows drives can be C or c)
+  const dirs = fs.readdirSync(claudeProjectsRoot);
+  const match = dirs.find((d) => d.toLowerCase() === encoded.toLowerCase());
+  if (match) return path.join(claudeProjectsRoot, match);
+
+  // Try partial match (user might be in a subdirectory)
+  const parentMatch = dirs
+    .filter((d) => encoded.toLowerCase().startsWith(d.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0]; // longest match wins
+  if (parentMatch) return path.join(claudeProjectsRoot, parentMatch);
+
+  throw new Error([
+    "No Claude Code session data found for: " + projectRoot,
+    "Encoded path tried: " + encoded,
+    "Available projects:",
+    ...dirs.slice(0, 10).map((d) => "  " + d),
+  ].join("\n"));
+}
+
+// ── Project name ────────────────────────────────────────────────────
+/**
+ * Detect the project name of a directory.
+ * Priority: package.json name -> git remote name -> folder name
+ */
+function detectProjectName(projectRoot) {
+  // Try package.json
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(projectRoot, "package.json"), "utf8"));
+    if (pkg.name) return pkg.name.replace(/^@[^/]+\//, ""); // strip scope
+  } catch {}
+
+  // Try git remote
+  try {
+    const remote = execSync("git remote get-url origin", {
+      cwd: projectRoot, encoding: "utf8", stdio: ["pipe", "pipe", "pipe"],
+    }).trim();
+    const match = remote.match(/\/([^/]+?)(?:\.git)?$/);
+    if (match) return match[1];
+  } catch {}
+
+  // Fallback: folder name
+  return path.basename(projectRoot);
+}
+
+/**
+ * Build the function that displays a file path relative to the project:
+ * the root prefix is stripped, or failing that everything up to the project
+ * name. Either part may be null.
+ */
+function createPathShortener(projectRoot, projectName) {
+  const rootNormalized = projectRoot ? projectRoot.replace(/\\/g, "/") : null;
+  return function shortPath(fp) {
+    const normalized = (fp || "").replace(/\\/g, "/");
+    if (rootNormalized && normalized.startsWith(rootNormalized)) {
+      return normalized.substring(rootNormalized.length + 1);
+    }
+    const projIdx = projectName ? normalized.lastIndexOf(projectName) : -1;
+    if (projIdx >= 0) return normalized.substring(projIdx + projectName.length + 1);
+    return normalized;
+  };
+}
+
+// ── Git ─────────────────────────────────────────────────────────────
+/**
+ * Branch, last five commits ("<hash> <subject>") and files changed since
+ * HEAD (repo-relative), or NO_GIT outside a repository.
+ */
+function readGitContext(projectRoot) {
+  const git = (command) => execSync(command, {
+    cwd: projectRoot, encoding: "utf8", stdio: ["pipe", "pipe", "pipe"],
+  }).trim();
+  try {
+    return {
+      branch: git("git rev-parse --abbrev-ref HEAD"),
+      recentCommits: git('git log --oneline -5 --format="%h %s"').split("\n").filter(Boolean),
+      uncommittedFiles: git("git diff --name-only HEAD").split("\n").filter(Boolean),
+    };
+  } catch {
+    return NO_GIT;
+  }
+}
+
+/** A file's content at git HEAD (path relative to the root), or null. */
+function readGitFile(projectRoot, relPath) {
+  if (path.isAbsolute(relPath)) return null;
+  try {
+    const content = execFileSync("git", ["show", `HEAD:./${relPath}`], {
+      cwd: projectRoot, encoding: "utf8", stdio: ["pipe", "pipe", "pipe"], maxBuffer: 64 * 1024 * 1024,
+    });
+    return content.includes("\0") ? null : content;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  NO_GIT,
+  encodeProjectPath,
+  findClaudeProjectDir,
+  detectProjectName,
+  createPathShortener,
+  readGitContext,
+  readGitFile,
+};
@@ -0,0 +1,167 @@
+/**
+ * The handoff contract: one JSON Schema per handoff version, in schemas/,
+ * and a validator for them.
+ *
+ * The validator covers the part of JSON Schema (draft 2020-12) the schema
+ * files use - type, const, enum, minimum, required, properties,
+ * additionalProperties, items, anyOf and local $refs - so checking a
+ * handoff needs no dependency. Properties whose value is undefined count as
+ * absent, as they are once the handoff is written.
+ *
+ * export-continue checks every handoff against the current version before
+ * writing it; `npx claude-export validate <file>` checks any handoff file
+ * against the version it declares.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const HANDOFF_FORMAT = "claude-code-handoff";
+// Bump with a new schemas/ file whenever the handoff shape changes.
+const HANDOFF_VERSION = "2.3";
+const HANDOFF_VERSIONS = ["1.0", "2.0", "2.1", "2.2", "2.3"];
+const SCHEMA_DIR = path.join(__dirname, "schemas");
+
+const schemaCache = new Map();
+
+/** The JSON Schema of a handoff version (one of HANDOFF_VERSIONS). */
+function loadHandoffSchema(version) {
+  if (!HANDOFF_VERSIONS.includes(version)) throw new Error(`Unknown handoff version: ${version}`);
+  if (!schemaCache.has(version)) {
+    const file = path.join(SCHEMA_DIR, `${HANDOFF_FORMAT}-${version}.schema.json`);
+    schemaCache.set(version, JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+  return schemaCache.get(version);
+}
+
+// ── Validator ───────────────────────────────────────────────────────
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "object": return isObject(value);
+    case "array": return Array.isArray(value);
+    case "null": return value === null;
+    case "integer": return Number.isInteger(value);
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+function describeValue(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "an array";
+  if (isObject(value)) return "an object";
+  return JSON.stringify(value);
+}
+
+/** Resolve a local "#/$defs/name" reference against the root schema. */
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`Unsupported $ref: ${ref}`);
+  const target = ref.slice(2).split("/").reduce((node, key) => (node ? node[key] : undefined), root);
+  if (!target) throw new Error(`Unresolved $ref: ${ref}`);
+  return target;
+}
+
+function checkValue(value, schema, root, at, errors) {
+  if (schema.$ref) schema = resolveRef(root, schema.$ref);
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push({ path: at, message: `expected ${types.join(" or ")}, got ${describeValue(value)}` });
+      return;
+    }
+  }
+  if ("const" in schema && value !== schema.const) {
+    errors.push({ path: at, message: `must be ${JSON.stringify(schema.const)}, got ${describeValue(value)}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}, got ${describeValue(value)}` });
+    return;
+  }
+  if (schema.minimum !== undefined && typeof value === "number" && value < schema.minimum) {
+    errors.push({ path: at, message: `must be >= ${schema.minimum}, got ${value}` });
+  }
+
+  // Report the alternative that came closest, rather than all of them.
+  if (schema.anyOf) {
+    let closest = null;
+    for (const alternative of schema.anyOf) {
+      const found = [];
+      checkValue(value, alternative, root, at, found);
+      if (found.length === 0) { closest = null; break; }
+      if (!closest || found.length < closest.length) closest = found;
+    }
+    if (closest) errors.push(...closest);
+  }
+
+  if (isObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: `${at}/${key}`, message: "is required" });
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (child === undefined) continue;
+      const childSchema = schema.properties && schema.properties[key];
+      if (childSchema) checkValue(child, childSchema, root, `${at}/${key}`, errors);
+      else if (schema.additionalProperties === false) errors.push({ path: `${at}/${key}`, message: "is not allowed" });
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => checkValue(item, schema.items, root, `${at}/${i}`, errors));
+  }
+}
+
+/**
+ * Check a value against a schema: [{ path, message }], empty when it
+ * conforms. Paths are JSON Pointers ("" is the value itself).
+ */
+function validateSchema(value, schema) {
+  const errors = [];
+  checkValue(value, schema, schema, "", errors);
+  return errors;
+}
+
+// ── Handoff ─────────────────────────────────────────────────────────
+/**
+ * Check a parsed handoff against the schema of the version it declares:
+ *   { version, schemaVersion, errors, warnings }
+ * An older known version is a warning; an unknown or missing version is an
+ * error, and the handoff is then checked against the current version.
+ * Errors and warnings are "<path>: <message>" strings.
+ */
+function validateHandoff(handoff) {
+  const errors = [];
+  const warnings = [];
+  if (!isObject(handoff)) {
+    return { version: null, schemaVersion: null, errors: [`(root): expected an object, got ${describeValue(handoff)}`], warnings };
+  }
+
+  const version = typeof handoff._version === "string" ? handoff._version : null;
+  let schemaVersion = version;
+  if (!HANDOFF_VERSIONS.includes(version)) {
+    schemaVersion = HANDOFF_VERSION;
+    const problem = handoff._version === undefined ? "is required" : `unknown version ${describeValue(handoff._version)}`;
+    errors.push(`/_version: ${problem} (known: ${HANDOFF_VERSIONS.join(", ")}); checked against ${HANDOFF_VERSION}`);
+  } else if (version !== HANDOFF_VERSION) {
+    warnings.push(`/_version: ${version} is older than the current ${HANDOFF_VERSION}; checked against the ${version} schema`);
+  }
+
+  for (const error of validateSchema(handoff, loadHandoffSchema(schemaVersion))) {
+    if (error.path === "/_version" && schemaVersion !== version) continue; // reported above
+    errors.push(`${error.path || "(root)"}: ${error.message}`);
+  }
+  return { version, schemaVersion, errors, warnings };
+}
+
+module.exports = {
+  HANDOFF_FORMAT,
+  HANDOFF_VERSION,
+  HANDOFF_VERSIONS,
+  loadHandoffSchema,
+  validateSchema,
+  validateHandoff,
+};
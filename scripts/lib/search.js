@@ -0,0 +1,184 @@
+/**
+ * Cross-session full-text search for claude-export (`--search <regex>`).
+ *
+ * Each session is streamed once and every text it contains is tested
+ * against the pattern, tagged with a scope:
+ *   prompts    user prompts
+ *   assistant  assistant text replies
+ *   tools      tool call inputs (commands, paths, edit strings, ...)
+ *   results    tool result output (not searched unless asked for)
+ * A block counts as one hit however often the pattern occurs in it. Turns
+ * are numbered the way the exporters number them, so a hit can be found
+ * again in the exported transcript.
+ *
+ * `file` narrows the search to sessions that edited that file (including
+ * edits by their subagents); without a pattern the edits themselves are
+ * the hits.
+ */
+
+const { TASK_TOOL, isSidechain, createSubagentIndex } = require("./subagents");
+const { isCompactSummary } = require("./compaction");
+
+const SEARCH_SCOPES = ["prompts", "assistant", "tools", "results"];
+const DEFAULT_SCOPES = ["prompts", "assistant", "tools"];
+const EDIT_TOOLS = new Set(["Edit", "MultiEdit", "Write", "NotebookEdit"]);
+const SNIPPET_CONTEXT = 40;
+
+// ── Options ─────────────────────────────────────────────────────────
+/**
+ * Compile a search pattern. `/source/flags` is used as written; anything
+ * else is a case-insensitive regex. Throws on invalid syntax.
+ */
+function parseSearchPattern(pattern) {
+  const m = /^\/(.+)\/([a-z]*)$/s.exec(pattern);
+  try {
+    return m ? new RegExp(m[1], m[2].replace(/g/g, "")) : new RegExp(pattern, "i");
+  } catch (err) {
+    throw new Error(`Invalid search pattern: ${err.message}`);
+  }
+}
+
+/** Parse a comma-separated `--in` value ("all" selects every scope). */
+function parseScopes(value) {
+  const scopes = value.split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+  if (scopes.includes("all")) return [...SEARCH_SCOPES];
+  const unknown = scopes.filter((s) => !SEARCH_SCOPES.includes(s));
+  if (unknown.length > 0 || scopes.length === 0) {
+    throw new Error(`Unknown search scope: ${unknown.join(", ") || value} (expected: ${SEARCH_SCOPES.join(", ")}, all)`);
+  }
+  return scopes;
+}
+
+// ── Matching ────────────────────────────────────────────────────────
+function normalizePath(fp) {
+  return (fp || "").replace(/\\/g, "/").replace(/^\.\//, "").replace(/\/$/, "");
+}
+
+/** True when a tool's file path is `want`, or ends with it as a relative path. */
+function pathMatches(filePath, want) {
+  const fp = normalizePath(filePath);
+  return fp === want || fp.endsWith("/" + want);
+}
+
+function editedPath(block) {
+  if (!EDIT_TOOLS.has(block.name)) return null;
+  const input = block.input || {};
+  return input.file_path || input.notebook_path || null;
+}
+
+/** Searchable text of a tool input: its values, one per line. */
+function toolInputText(input) {
+  return Object.values(input || {})
+    .map((v) => (typeof v === "string" ? v : JSON.stringify(v)))
+    .join("\n");
+}
+
+function resultText(block) {
+  if (typeof block.content === "string") return block.content;
+  if (!Array.isArray(block.content)) return "";
+  return block.content.map((c) => (c.type === "text" ? c.text : "")).join("\n");
+}
+
+/**
+ * One-line excerpt around a match: { before, match, after }, with newlines
+ * collapsed and "..." marking cut text.
+ */
+function makeSnippet(text, index, length, context = SNIPPET_CONTEXT) {
+  const flat = (s) => s.replace(/\s+/g, " ");
+  const start = Math.max(0, index - context);
+  const end = Math.min(text.length, index + length + context);
+  return {
+    before: (start > 0 ? "..." : "") + flat(text.slice(start, index)).trimStart(),
+    match: flat(text.slice(index, index + length)),
+    after: flat(text.slice(index + length, end)).trimEnd() + (end < text.length ? "..." : ""),
+  };
+}
+
+// ── Search ──────────────────────────────────────────────────────────
+/**
+ * Search one session's entries (active branch, already redacted if wanted),
+ * and the subagent transcripts its Task calls ran: `subagents` as loaded
+ * from their own files ([{ agentId, file, entries }], see subagents.js).
+ * A subagent's hits count under the turn of its Task call.
+ *
+ * options: { pattern (RegExp|null), scopes, tool, file, maxHits, subagents }
+ * Returns { hits: [{ turn, timestamp, scope, tool, snippet }], hitCount,
+ * editedFile } - only the first `maxHits` hits are kept, `hitCount` counts
+ * them all. With `file` set and no edit of it, the session has no hits.
+ */
+function searchSession(entries, {
+  pattern = null, scopes = DEFAULT_SCOPES, tool = null, file = null, maxHits = 5, subagents = [],
+} = {}) {
+  const want = file ? normalizePath(file) : null;
+  const toolCalls = new Map(); // tool_use id -> block, for result hits and Task matching
+  const subagentIndex = createSubagentIndex(subagents);
+  const hits = [];
+  const edits = [];
+  let hitCount = 0;
+  let editedFile = false;
+  let turn = 0;
+
+  function test(text, scope, hit) {
+    if (!pattern || !scopes.includes(scope) || !text) return;
+    const m = pattern.exec(text);
+    if (!m) return;
+    hitCount++;
+    if (hits.length < maxHits) hits.push({ ...hit, scope, snippet: makeSnippet(text, m.index, m[0].length) });
+  }
+
+  /** Search one entry; `sidechain` for a subagent's own entries. */
+  function visit(entry, sidechain) {
+    const content = entry.message?.content;
+    if (!Array.isArray(content)) return;
+    const base = { turn: Math.max(turn, 1), timestamp: entry.timestamp || null, tool: null };
+
+    if (entry.type === "user") {
+      for (const block of content) {
+        if (block.type !== "tool_result") continue;
+        const call = toolCalls.get(block.tool_use_id);
+        const name = call?.name || null;
+        if (!tool || name === tool) test(resultText(block), "results", { ...base, tool: name });
+        const transcript = name === TASK_TOOL ? subagentIndex.match(call, entry.toolUseResult?.agentId) : null;
+        if (transcript) for (const subEntry of transcript.entries) visit(subEntry, true);
+      }
+      // A subagent's prompt is already part of its Task call's input.
+      if (sidechain || isCompactSummary(entry) || content.some((c) => c.type === "tool_result")) return;
+      turn++;
+      base.turn = turn;
+      if (tool) return;
+      const text = content.filter((c) => c.type === "text").map((c) => c.text).join("\n");
+      test(text, "prompts", base);
+    } else if (entry.type === "assistant") {
+      for (const block of content) {
+        if (block.type === "text" && !tool) {
+          test(block.text, "assistant", base);
+        } else if (block.type === "tool_use") {
+          toolCalls.set(block.id, block);
+          const fp = want ? editedPath(block) : null;
+          if (fp && pathMatches(fp, want)) {
+            editedFile = true;
+            edits.push({ ...base, scope: "edit", tool: block.name, snippet: { before: "", match: normalizePath(fp), after: "" } });
+          }
+          if (!tool || block.name === tool) test(toolInputText(block.input), "tools", { ...base, tool: block.name });
+        }
+      }
+    }
+  }
+
+  for (const entry of entries) visit(entry, isSidechain(entry));
+
+  if (want && !editedFile) return { hits: [], hitCount: 0, editedFile };
+  if (!pattern) {
+    const kept = edits.filter((e) => !tool || e.tool === tool);
+    return { hits: kept.slice(0, maxHits), hitCount: kept.length, editedFile };
+  }
+  return { hits, hitCount, editedFile };
+}
+
+module.exports = {
+  SEARCH_SCOPES,
+  DEFAULT_SCOPES,
+  parseSearchPattern,
+  parseScopes,
+  searchSession,
+};
@@ -0,0 +1,224 @@
+/**
+ * Session selection and loading for claude-export.
+ *
+ * By default a single session is exported: the one given by id, or the
+ * active one (latest last-entry timestamp). `--sessions id1,id2`,
+ * `--since <date>`, `--until <date>` and `--last <N>` select several
+ * sessions instead; their entries are streamed one after another, oldest
+ * session first, with a synthetic SESSION_START marker entry before each so
+ * that the converters can print per-session headers.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { iterateJsonl, openJsonl } = require("./jsonl");
+const { indexBranches, activeBranchEntries } = require("./branches");
+const { loadSubagentFiles } = require("./subagents");
+
+// Type of the marker entry yielded before each session in a multi-session export.
+const SESSION_START = "claude-export:session-start";
+
+// ── Timestamps ──────────────────────────────────────────────────────
+/**
+ * Read the last entry's timestamp from a JSONL file.
+ * More reliable than file mtime for detecting the actively-running session,
+ * because when /export runs, the current session just wrote a tool_use entry.
+ */
+function getLastEntryTimestamp(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    const readSize = Math.min(stat.size, 16384); // last 16KB
+    const buf = Buffer.alloc(readSize);
+    const fd = fs.openSync(filePath, "r");
+    fs.readSync(fd, buf, 0, readSize, Math.max(0, stat.size - readSize));
+    fs.closeSync(fd);
+    const lines = buf.toString("utf8").split("\n").filter((l) => l.trim());
+    for (let i = lines.length - 1; i >= 0; i--) {
+      try {
+        const entry = JSON.parse(lines[i]);
+        if (entry.timestamp) return new Date(entry.timestamp).getTime();
+      } catch {}
+    }
+    return stat.mtime.getTime(); // fallback
+  } catch {
+    return 0;
+  }
+}
+
+/** First entry timestamp; stops reading as soon as one is found. */
+function getFirstEntryTimestamp(filePath) {
+  for (const entry of iterateJsonl(filePath)) {
+    if (entry.timestamp) return new Date(entry.timestamp).getTime();
+  }
+  return 0;
+}
+
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+const DURATION = /^(\d+)([smhdw])$/;
+
+/** True when a --since/--until/--turns-since value is a duration ("45m") rather than a date. */
+function isDuration(value) {
+  return DURATION.test(value);
+}
+
+/**
+ * Parse a --since/--until/--turns-since value. A bare YYYY-MM-DD date means
+ * the start (or, with `endOfDay`, the end) of that day in local time; a
+ * duration such as "45m", "2h" or "3d" means that long before `now`;
+ * anything else is passed to Date. Throws on unparseable input.
+ */
+function parseDateOption(value, endOfDay = false, now = Date.now()) {
+  const duration = DURATION.exec(value);
+  if (duration) return now - duration[1] * DURATION_UNITS[duration[2]];
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = m
+    ? (endOfDay ? new Date(+m[1], m[2] - 1, +m[3], 23, 59, 59, 999) : new Date(+m[1], m[2] - 1, +m[3]))
+    : new Date(value);
+  if (isNaN(date.getTime())) throw new Error(`Invalid date: ${value}`);
+  return date.getTime();
+}
+
+// ── Selection ───────────────────────────────────────────────────────
+/** Every session file of a project directory as [{ id, file }], in no particular order. */
+function sessionFiles(projectDir) {
+  return fs
+    .readdirSync(projectDir)
+    .filter((f) => f.endsWith(".jsonl") && !f.startsWith("agent-"))
+    .map((f) => ({ id: f.replace(/\.jsonl$/, ""), file: path.join(projectDir, f) }));
+}
+
+function withTimes(session) {
+  session.start = getFirstEntryTimestamp(session.file);
+  session.end = getLastEntryTimestamp(session.file);
+  return session;
+}
+
+/** The one candidate whose id is `want` or starts with it; throws otherwise. */
+function matchSession(candidates, want) {
+  const id = want.replace(/\.jsonl$/, "");
+  const exact = candidates.find((c) => c.id === id);
+  const hits = exact ? [exact] : candidates.filter((c) => c.id.startsWith(id));
+  if (hits.length === 0) throw new Error(`No session matches "${want}"`);
+  if (hits.length > 1) throw new Error(`"${want}" matches ${hits.length} sessions; use a longer id`);
+  return hits[0];
+}
+
+/**
+ * Resolve a session reference to { id, file, start, end }: a path to a
+ * .jsonl session file (absolute, or containing a directory separator), or an
+ * id (or unique prefix) in `projectDir`. Throws when it matches nothing.
+ */
+function resolveSession(projectDir, ref) {
+  if (ref.endsWith(".jsonl") && (path.isAbsolute(ref) || /[\\/]/.test(ref))) {
+    if (!fs.existsSync(ref)) throw new Error(`Session file not found: ${ref}`);
+    return withTimes({ id: path.basename(ref).replace(/\.jsonl$/, ""), file: ref });
+  }
+  if (!projectDir) throw new Error(`Cannot resolve session id "${ref}" without a project`);
+  return withTimes({ ...matchSession(sessionFiles(projectDir), ref) });
+}
+
+/**
+ * The active session of a project directory: the one whose last entry is
+ * the most recent, as { id, file, start, end }, or null when there is none.
+ */
+function findLatestSession(projectDir) {
+  const latest = sessionFiles(projectDir)
+    .map((s) => ({ ...s, end: getLastEntryTimestamp(s.file) }))
+    .sort((a, b) => b.end - a.end)[0];
+  return latest ? withTimes(latest) : null;
+}
+
+/** True when any multi-session option was given. */
+function isMultiSession(opts) {
+  return Boolean(opts.sessions || opts.since != null || opts.until != null || opts.last);
+}
+
+/**
+ * Resolve the multi-session options to [{ id, file, start, end }], oldest
+ * first. Ids may be abbreviated to a unique prefix. A session matches a date
+ * range if any of its activity falls inside it; `last` then keeps the N most
+ * recently active. Throws when an id matches no session or several.
+ */
+function selectSessions(projectDir, opts) {
+  let candidates = sessionFiles(projectDir);
+  if (opts.sessions) {
+    const picked = new Map();
+    for (const want of opts.sessions) {
+      const hit = matchSession(candidates, want);
+      picked.set(hit.id, hit);
+    }
+    candidates = [...picked.values()];
+  }
+
+  candidates.forEach(withTimes);
+  if (opts.since != null) candidates = candidates.filter((c) => c.end >= opts.since);
+  if (opts.until != null) candidates = candidates.filter((c) => c.start <= opts.until);
+  if (opts.last) candidates = candidates.sort((a, b) => b.end - a.end).slice(0, opts.last);
+  return candidates.sort((a, b) => a.start - b.start);
+}
+
+// ── Loading ─────────────────────────────────────────────────────────
+/** Combine per-session branch indexes, renumbering branch ids to stay unique. */
+function mergeBranchIndexes(indexes) {
+  const offsets = [];
+  let branchCount = 0;
+  for (const index of indexes) {
+    offsets.push(branchCount);
+    branchCount += index.branchCount;
+  }
+  return {
+    branchCount,
+    isActive: (entry) => indexes.every((index) => index.isActive(entry)),
+    branchOf(entry) {
+      for (let i = 0; i < indexes.length; i++) {
+        const branch = indexes[i].branchOf(entry);
+        if (branch) return { ...branch, id: branch.id + offsets[i] };
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Open the selected sessions as one entry stream. Each session's parentUuid
+ * tree is indexed first (a cheap extra pass) so that only its active branch
+ * is yielded unless `allBranches` is set.
+ *
+ * Returns { entries, branches, subagents }. Every iteration of `entries`
+ * streams the files again from the start. With `markers`, a SESSION_START
+ * entry { type, session, index, total } precedes each session. Subagent
+ * transcripts are looked up next to each session file.
+ */
+function openSessions(sessions, { allBranches = false, markers = false } = {}) {
+  const opened = sessions.map((session) => {
+    const sessionEntries = openJsonl(session.file);
+    return { session, sessionEntries, branches: indexBranches(sessionEntries) };
+  });
+
+  function* entries() {
+    for (let i = 0; i < opened.length; i++) {
+      const { session, sessionEntries, branches } = opened[i];
+      if (markers) yield { type: SESSION_START, session, index: i + 1, total: opened.length };
+      yield* allBranches ? sessionEntries : activeBranchEntries(sessionEntries, branches);
+    }
+  }
+
+  return {
+    entries: { [Symbol.iterator]: entries },
+    branches: opened.length === 1 ? opened[0].branches : mergeBranchIndexes(opened.map((o) => o.branches)),
+    subagents: sessions.flatMap((s) => loadSubagentFiles(path.dirname(s.file), s.id)),
+  };
+}
+
+module.exports = {
+  SESSION_START,
+  getLastEntryTimestamp,
+  parseDateOption,
+  isDuration,
+  sessionFiles,
+  isMultiSession,
+  resolveSession,
+  findLatestSession,
+  selectSessions,
+  openSessions,
+};
@@ -0,0 +1,178 @@
+/**
+ * Turn-range and time-window slicing (`--from-turn`, `--to-turn`,
+ * `--last-turns`, `--turns-since`): export only part of a long
+ * conversation, usually its latest work.
+ *
+ * Turns are numbered as the exporters number them ("User (Turn N)"): each
+ * user prompt of the main conversation's active branch, counted across
+ * merged sessions. A first pass over the entries finds when each turn
+ * started and which files its edits changed; the range is resolved from
+ * that, and a second pass yields only the entries of the turns in range.
+ * `since` keeps the turns that started at or after it. Entries before the
+ * first prompt belong to turn 1; abandoned-branch and sidechain entries to
+ * the turn they were written in. Subagent transcripts are kept when they
+ * started during the slice.
+ *
+ * The sliced stream carries a SLICE_START marker entry just before its
+ * first entry (after that session's SESSION_START):
+ *   { type, slice: { fromTurn, toTurn, totalTurns, sessionTurn, before } }
+ *   before: { turns, toolCalls, filesChanged, started }
+ * The converters number turns from it (`sessionTurn` is fromTurn counted
+ * within its own session) and summarize what came before the slice.
+ */
+
+const { SESSION_START } = require("./sessions");
+const { isSidechain } = require("./subagents");
+const { isCompactSummary } = require("./compaction");
+
+// Type of the marker entry at the start of a sliced stream.
+const SLICE_START = "claude-export:slice-start";
+const EDIT_TOOLS = new Set(["Write", "Edit", "MultiEdit", "NotebookEdit"]);
+
+/** A user prompt of the main conversation: the entry that starts a numbered turn. */
+function isTurnStart(entry, branches) {
+  const content = entry.message?.content;
+  return entry.type === "user" && Array.isArray(content) && entry.message.role === "user" &&
+    !content.some((c) => c.type === "tool_result") && !isCompactSummary(entry) &&
+    !isSidechain(entry) && !branches?.branchOf(entry);
+}
+
+// ── Turns ───────────────────────────────────────────────────────────
+/**
+ * Every turn as { turn, timestamp, time, sessionTurn, toolCalls, files },
+ * index = turn number; turns[0] holds what came before the first prompt.
+ * `files` are the files the turn's edits changed without an error.
+ */
+function scanTurns(entries, branches) {
+  const turns = [{ turn: 0, timestamp: null, time: null, sessionTurn: 0, toolCalls: 0, files: new Set() }];
+  const edits = new Map(); // tool_use id -> { turn, file }
+  let sessionTurn = 0;
+  for (const entry of entries) {
+    if (entry.type === SESSION_START) {
+      sessionTurn = 0;
+      continue;
+    }
+    if (isSidechain(entry) || branches?.branchOf(entry)) continue;
+    if (isTurnStart(entry, branches)) {
+      turns.push({
+        turn: turns.length,
+        timestamp: entry.timestamp || null,
+        time: Date.parse(entry.timestamp) || null,
+        sessionTurn: ++sessionTurn,
+        toolCalls: 0,
+        files: new Set(),
+      });
+      continue;
+    }
+    const content = entry.message?.content;
+    if (!Array.isArray(content)) continue;
+    const current = turns[turns.length - 1];
+    for (const block of content) {
+      if (block.type === "tool_use" && entry.type === "assistant") {
+        current.toolCalls++;
+        const file = block.input?.file_path || block.input?.notebook_path;
+        if (EDIT_TOOLS.has(block.name) && file) edits.set(block.id, { turn: current, file });
+      } else if (block.type === "tool_result" && edits.has(block.tool_use_id)) {
+        const { turn, file } = edits.get(block.tool_use_id);
+        edits.delete(block.tool_use_id);
+        if (!block.is_error) turn.files.add(file);
+      }
+    }
+  }
+  return turns;
+}
+
+/** The first and last turn `spec` selects; throws when none is left. */
+function resolveTurnRange(turns, { fromTurn = null, toTurn = null, lastTurns = null, since = null }) {
+  const total = turns.length - 1;
+  if (fromTurn > total) throw new Error(`The conversation has ${total} turns; turn ${fromTurn} does not exist`);
+  let from = fromTurn || 1;
+  const to = toTurn ? Math.min(toTurn, total) : total;
+  if (lastTurns) from = Math.max(from, total - lastTurns + 1);
+  if (since != null) {
+    const first = turns.find((t) => t.turn > 0 && t.time != null && t.time >= since);
+    from = Math.max(from, first ? first.turn : total + 1);
+  }
+  if (from > to) throw new Error(`No turns in the requested range (the conversation has ${total} turns)`);
+  return { from, to };
+}
+
+// ── Slicing ─────────────────────────────────────────────────────────
+function* sliceEntries(entries, { from, to }, marker, branches) {
+  let turn = 0;
+  let session = null; // SESSION_START held until its session has an entry in range
+  let started = false;
+  for (const entry of entries) {
+    if (entry.type === SESSION_START) {
+      session = entry;
+      continue;
+    }
+    if (isTurnStart(entry, branches)) turn++;
+    if (Math.max(turn, 1) < from) continue;
+    if (turn > to) return;
+    if (session) yield session;
+    session = null;
+    if (!started) yield marker;
+    started = true;
+    yield entry;
+  }
+}
+
+function startedBetween(transcript, start, end) {
+  const time = Date.parse(transcript.entries.find((e) => e.timestamp)?.timestamp);
+  return isNaN(time) || start == null || (time >= start && time < end);
+}
+
+/**
+ * Slice a conversation (a loaded session, or entries that can be iterated
+ * twice) to the turns `spec` selects: { fromTurn, toTurn, lastTurns, since },
+ * all optional, `since` in ms. Returns { entries, subagents, slice }:
+ * the sliced stream (see the top of this file), the subagent transcripts
+ * that started during it, and its SLICE_START summary. Throws when no turn
+ * is in range.
+ */
+function sliceSession(entries, spec, { branches = null, subagents = [] } = {}) {
+  const turns = scanTurns(entries, branches);
+  const range = resolveTurnRange(turns, spec);
+  const before = turns.slice(0, range.from);
+  const slice = {
+    fromTurn: range.from,
+    toTurn: range.to,
+    totalTurns: turns.length - 1,
+    sessionTurn: turns[range.from].sessionTurn,
+    before: {
+      turns: range.from - 1,
+      toolCalls: before.reduce((sum, t) => sum + t.toolCalls, 0),
+      filesChanged: [...new Set(before.flatMap((t) => [...t.files]))],
+      started: range.from > 1 ? turns[1].timestamp : null,
+    },
+  };
+  const start = turns[range.from].time;
+  const end = turns[range.to + 1]?.time ?? Infinity;
+  return {
+    entries: { [Symbol.iterator]: () => sliceEntries(entries, range, { type: SLICE_START, slice }, branches) },
+    subagents: subagents.filter((transcript) => startedBetween(transcript, start, end)),
+    slice,
+  };
+}
+
+/**
+ * A loaded session (see index.js loadSession()) cut to the turns the CLI
+ * options ask for (`fromTurn`, `toTurn`, `lastTurns`, `turnsSince`), or the
+ * session itself when they ask for none. The result is a loaded session
+ * again, with `slice` set, so the converters take it as they take any
+ * session. Throws when no turn is in range.
+ */
+function sliceLoadedSession(session, { fromTurn = null, toTurn = null, lastTurns = null, turnsSince = null }) {
+  if (fromTurn == null && toTurn == null && lastTurns == null && turnsSince == null) return session;
+  const sliced = sliceSession(session, { fromTurn, toTurn, lastTurns, since: turnsSince }, session);
+  return {
+    ...session,
+    entries: sliced.entries,
+    subagents: sliced.subagents,
+    slice: sliced.slice,
+    [Symbol.iterator]: () => sliced.entries[Symbol.iterator](),
+  };
+}
+
+module.exports = { SLICE_START, sliceSession, sliceLoadedSession };
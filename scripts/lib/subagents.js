@@ -0,0 +1,131 @@
+/**
+ * Subagent (Task tool) transcript discovery for claude-export.
+ *
+ * A Task call runs a subagent whose own messages and tool calls are stored
+ * either as sidechain entries (`isSidechain: true`) inside the parent session
+ * file, or as separate JSONL files:
+ *   <project-dir>/<session-id>/subagents/agent-<agentId>.jsonl   (current)
+ *   <project-dir>/agent-<agentId>.jsonl                          (older)
+ *
+ * Transcripts are matched to their Task call by the `agentId` recorded on
+ * the tool result entry, falling back to comparing the subagent's first
+ * prompt with the Task `prompt` input.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { iterateJsonl, parseJsonl } = require("./jsonl");
+
+const TASK_TOOL = "Task";
+
+function isSidechain(entry) {
+  return entry.isSidechain === true;
+}
+
+/** First user prompt text of a transcript (the prompt the subagent was given). */
+function transcriptPrompt(entries) {
+  for (const entry of entries) {
+    if (entry.type !== "user" || entry.message?.role !== "user") continue;
+    const content = entry.message.content;
+    if (typeof content === "string") return content.trim();
+    if (!Array.isArray(content)) continue;
+    if (content.some((c) => c.type === "tool_result")) continue;
+    const text = content.filter((c) => c.type === "text").map((c) => c.text).join("\n");
+    if (text.trim()) return text.trim();
+  }
+  return "";
+}
+
+function agentIdFromFile(fileName) {
+  return fileName.replace(/^agent-/, "").replace(/\.jsonl$/, "");
+}
+
+/**
+ * Load every subagent transcript file that belongs to `sessionId`.
+ * Returns [{ agentId, file, entries }]. `readEntries` parses a file; watch
+ * mode passes one that only reads what was appended since last time.
+ */
+function loadSubagentFiles(projectDir, sessionId, readEntries = parseJsonl) {
+  const found = [];
+  const seen = new Set();
+
+  const nestedDir = path.join(projectDir, sessionId, "subagents");
+  if (fs.existsSync(nestedDir)) {
+    for (const f of fs.readdirSync(nestedDir).filter((f) => /^agent-.+\.jsonl$/.test(f))) {
+      const file = path.join(nestedDir, f);
+      found.push({ agentId: agentIdFromFile(f), file, entries: readEntries(file) });
+      seen.add(agentIdFromFile(f));
+    }
+  }
+
+  // Older layout: agent files sit next to the sessions; only the first entry
+  // needs reading to know which session they belong to.
+  if (fs.existsSync(projectDir)) {
+    for (const f of fs.readdirSync(projectDir).filter((f) => /^agent-.+\.jsonl$/.test(f))) {
+      if (seen.has(agentIdFromFile(f))) continue;
+      const file = path.join(projectDir, f);
+      let owner = null;
+      for (const entry of iterateJsonl(file)) {
+        owner = entry.sessionId || null;
+        break;
+      }
+      if (owner !== sessionId) continue;
+      found.push({ agentId: agentIdFromFile(f), file, entries: readEntries(file) });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Matches Task calls to subagent transcripts. Inline sidechain entries from
+ * the parent session are fed in with add() while it is being streamed;
+ * file-based transcripts are supplied up front.
+ */
+function createSubagentIndex(fileTranscripts = []) {
+  const transcripts = fileTranscripts.map((t) => ({ ...t }));
+  const byAgentId = new Map(transcripts.map((t) => [t.agentId, t]));
+  const inlineByUuid = new Map(); // sidechain entry uuid -> its transcript
+  const used = new Set();
+
+  /** Record an inline sidechain entry. */
+  function add(entry) {
+    let transcript = entry.agentId ? byAgentId.get(entry.agentId) : null;
+    if (transcript && transcript.file) return; // already loaded from its own file
+    if (!transcript && entry.parentUuid) transcript = inlineByUuid.get(entry.parentUuid);
+    if (!transcript) {
+      transcript = { agentId: entry.agentId || null, file: null, entries: [] };
+      transcripts.push(transcript);
+      if (entry.agentId) byAgentId.set(entry.agentId, transcript);
+    }
+    transcript.entries.push(entry);
+    if (entry.uuid) inlineByUuid.set(entry.uuid, transcript);
+  }
+
+  /**
+   * Find the transcript for a Task tool_use. `agentId` comes from the
+   * `toolUseResult` of the entry that carried its tool_result, when known.
+   */
+  function match(block, agentId) {
+    let transcript = agentId ? byAgentId.get(agentId) : null;
+    if (!transcript || used.has(transcript)) {
+      const prompt = (block.input?.prompt || "").trim();
+      transcript = prompt
+        ? transcripts.find((t) => !used.has(t) && transcriptPrompt(t.entries) === prompt)
+        : null;
+    }
+    if (!transcript || transcript.entries.length === 0) return null;
+    used.add(transcript);
+    return transcript;
+  }
+
+  return { add, match };
+}
+
+module.exports = {
+  TASK_TOOL,
+  isSidechain,
+  transcriptPrompt,
+  loadSubagentFiles,
+  createSubagentIndex,
+};
@@ -0,0 +1,196 @@
+/**
+ * Timeline and latency analysis for claude-export.
+ *
+ * Built from each entry's `timestamp`. The time between consecutive entries
+ * of a turn is attributed to whatever ended it: a tool_result means the
+ * tool was running, anything else means the model was working. Per-call
+ * durations come from matching each tool_use to its tool_result.
+ *
+ * The gap between the end of a turn and the next prompt is the user's. When
+ * it exceeds IDLE_GAP_MS the user is taken to have been away: the gap is
+ * listed as idle and left out of the active duration. The gap between two
+ * sessions of a multi-session export always counts as idle; sessions that
+ * overlap in time have none.
+ */
+
+const { isSidechain } = require("./subagents");
+const { isCompactSummary } = require("./compaction");
+const { SESSION_START } = require("./sessions");
+const { SLICE_START } = require("./slice");
+
+const IDLE_GAP_MS = 5 * 60 * 1000;
+const SLOWEST_CALLS = 5;
+
+function isPrompt(entry) {
+  const content = entry.message?.content;
+  return entry.type === "user" && Array.isArray(content) &&
+    !content.some((c) => c.type === "tool_result") && !isCompactSummary(entry);
+}
+
+function isToolResult(entry) {
+  const content = entry.message?.content;
+  return entry.type === "user" && Array.isArray(content) && content.some((c) => c.type === "tool_result");
+}
+
+/** Short target of a tool call for "slowest calls" lists. */
+function describeCall(block, displayPath) {
+  const input = block.input || {};
+  const target = input.file_path
+    ? displayPath(input.file_path)
+    : input.command || input.pattern || input.url || input.description || "";
+  return String(target).replace(/\s+/g, " ").substring(0, 80);
+}
+
+/**
+ * Streaming tracker: feed every entry of the conversation to add() in file
+ * order, then read summary(). `displayPath` shortens file paths in labels.
+ */
+function createTimingTracker({ displayPath = (p) => p } = {}) {
+  const turns = []; // { turn, start, end, tools, calls }
+  const idleGaps = []; // { afterTurn, start, end }
+  const running = new Map(); // tool_use id -> { turn, tool, target, start }
+  const calls = []; // finished: { turn, tool, target, ms }
+  let current = null;
+  let first = null;
+  let last = null;
+  let sessionBoundary = false;
+  let firstTurn = 1; // of a sliced stream (slice.js)
+
+  function add(entry) {
+    if (entry.type === SESSION_START) {
+      sessionBoundary = true;
+      return;
+    }
+    if (entry.type === SLICE_START) {
+      firstTurn = entry.slice.fromTurn;
+      return;
+    }
+    // Subagent work happens inside its Task call, which is timed as a tool.
+    if (isSidechain(entry)) return;
+    const time = Date.parse(entry.timestamp);
+    if (!time) return;
+    const prompt = isPrompt(entry);
+
+    if (first === null) first = time;
+    if (last !== null) {
+      const gap = Math.max(0, time - last);
+      if ((sessionBoundary && gap > 0) || (prompt && gap > IDLE_GAP_MS)) {
+        idleGaps.push({ afterTurn: current ? current.turn : 0, start: last, end: time });
+      } else if (current && !prompt && !sessionBoundary) {
+        current.end = Math.max(current.end, time);
+        if (isToolResult(entry)) current.tools += gap;
+      }
+    }
+    sessionBoundary = false;
+    last = Math.max(last || 0, time);
+
+    if (prompt) {
+      current = { turn: firstTurn + turns.length, start: time, end: time, tools: 0, calls: 0 };
+      turns.push(current);
+    }
+
+    const content = entry.message?.content;
+    if (!Array.isArray(content)) return;
+    for (const block of content) {
+      if (entry.type === "assistant" && block.type === "tool_use") {
+        running.set(block.id, { turn: current ? current.turn : 0, tool: block.name, target: describeCall(block, displayPath), start: time });
+        if (current) current.calls++;
+      } else if (entry.type === "user" && block.type === "tool_result") {
+        const call = running.get(block.tool_use_id);
+        if (!call) continue;
+        running.delete(block.tool_use_id);
+        calls.push({ turn: call.turn, tool: call.tool, target: call.target, ms: Math.max(0, time - call.start) });
+      }
+    }
+  }
+
+  /**
+   * All durations in ms:
+   * { start, end, wall, active, model, tools, idle, idleGaps, turns, slowest }
+   */
+  function summary() {
+    const wall = first !== null ? last - first : 0;
+    const idle = idleGaps.reduce((sum, g) => sum + (g.end - g.start), 0);
+    const turnRows = turns.map((t) => ({
+      turn: t.turn,
+      start: t.start,
+      wall: t.end - t.start,
+      model: t.end - t.start - t.tools,
+      tools: t.tools,
+      calls: t.calls,
+    }));
+    return {
+      start: first,
+      end: last,
+      wall,
+      active: wall - idle,
+      model: turnRows.reduce((sum, t) => sum + t.model, 0),
+      tools: turnRows.reduce((sum, t) => sum + t.tools, 0),
+      idle,
+      idleGaps: idleGaps.map((g) => ({ ...g, ms: g.end - g.start })),
+      turns: turnRows,
+      slowest: [...calls].sort((a, b) => b.ms - a.ms).slice(0, SLOWEST_CALLS),
+    };
+  }
+
+  return { add, summary };
+}
+
+// ── Formatting ──────────────────────────────────────────────────────
+/** "2h 13m", "3m 02s", "41s", "0.8s". */
+function formatDuration(ms) {
+  if (ms < 10000) return `${(ms / 1000).toFixed(1)}s`;
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, "0")}s`;
+  return `${Math.floor(s / 3600)}h ${String(Math.floor((s % 3600) / 60)).padStart(2, "0")}m`;
+}
+
+function clockTime(ms) {
+  return new Date(ms).toISOString().substring(5, 19).replace("T", " ");
+}
+
+/** "no idle gaps", "1 idle gap", "3 idle gaps" - all over IDLE_GAP_MS. */
+function describeIdleGaps(timing) {
+  const n = timing.idleGaps.length;
+  return `${n === 0 ? "no" : n} idle gap${n === 1 ? "" : "s"} over ${IDLE_GAP_MS / 60000} min`;
+}
+
+/** Terminal report for --timeline. */
+function formatTimelineReport(timing) {
+  const lines = [
+    "  Timeline",
+    `    Wall clock:   ${formatDuration(timing.wall)}`,
+    `    Active:       ${formatDuration(timing.active)} (${describeIdleGaps(timing)} excluded)`,
+    `    Model time:   ${formatDuration(timing.model)}`,
+    `    Tool time:    ${formatDuration(timing.tools)}`,
+  ];
+  if (timing.turns.length > 0) {
+    lines.push("", "  Turns (UTC):");
+    for (const t of timing.turns) {
+      lines.push(`    Turn ${String(t.turn).padEnd(4)} ${clockTime(t.start)}  ${formatDuration(t.wall).padStart(8)} wall  ` +
+        `${formatDuration(t.model).padStart(8)} model  ${formatDuration(t.tools).padStart(8)} tools  ${t.calls} calls`);
+    }
+  }
+  if (timing.slowest.length > 0) {
+    lines.push("", "  Slowest tool calls:");
+    for (const c of timing.slowest) {
+      lines.push(`    ${formatDuration(c.ms).padStart(8)}  Turn ${c.turn}  ${c.tool}${c.target ? `  ${c.target}` : ""}`);
+    }
+  }
+  if (timing.idleGaps.length > 0) {
+    lines.push("", "  Idle gaps (UTC):");
+    for (const g of timing.idleGaps) {
+      lines.push(`    ${formatDuration(g.ms).padStart(8)}  after turn ${g.afterTurn}  ${clockTime(g.start)} -> ${clockTime(g.end)}`);
+    }
+  }
+  return lines;
+}
+
+module.exports = {
+  IDLE_GAP_MS,
+  createTimingTracker,
+  formatDuration,
+  describeIdleGaps,
+  formatTimelineReport,
+};
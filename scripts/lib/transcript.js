@@ -0,0 +1,958 @@
+/**
+ * Conversation transcript rendering for claude-export: the Markdown export
+ * (AI-optimized) and the single-file HTML export, plus the session stats
+ * both of them summarize. One walk over the entries (buildMessages) yields
+ * format-neutral messages, which the Markdown and HTML writers each turn
+ * into their output.
+ *
+ * Everything here renders from entries and options alone; the options are
+ * the ones index.js resolves:
+ *   sessionId, sessionList   what the metadata says was exported
+ *   projectName, shortPath   project label and file path display
+ *   git                      { branch, recentCommits, uncommittedFiles }
+ *   redactor                 read for the redaction count (entries arrive redacted)
+ *   prices                   price table; usage lines are left out when null
+ *   branches, allBranches    branch index and whether abandoned branches show
+ *   subagents                subagent transcripts loaded from their own files
+ *   includeThinking, includeResults, maxResultLines, maxWriteLines, maxThinkingChars
+ *   tools                    per-tool verbosity: "full", "input" or "summary" (config.js)
+ *   attachments              image collector (attachments.js); images are placeholders without one
+ */
+
+const { formatRedactionSummary } = require("./redact");
+const { renderHtmlDocument } = require("./html");
+const { TASK_TOOL, isSidechain, createSubagentIndex } = require("./subagents");
+const { isCompactSummary, createCompactionTracker } = require("./compaction");
+const { SESSION_START } = require("./sessions");
+const { SLICE_START } = require("./slice");
+const { createUsageTracker, formatNumber, formatCost, formatRatio } = require("./usage");
+const { createTimingTracker, formatDuration, describeIdleGaps } = require("./timing");
+const { splitToolResultContent } = require("./attachments");
+
+// Headings for nested conversations (opts.nested)
+const SUBAGENT_LABELS = { user: "Prompt", assistant: "Subagent" };
+const BRANCH_LABELS = { user: "User", assistant: "Assistant" };
+
+// ── Helpers ─────────────────────────────────────────────────────────
+function stripSystemTags(text) {
+  return text
+    .replace(/<system-reminder>[\s\S]*?<\/system-reminder>/g, "")
+    .replace(/<ide_opened_file>[\s\S]*?<\/ide_opened_file>/g, "")
+    .replace(/<ide_selection>[\s\S]*?<\/ide_selection>/g, "")
+    .replace(/<user-prompt-submit-hook>[\s\S]*?<\/user-prompt-submit-hook>/g, "")
+    .replace(/<command-message>[\s\S]*?<\/command-message>/g, "")
+    .replace(/<command-name>[\s\S]*?<\/command-name>/g, "")
+    .trim();
+}
+
+function formatTimestamp(ts) {
+  if (!ts) return "";
+  return new Date(ts).toISOString().replace("T", " ").substring(0, 19) + " UTC";
+}
+
+function truncateLines(text, maxLines) {
+  const lines = text.split("\n");
+  if (lines.length <= maxLines) return text;
+  const kept = lines.slice(0, maxLines);
+  const dropped = lines.length - maxLines;
+  kept.push(`\n... (${dropped} more lines truncated, total ${lines.length} lines)`);
+  return kept.join("\n");
+}
+
+function truncateChars(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  return text.substring(0, maxChars) + `\n... (truncated at ${maxChars} chars, total ${text.length})`;
+}
+
+function getFileExt(filePath) {
+  return (filePath || "").split(".").pop() || "text";
+}
+
+// ── Tool results ────────────────────────────────────────────────────
+/** The tool_result blocks carried by a user entry, normalized: text plus image blocks. */
+function toolResultsOf(entry) {
+  if (entry.type !== "user") return [];
+  const content = entry.message?.content;
+  if (!Array.isArray(content)) return [];
+  return content
+    .filter((block) => block.type === "tool_result" && block.tool_use_id)
+    .map((block) => ({
+      id: block.tool_use_id,
+      ...splitToolResultContent(block.content),
+      is_error: block.is_error || false,
+    }));
+}
+
+/** The reference an image block gets in the export, or null for a placeholder. */
+function imageRef(block, opts, context) {
+  return opts.attachments ? opts.attachments.add(block, context) : null;
+}
+
+/**
+ * Track tool calls that are still waiting for their result. When the result
+ * arrives, `onResolve(call, result)` runs and the result is dropped, so long
+ * sessions never hold every tool output in memory at once.
+ */
+function createPendingTools(onResolve) {
+  const pending = new Map();
+  return {
+    add(block, call) {
+      pending.set(block.id, { block, call });
+    },
+    resolve(entry) {
+      for (const r of toolResultsOf(entry)) {
+        const p = pending.get(r.id);
+        if (!p) continue;
+        pending.delete(r.id);
+        onResolve(p, { [r.id]: { content: r.text, images: r.images, is_error: r.is_error } }, entry);
+      }
+    },
+    // Calls that never got a result (e.g. the /export call itself).
+    flush() {
+      for (const p of pending.values()) onResolve(p, {}, null);
+      pending.clear();
+    },
+  };
+}
+
+// ── Collect stats ───────────────────────────────────────────────────
+/**
+ * Incremental stats: call add() per entry, then finish() once the whole
+ * session has been seen. A tool error is counted when the failed
+ * tool_result for a known tool_use arrives.
+ */
+function createStatsCollector(shortPath) {
+  const stats = {
+    userTurns: 0,
+    assistantMessages: 0,
+    toolCalls: 0,
+    toolErrors: 0,
+    thinkingBlocks: 0,
+    toolBreakdown: {},
+    filesRead: new Set(),
+    filesWritten: new Set(),
+    filesEdited: new Set(),
+    bashCommands: 0,
+    searches: 0,
+    subagentRuns: 0,
+    subagentToolCalls: 0,
+    subagentErrors: 0,
+    compactions: 0,
+    duration: { start: null, end: null },
+    slice: null,
+    usage: createUsageTracker(),
+    timing: createTimingTracker({ displayPath: shortPath }),
+  };
+  const toolUseIds = new Set();
+  const responseIds = new Set(); // message.id of each response counted
+
+  function add(entry) {
+    stats.usage.add(entry);
+    stats.timing.add(entry);
+    if (entry.type === SLICE_START) stats.slice = entry.slice;
+    const ts = entry.timestamp;
+    if (ts) {
+      if (!stats.duration.start) stats.duration.start = ts;
+      stats.duration.end = ts;
+    }
+
+    if (entry.type === "user") {
+      const content = entry.message?.content;
+      if (!Array.isArray(content) || isCompactSummary(entry)) return;
+      const hasToolResult = content.some((c) => c.type === "tool_result");
+      if (!hasToolResult) stats.userTurns++;
+      for (const r of toolResultsOf(entry)) {
+        if (r.is_error && toolUseIds.has(r.id)) stats.toolErrors++;
+        toolUseIds.delete(r.id);
+      }
+    }
+
+    if (entry.type === "assistant") {
+      const content = entry.message?.content;
+      if (!Array.isArray(content)) return;
+
+      // A response split into several entries (one per content block, e.g.
+      // parallel tool calls) is counted once, as usage.js counts it.
+      const id = entry.message.id;
+      if (!id || !responseIds.has(id)) stats.assistantMessages++;
+      if (id) responseIds.add(id);
+
+      for (const block of content) {
+        if (block.type === "thinking") stats.thinkingBlocks++;
+        if (block.type === "tool_use") {
+          stats.toolCalls++;
+          const name = block.name || "Unknown";
+          stats.toolBreakdown[name] = (stats.toolBreakdown[name] || 0) + 1;
+          toolUseIds.add(block.id);
+
+          const input = block.input || {};
+          if (name === "Read" && input.file_path) stats.filesRead.add(shortPath(input.file_path));
+          if (name === "Write" && input.file_path) stats.filesWritten.add(shortPath(input.file_path));
+          if (name === "Edit" && input.file_path) stats.filesEdited.add(shortPath(input.file_path));
+          if (name === "Bash") stats.bashCommands++;
+          if (name === "Grep" || name === "Glob") stats.searches++;
+        }
+      }
+    }
+  }
+
+  /** Fold a subagent's own stats in: its files count as touched. */
+  function addSubagent(sub) {
+    stats.subagentRuns++;
+    stats.subagentToolCalls += sub.toolCalls;
+    stats.subagentErrors += sub.toolErrors;
+    stats.usage.merge(sub.usage);
+    for (const f of sub.filesRead) stats.filesRead.add(f);
+    for (const f of sub.filesWritten) stats.filesWritten.add(f);
+    for (const f of sub.filesEdited) stats.filesEdited.add(f);
+  }
+
+  function addCompaction() {
+    stats.compactions++;
+  }
+
+  function finish() {
+    return stats;
+  }
+
+  return { add, addSubagent, addCompaction, finish };
+}
+
+/**
+ * The numbers behind the "Session Summary" section, as plain data. The
+ * conversation is walked exactly as the exporters walk it, so subagents and
+ * branches count the same way.
+ */
+function collectStats(entries, opts) {
+  const statsCollector = createStatsCollector(opts.shortPath);
+  buildMessages(entries, opts, statsCollector);
+  const stats = statsCollector.finish();
+  return {
+    userTurns: stats.userTurns,
+    assistantMessages: stats.assistantMessages,
+    toolCalls: stats.toolCalls,
+    toolErrors: stats.toolErrors,
+    thinkingBlocks: stats.thinkingBlocks,
+    toolBreakdown: { ...stats.toolBreakdown },
+    filesRead: [...stats.filesRead],
+    filesWritten: [...stats.filesWritten],
+    filesEdited: [...stats.filesEdited],
+    bashCommands: stats.bashCommands,
+    searches: stats.searches,
+    subagentRuns: stats.subagentRuns,
+    subagentToolCalls: stats.subagentToolCalls,
+    subagentErrors: stats.subagentErrors,
+    compactions: stats.compactions,
+    abandonedBranches: opts.branches ? opts.branches.branchCount : 0,
+    start: stats.duration.start,
+    end: stats.duration.end,
+    usage: opts.prices ? stats.usage.summary(opts.prices) : null,
+    timing: stats.timing.summary(),
+    slice: stats.slice,
+  };
+}
+
+// ── Describe tool call ──────────────────────────────────────────────
+/**
+ * Per-tool rendering knowledge, as a format-neutral list of items.
+ * Both the Markdown and the HTML renderer consume this, so each tool's
+ * fields are defined once. Item kinds:
+ *   quote  { text }                    field { label, value, code }
+ *   code   { label, lang, text }       edit  { oldText, newText, lang }
+ *   todos  { label, todos }            question { question, options }
+ * With a "summary" verbosity for the tool (opts.tools) there are no items,
+ * and only "full" shows the result.
+ */
+function describeToolCall(block, toolResultMap, opts) {
+  const { shortPath } = opts;
+  const toolName = block.name || "Unknown";
+  const input = block.input || {};
+  const result = toolResultMap[block.id];
+  const isError = result?.is_error || false;
+  const items = [];
+  const field = (label, value, code = false) => items.push({ kind: "field", label, value, code });
+  const code = (label, lang, text) => items.push({ kind: "code", label, lang, text });
+
+  if (toolName === "Bash") {
+    if (input.description) items.push({ kind: "quote", text: input.description });
+    code("Command", "bash", input.command || "");
+  } else if (toolName === "Read") {
+    field("File", shortPath(input.file_path), true);
+    if (input.offset) field("Offset", `line ${input.offset}`);
+    if (input.limit) field("Limit", `${input.limit} lines`);
+  } else if (toolName === "Write") {
+    field("File", shortPath(input.file_path), true);
+    if (input.content) {
+      code("Content written", getFileExt(input.file_path), truncateLines(input.content, opts.maxWriteLines));
+    }
+  } else if (toolName === "Edit") {
+    field("File", shortPath(input.file_path), true);
+    if (input.replace_all) field("Mode", "replace_all");
+    if (input.old_string !== undefined || input.new_string !== undefined) {
+      items.push({
+        kind: "edit",
+        oldText: input.old_string,
+        newText: input.new_string,
+        lang: getFileExt(input.file_path),
+      });
+    }
+  } else if (toolName === "Grep") {
+    field("Pattern", input.pattern || "", true);
+    if (input.path) field("Path", shortPath(input.path), true);
+    if (input.glob) field("Glob", input.glob, true);
+    if (input.output_mode) field("Mode", input.output_mode);
+  } else if (toolName === "Glob") {
+    field("Pattern", input.pattern || "", true);
+    if (input.path) field("Path", shortPath(input.path), true);
+  } else if (toolName === "Task") {
+    field("Agent", input.subagent_type || "?");
+    if (input.description) field("Description", input.description);
+    if (input.model) field("Model", input.model);
+    code("Prompt", "", truncateChars(input.prompt || "", 3000));
+  } else if (toolName === "WebSearch") {
+    field("Query", input.query || "", true);
+  } else if (toolName === "WebFetch") {
+    field("URL", input.url || "");
+    if (input.prompt) field("Prompt", input.prompt);
+  } else if (toolName === "TodoWrite") {
+    items.push({ kind: "todos", label: "Tasks", todos: input.todos || [] });
+  } else if (toolName === "NotebookEdit") {
+    field("Notebook", shortPath(input.notebook_path), true);
+    if (input.cell_type) field("Cell type", input.cell_type);
+    if (input.edit_mode) field("Edit mode", input.edit_mode);
+    if (input.new_source) code("Source", "", truncateLines(input.new_source, 100));
+  } else if (toolName === "AskUserQuestion") {
+    for (const q of input.questions || []) {
+      items.push({ kind: "question", question: q.question, options: q.options || [] });
+    }
+  } else {
+    code("Input", "json", truncateChars(JSON.stringify(input, null, 2), 2000));
+  }
+
+  let resultLang = "";
+  if (result && !isError && toolName === "Read" && input.file_path && /^\s+\d+→/m.test(result.content || "")) {
+    resultLang = getFileExt(input.file_path);
+  }
+
+  const verbosity = opts.tools?.[toolName] || "full";
+  if (verbosity === "summary") items.length = 0;
+  return { toolName, input, result, isError, items, resultLang, verbosity };
+}
+
+/** Short one-line label for a tool call (file path, command, pattern...). */
+function toolCallLabel(desc, shortPath) {
+  const input = desc.input;
+  if (desc.toolName === "Bash") return input.description || (input.command || "").split("\n")[0];
+  if (input.file_path) return shortPath(input.file_path);
+  if (input.notebook_path) return shortPath(input.notebook_path);
+  if (input.pattern) return input.pattern;
+  if (input.description) return input.description;
+  if (input.query) return input.query;
+  if (input.url) return input.url;
+  return "";
+}
+
+// ── Format tool call with result ────────────────────────────────────
+/** A tool block of buildMessages() as Markdown; `nested` lowers the heading. */
+function formatToolCall(tool, opts, nested) {
+  const { desc, result } = tool;
+  const { toolName } = desc;
+  const parts = [];
+
+  const h = nested ? "####" : "###";
+  const header = desc.isError ? `${h} [ERROR] Tool: ${toolName}` : `${h} Tool: ${toolName}`;
+  parts.push(header);
+  parts.push("");
+  if (desc.verbosity === "summary" && tool.label) parts.push(`\`${tool.label}\``);
+
+  for (const item of desc.items) {
+    if (item.kind === "quote") {
+      parts.push(`> ${item.text}`);
+    } else if (item.kind === "field") {
+      parts.push(item.code ? `**${item.label}:** \`${item.value}\`` : `**${item.label}:** ${item.value}`);
+    } else if (item.kind === "code") {
+      parts.push(`**${item.label}:**`);
+      parts.push("```" + item.lang);
+      parts.push(item.text);
+      parts.push("```");
+    } else if (item.kind === "edit") {
+      if (item.oldText !== undefined) {
+        parts.push("**Old:**");
+        parts.push("```");
+        parts.push(item.oldText);
+        parts.push("```");
+      }
+      if (item.newText !== undefined) {
+        parts.push("**New:**");
+        parts.push("```");
+        parts.push(item.newText);
+        parts.push("```");
+      }
+    } else if (item.kind === "todos") {
+      parts.push(`**${item.label}:**`);
+      for (const t of item.todos) {
+        const icon = t.status === "completed" ? "[x]" : t.status === "in_progress" ? "[~]" : "[ ]";
+        parts.push(`- ${icon} ${t.content}`);
+      }
+    } else if (item.kind === "question") {
+      parts.push(`**Q:** ${item.question}`);
+      for (const o of item.options) {
+        parts.push(`  - ${o.label}: ${o.description || ""}`);
+      }
+    }
+  }
+
+  // Result
+  if (result) {
+    parts.push("");
+    if (result.isError) {
+      parts.push("**Result: ERROR**");
+      parts.push("```");
+      parts.push(result.text);
+      parts.push("```");
+    } else if (result.text !== null) {
+      parts.push("**Result:**");
+      parts.push("```" + result.lang);
+      parts.push(result.text);
+      parts.push("```");
+    }
+    for (const ref of result.images) {
+      parts.push("");
+      parts.push(`![Image from ${toolName}](${ref})`);
+    }
+  }
+  if (tool.subagent) parts.push("", ...formatSubagent(tool.subagent, opts));
+
+  return parts.join("\n");
+}
+
+// ── Shared sections ─────────────────────────────────────────────────
+// Metadata and summary content shared by the Markdown and HTML outputs.
+function buildMetadataRows(stats, opts) {
+  const rows = [
+    opts.sessionList
+      ? { label: "Sessions", value: opts.sessionList.map((s) => s.id.substring(0, 8)).join(", "), code: true }
+      : { label: "Session ID", value: opts.sessionId, code: true },
+    { label: "Project", value: opts.projectName },
+    { label: "Branch", value: opts.git.branch, code: true },
+    { label: "Start", value: formatTimestamp(stats.duration.start) },
+    { label: "End", value: formatTimestamp(stats.duration.end) },
+  ];
+  if (stats.duration.start && stats.duration.end) {
+    const durationMs = new Date(stats.duration.end) - new Date(stats.duration.start);
+    const mins = Math.round(durationMs / 60000);
+    rows.push({ label: "Duration", value: `~${mins} min` });
+  }
+  const redaction = opts.redactor ? opts.redactor.summary() : null;
+  rows.push({ label: "Redactions", value: formatRedactionSummary(redaction) });
+  return rows;
+}
+
+function buildSummaryLines(stats, opts) {
+  const lines = [
+    `**${stats.userTurns}** user turns, **${stats.assistantMessages}** assistant responses`,
+    `**${stats.toolCalls}** tool calls (${stats.toolErrors} errors)`,
+  ];
+  if (stats.thinkingBlocks > 0) {
+    lines.push(`**${stats.thinkingBlocks}** thinking/reasoning blocks`);
+  }
+  if (stats.subagentRuns > 0) {
+    lines.push(`**${stats.subagentRuns}** subagent runs, **${stats.subagentToolCalls}** subagent tool calls (${stats.subagentErrors} errors)`);
+  }
+  if (stats.compactions > 0) {
+    lines.push(`**${stats.compactions}** context compactions`);
+  }
+  const abandoned = opts.branches ? opts.branches.branchCount : 0;
+  if (abandoned > 0) {
+    lines.push(`**${abandoned}** abandoned branches (rewound or edited; ` +
+      (opts.allBranches ? "shown as side sections, not counted above)" : "not exported, see --all-branches)"));
+  }
+  if (opts.prices) lines.push(...buildUsageLines(stats.usage.summary(opts.prices)));
+  const timing = stats.timing.summary();
+  if (timing.turns.length > 0) {
+    lines.push(`**Active time:** ${formatDuration(timing.active)} of ${formatDuration(timing.wall)} ` +
+      `(model ${formatDuration(timing.model)}, tools ${formatDuration(timing.tools)}; ` +
+      `${describeIdleGaps(timing)} excluded)`);
+  }
+  return lines;
+}
+
+/**
+ * The "Excerpt" section of a sliced export (see slice.js): which turns it
+ * covers and what happened before them.
+ */
+function buildExcerptLines(slice, opts) {
+  const { before } = slice;
+  const count = (n, what) => `${n} ${what}${n === 1 ? "" : "s"}`;
+  const lines = [`Turns **${slice.fromTurn}-${slice.toTurn}** of ${slice.totalTurns}; the summary below covers these turns only`];
+  if (before.turns > 0) {
+    const since = before.started ? ` since ${formatTimestamp(before.started)}` : "";
+    lines.push(`**Before this excerpt:** ${count(before.turns, "turn")}${since}, ${count(before.toolCalls, "tool call")}, ` +
+      `${count(before.filesChanged.length, "file")} changed`);
+    if (before.filesChanged.length > 0) {
+      lines.push("**Changed before:** " + before.filesChanged.map((f) => `\`${opts.shortPath(f)}\``).join(", "));
+    }
+  }
+  if (slice.toTurn < slice.totalTurns) {
+    lines.push(`**Not included:** ${count(slice.totalTurns - slice.toTurn, "later turn")}`);
+  }
+  return lines;
+}
+
+/** Token usage and estimated cost, including subagents. */
+function buildUsageLines(usage) {
+  if (usage.responses === 0) return [];
+  const t = usage.tokens;
+  const lines = [
+    `**Tokens:** ${formatNumber(t.input)} input, ${formatNumber(t.output)} output, ` +
+      `${formatNumber(t.cacheWrite)} cache write, ${formatNumber(t.cacheRead)} cache read ` +
+      `(cache hit ratio ${formatRatio(usage.cacheHitRatio)})`,
+    `**Estimated cost:** ${formatCost(usage.cost)}` +
+      (usage.unpriced.length > 0 ? ` (no price for ${usage.unpriced.join(", ")})` : ""),
+  ];
+  lines.push("**By model:** " + usage.models.map((m) =>
+    `\`${m.model}\` ${m.responses} responses, ${formatNumber(m.tokens.input + m.tokens.cacheWrite + m.tokens.cacheRead)} prompt + ` +
+    `${formatNumber(m.tokens.output)} output tokens, ${formatCost(m.cost)}`).join("; "));
+  if (usage.topTurns.length > 1) {
+    lines.push("**Most expensive turns:** " + usage.topTurns.map((turn) =>
+      `Turn ${turn.turn} (${formatCost(turn.cost)}, ${formatNumber(turn.tokens)} tokens)`).join(", "));
+  }
+  return lines;
+}
+
+/** The "Timeline" section: per-turn timing, slowest tool calls, idle gaps. */
+function formatTimeline(timing) {
+  if (timing.turns.length === 0) return [];
+  const parts = ["## Timeline", ""];
+  parts.push(`- **Wall clock:** ${formatDuration(timing.wall)} (${formatTimestamp(timing.start)} -> ${formatTimestamp(timing.end)})`);
+  parts.push(`- **Active:** ${formatDuration(timing.active)} (excludes ${describeIdleGaps(timing)}` +
+    (timing.idleGaps.length > 0 ? `, ${formatDuration(timing.idle)} in total)` : ")"));
+  parts.push(`- **Model time:** ${formatDuration(timing.model)} | **Tool time:** ${formatDuration(timing.tools)}`);
+  parts.push("");
+  parts.push("| Turn | Started | Wall clock | Model | Tools | Tool calls |");
+  parts.push("|------|---------|------------|-------|-------|------------|");
+  for (const t of timing.turns) {
+    parts.push(`| ${t.turn} | ${formatTimestamp(t.start)} | ${formatDuration(t.wall)} | ` +
+      `${formatDuration(t.model)} | ${formatDuration(t.tools)} | ${t.calls} |`);
+  }
+  parts.push("");
+  if (timing.slowest.length > 0) {
+    parts.push("**Slowest tool calls:**");
+    for (const c of timing.slowest) {
+      parts.push(`- ${formatDuration(c.ms)}: ${c.tool}${c.target ? ` \`${c.target.replace(/`/g, "'")}\`` : ""} (turn ${c.turn})`);
+    }
+    parts.push("");
+  }
+  if (timing.idleGaps.length > 0) {
+    parts.push("**Idle gaps:**");
+    for (const g of timing.idleGaps) {
+      parts.push(`- ${formatDuration(g.ms)} after turn ${g.afterTurn} (${formatTimestamp(g.start)} -> ${formatTimestamp(g.end)})`);
+    }
+    parts.push("");
+  }
+  parts.push("---");
+  parts.push("");
+  return parts;
+}
+
+function sortedToolNames(stats) {
+  return Object.keys(stats.toolBreakdown).sort(
+    (a, b) => stats.toolBreakdown[b] - stats.toolBreakdown[a]
+  );
+}
+
+// ── Conversation ────────────────────────────────────────────────────
+/** A tool call and its result as a message block, for either format. */
+function describeTool(block, toolResultMap, opts, turn) {
+  const desc = describeToolCall(block, toolResultMap, opts);
+  let result = null;
+  if (opts.includeResults && desc.result && desc.verbosity === "full") {
+    const content = desc.isError ? desc.result.content || "(empty)" : desc.result.content || "";
+    result = {
+      // null for an empty result; its images, if any, are still shown.
+      text: desc.isError || content.trim() ? truncateLines(content, opts.maxResultLines) : null,
+      lang: desc.resultLang,
+      isError: desc.isError,
+      images: (desc.result.images || [])
+        .map((image) => imageRef(image, opts, { turn, origin: "tool_result", tool: desc.toolName }))
+        .filter(Boolean),
+    };
+  }
+  return { type: "tool", desc, label: toolCallLabel(desc, opts.shortPath), result };
+}
+
+/**
+ * Walk the conversation in a single pass over `entries` (any iterable, e.g.
+ * a streaming reader), feeding the stats collector along the way, and
+ * return it as format-neutral messages (see renderHtmlDocument() in html.js
+ * for their shape); formatMessages() and the HTML renderer turn them into
+ * output. Each tool call gets a placeholder that is filled in when its
+ * result arrives in a later entry; Task calls also get their subagent's
+ * messages.
+ *
+ * With `opts.nested` (a labels object) set this walks a subagent transcript
+ * or an abandoned branch instead, and messages carry the label. For a
+ * subagent, its first prompt (already shown on the Task call) is skipped.
+ *
+ * With `--all-branches`, entries of abandoned branches are held back and
+ * become `branch` messages just before the active conversation continues.
+ * Compactions become `compaction` messages with Claude's summary. In a
+ * multi-session export, each SESSION_START marker becomes a `session`
+ * message; turns are numbered across sessions. A sliced stream (slice.js)
+ * numbers from its first turn. Images count towards the turn of the
+ * top-level conversation (`parentTurn` in nested ones).
+ */
+function buildMessages(entries, opts, statsCollector) {
+  const messages = [];
+  const compactions = createCompactionTracker((event) => {
+    statsCollector.addCompaction();
+    messages.push({ role: "compaction", time: formatTimestamp(event.timestamp), ...event });
+  });
+  const subagents = createSubagentIndex(opts.nested ? [] : opts.subagents);
+  const pendingTools = createPendingTools(({ block, call }, resultMap, resultEntry) => {
+    const tool = describeTool(block, resultMap, opts, currentTurn());
+    const transcript = block.name === TASK_TOOL ? subagents.match(block, resultEntry?.toolUseResult?.agentId) : null;
+    if (transcript) {
+      const subStats = createStatsCollector(opts.shortPath);
+      const nestedOpts = { ...opts, nested: SUBAGENT_LABELS, taskPrompt: block.input?.prompt, parentTurn: currentTurn() };
+      tool.subagent = { messages: buildMessages(transcript.entries, nestedOpts, subStats) };
+      tool.subagent.stats = subStats.finish();
+      statsCollector.addSubagent(tool.subagent.stats);
+    }
+    call.blocks[call.index] = tool;
+  });
+  const taskPrompt = opts.nested ? (opts.taskPrompt || "").trim() : null;
+  const abandoned = [];
+  let turnCount = 0;
+  const currentTurn = () => opts.parentTurn ?? turnCount;
+
+  for (const entry of entries) {
+    if (entry.type === SESSION_START) {
+      compactions.flush();
+      if (abandoned.length > 0) messages.push(...buildBranches(abandoned.splice(0), opts, turnCount));
+      messages.push({
+        role: "session", index: entry.index, total: entry.total, id: entry.session.id,
+        time: sessionTimeRange(entry.session),
+      });
+      statsCollector.add(entry);
+      continue;
+    }
+    if (entry.type === SLICE_START) {
+      turnCount = entry.slice.fromTurn - 1;
+      statsCollector.add(entry);
+      continue;
+    }
+    // Sidechain entries belong to a subagent; they are shown under their Task call.
+    if (!opts.nested && isSidechain(entry)) {
+      subagents.add(entry);
+      continue;
+    }
+    if (!opts.nested && opts.branches?.branchOf(entry)) {
+      abandoned.push(entry);
+      continue;
+    }
+    if (abandoned.length > 0 && (entry.type === "user" || entry.type === "assistant")) {
+      messages.push(...buildBranches(abandoned.splice(0), opts, turnCount));
+    }
+    statsCollector.add(entry);
+    pendingTools.resolve(entry);
+    if (compactions.add(entry)) continue;
+
+    if (entry.type !== "user" && entry.type !== "assistant") continue;
+    const msg = entry.message;
+    if (!msg || !Array.isArray(msg.content)) continue;
+    const time = formatTimestamp(entry.timestamp);
+
+    if (msg.role === "user") {
+      if (msg.content.some((c) => c.type === "tool_result")) continue;
+      turnCount++;
+      if (opts.nested) {
+        const text = msg.content.filter((c) => c.type === "text").map((c) => c.text).join("\n").trim();
+        if (turnCount === 1 && taskPrompt && text === taskPrompt) continue;
+      }
+      const blocks = [];
+      for (const block of msg.content) {
+        if (block.type === "text") {
+          const cleaned = stripSystemTags(block.text);
+          if (cleaned) blocks.push({ type: "text", text: cleaned });
+        } else if (block.type === "image") {
+          blocks.push({ type: "image", src: imageRef(block, opts, { turn: currentTurn(), origin: "user" }) });
+        }
+      }
+      messages.push({ role: "user", turn: turnCount, time, blocks, label: opts.nested?.user });
+    } else if (msg.role === "assistant") {
+      const blocks = [];
+      for (const block of msg.content) {
+        if (block.type === "thinking" && opts.includeThinking) {
+          const thinking = block.thinking || "";
+          if (thinking.trim()) blocks.push({ type: "thinking", text: truncateChars(thinking, opts.maxThinkingChars) });
+        } else if (block.type === "text") {
+          blocks.push({ type: "text", text: block.text });
+        } else if (block.type === "tool_use") {
+          pendingTools.add(block, { blocks, index: blocks.length });
+          blocks.push(null);
+        }
+      }
+      if (blocks.length > 0) {
+        messages.push({ role: "assistant", turn: turnCount, time, blocks, label: opts.nested?.assistant });
+      }
+    }
+  }
+
+  pendingTools.flush();
+  compactions.flush();
+  if (abandoned.length > 0) messages.push(...buildBranches(abandoned, opts, turnCount));
+  return messages;
+}
+
+function sessionTimeRange(session) {
+  return [formatTimestamp(session.start), formatTimestamp(session.end)].filter(Boolean).join(" -> ");
+}
+
+/** Group held-back abandoned entries by branch, in order of first appearance. */
+function groupBranches(entries, branches) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const { id } = branches.branchOf(entry);
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(entry);
+  }
+  return [...groups];
+}
+
+/**
+ * A `branch` message per abandoned branch. Their stats are kept apart so
+ * that only the active branch counts towards the session summary.
+ */
+function buildBranches(entries, opts, turn) {
+  return groupBranches(entries, opts.branches).map(([id, branchEntries]) => {
+    const branchStats = createStatsCollector(opts.shortPath);
+    const branchMessages = buildMessages(branchEntries, { ...opts, nested: BRANCH_LABELS, parentTurn: turn }, branchStats);
+    return { role: "branch", id, turn, messages: branchMessages, stats: branchStats.finish() };
+  });
+}
+
+// ── Markdown converter ──────────────────────────────────────────────
+/** Per-session header in a multi-session export. */
+function formatSessionHeader(msg) {
+  const parts = [`## Session ${msg.index} of ${msg.total}: \`${msg.id}\``];
+  if (msg.time) parts.push(`*${msg.time}*`);
+  parts.push("");
+  parts.push("---");
+  parts.push("");
+  return parts;
+}
+
+/** "Context compacted" section holding the summary the session continued from. */
+function formatCompaction(msg) {
+  const parts = [];
+  parts.push("### Context compacted");
+  if (msg.time) parts.push(`*${msg.time}*`);
+  parts.push("");
+  if (msg.trigger) parts.push(`**Trigger:** ${msg.trigger}`);
+  if (msg.preTokens != null) parts.push(`**Tokens before compaction:** ${msg.preTokens}`);
+  if (msg.title) parts.push(`**Title:** ${msg.title}`);
+  if (msg.trigger || msg.preTokens != null || msg.title) parts.push("");
+  if (msg.summary) {
+    parts.push("**Summary (what Claude continued from):**");
+    parts.push("");
+    for (const line of msg.summary.split("\n")) parts.push(line ? `> ${line}` : ">");
+  } else {
+    parts.push("*No summary was recorded.*");
+  }
+  parts.push("");
+  parts.push("---");
+  parts.push("");
+  return parts;
+}
+
+/** Collapsible side section for an abandoned branch. */
+function formatBranch(msg, opts) {
+  const parts = [];
+  parts.push("<details>");
+  parts.push(`<summary>Abandoned branch ${msg.id} (branches off turn ${msg.turn}; not part of the final conversation): ` +
+    `${msg.stats.userTurns} prompts, ${msg.stats.toolCalls} tool calls</summary>`);
+  parts.push("");
+  parts.push(...formatMessages(msg.messages, opts, true));
+  parts.push("</details>");
+  parts.push("");
+  parts.push("---");
+  parts.push("");
+  return parts;
+}
+
+/** Collapsible sub-conversation for a Task call's subagent transcript. */
+function formatSubagent(subagent, opts) {
+  const parts = [];
+  parts.push("<details>");
+  parts.push(`<summary>Subagent transcript: ${subagent.stats.toolCalls} tool calls (${subagent.stats.toolErrors} errors)</summary>`);
+  parts.push("");
+  parts.push(...formatMessages(subagent.messages, opts, true));
+  parts.push("</details>");
+  return parts;
+}
+
+/**
+ * The conversation body as Markdown lines. `nested` (a subagent transcript
+ * or an abandoned branch) gives tool calls lower headings; the messages
+ * carry their own labels.
+ */
+function formatMessages(messages, opts, nested = false) {
+  const parts = [];
+  for (const msg of messages) {
+    if (msg.role === "session") {
+      parts.push(...formatSessionHeader(msg));
+      continue;
+    }
+    if (msg.role === "compaction") {
+      parts.push(...formatCompaction(msg));
+      continue;
+    }
+    if (msg.role === "branch") {
+      parts.push(...formatBranch(msg, opts));
+      continue;
+    }
+    if (msg.label) parts.push(`#### ${msg.label}`);
+    else parts.push(msg.role === "user" ? `### User (Turn ${msg.turn})` : "### Assistant");
+    if (msg.time) parts.push(`*${msg.time}*`);
+    parts.push("");
+    for (const block of msg.blocks) {
+      if (block.type === "text") {
+        parts.push(block.text); parts.push("");
+      } else if (block.type === "image") {
+        parts.push(block.src ? `![Image attached](${block.src})` : "*[Image attached]*"); parts.push("");
+      } else if (block.type === "thinking") {
+        parts.push("<details>"); parts.push("<summary>Thinking / Internal Reasoning</summary>");
+        parts.push(""); parts.push(block.text);
+        parts.push(""); parts.push("</details>"); parts.push("");
+      } else if (block.type === "tool") {
+        parts.push(formatToolCall(block, opts, nested)); parts.push("");
+      }
+    }
+    parts.push("---"); parts.push("");
+  }
+  return parts;
+}
+
+function convertToMarkdown(entries, opts) {
+  const statsCollector = createStatsCollector(opts.shortPath);
+  const conversation = formatMessages(buildMessages(entries, opts, statsCollector), opts);
+  const stats = statsCollector.finish();
+  const parts = [];
+
+  // Header
+  parts.push("# Claude Code Conversation Export");
+  parts.push("");
+  parts.push("> **Purpose:** This export is structured for AI agents to read, review progress,");
+  parts.push("> identify issues, and recommend next steps. Includes full tool inputs/outputs.");
+  parts.push("");
+  parts.push("## Metadata");
+  parts.push("");
+  parts.push("| Field | Value |");
+  parts.push("|-------|-------|");
+  for (const row of buildMetadataRows(stats, opts)) {
+    parts.push(row.code ? `| ${row.label} | \`${row.value}\` |` : `| ${row.label} | ${row.value} |`);
+  }
+  parts.push("");
+
+  if (stats.slice) {
+    parts.push("## Excerpt");
+    parts.push("");
+    for (const line of buildExcerptLines(stats.slice, opts)) parts.push(`- ${line}`);
+    parts.push("");
+  }
+
+  // Summary
+  parts.push("## Session Summary");
+  parts.push("");
+  for (const line of buildSummaryLines(stats, opts)) parts.push(`- ${line}`);
+  parts.push("");
+
+  const toolNames = sortedToolNames(stats);
+  if (toolNames.length > 0) {
+    parts.push("**Tool usage breakdown:**");
+    for (const name of toolNames) {
+      parts.push(`- ${name}: ${stats.toolBreakdown[name]}x`);
+    }
+    parts.push("");
+  }
+
+  const allFilesWritten = new Set([...stats.filesWritten, ...stats.filesEdited]);
+  if (stats.filesRead.size > 0 || allFilesWritten.size > 0) {
+    parts.push("**Files touched:**");
+    if (allFilesWritten.size > 0) {
+      parts.push(`- Modified/Created (${allFilesWritten.size}):`);
+      for (const f of allFilesWritten) parts.push(`  - \`${f}\``);
+    }
+    if (stats.filesRead.size > 0) {
+      parts.push(`- Read (${stats.filesRead.size}):`);
+      for (const f of stats.filesRead) parts.push(`  - \`${f}\``);
+    }
+    parts.push("");
+  }
+
+  if (opts.git.recentCommits.length > 0) {
+    parts.push("**Recent commits (context):**");
+    parts.push("```");
+    parts.push(opts.git.recentCommits.join("\n"));
+    parts.push("```");
+    parts.push("");
+  }
+
+  parts.push("---");
+  parts.push("");
+
+  parts.push(...formatTimeline(stats.timing.summary()));
+
+  // Conversation
+  parts.push("## Conversation");
+  parts.push("");
+  parts.push(...conversation);
+
+  // Footer
+  parts.push("");
+  parts.push("---");
+  parts.push(`*Exported at ${formatTimestamp(new Date().toISOString())}*`);
+  parts.push(`*Export version: 2.0 (AI-optimized with tool results)*`);
+  parts.push(`*Tool: claude-export (https://github.com/stephenpham68/claude-export)*`);
+
+  return parts.join("\n");
+}
+
+// ── HTML converter ──────────────────────────────────────────────────
+function convertToHtml(entries, opts) {
+  const statsCollector = createStatsCollector(opts.shortPath);
+  const messages = buildMessages(entries, opts, statsCollector);
+  const stats = statsCollector.finish();
+
+  const allFilesWritten = new Set([...stats.filesWritten, ...stats.filesEdited]);
+  return renderHtmlDocument({
+    title: `Claude Code Conversation Export - ${opts.projectName}`,
+    purpose: "Full session transcript with tool inputs/outputs. Use the sidebar filter to search; " +
+      "tool calls are collapsible and errors are highlighted.",
+    metadata: buildMetadataRows(stats, opts),
+    excerpt: stats.slice ? buildExcerptLines(stats.slice, opts) : null,
+    summary: buildSummaryLines(stats, opts),
+    toolBreakdown: sortedToolNames(stats).map((name) => [name, stats.toolBreakdown[name]]),
+    filesModified: [...allFilesWritten],
+    filesRead: [...stats.filesRead],
+    recentCommits: opts.git.recentCommits.join("\n"),
+    messages,
+    footer: [
+      `Exported at ${formatTimestamp(new Date().toISOString())}`,
+      "Export version: 2.0 (HTML)",
+      "Tool: claude-export (https://github.com/stephenpham68/claude-export)",
+    ],
+  });
+}
+
+module.exports = {
+  stripSystemTags,
+  toolResultsOf,
+  truncateLines,
+  formatTimestamp,
+  sessionTimeRange,
+  collectStats,
+  convertToMarkdown,
+  convertToHtml,
+};
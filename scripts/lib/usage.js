@@ -0,0 +1,268 @@
+/**
+ * Token usage and cost accounting for claude-export.
+ *
+ * Assistant entries carry `message.model` and `message.usage` (input,
+ * output, cache creation and cache read tokens). A response split into
+ * several entries (one per content block) repeats the same usage, so usage
+ * is counted once per `message.id`. Subagent transcripts are folded in and
+ * attributed to the turn that was running when they did their work.
+ *
+ * Costs come from a built-in price table in USD per million tokens, matched
+ * by longest model-id prefix. It can be overridden or extended in the
+ * `prices` section of `.claude-export.json` (see config.js):
+ *   {
+ *     "prices": {
+ *       "claude-sonnet-4": { "input": 3, "output": 15, "cache_write": 3.75, "cache_read": 0.3 }
+ *     }
+ *   }
+ * `cache_write` (5-minute cache), `cache_write_1h` and `cache_read` default
+ * to 1.25x, 2x and 0.1x the input price.
+ */
+
+const { isSidechain } = require("./subagents");
+const { isCompactSummary } = require("./compaction");
+const { SLICE_START } = require("./slice");
+
+const DEFAULT_PRICES = {
+  "claude-opus-4-5": { input: 5, output: 25 },
+  "claude-opus-4-1": { input: 15, output: 75 },
+  "claude-opus-4": { input: 15, output: 75 },
+  "claude-sonnet-4": { input: 3, output: 15 },
+  "claude-haiku-4-5": { input: 1, output: 5 },
+  "claude-3-opus": { input: 15, output: 75 },
+  "claude-3-7-sonnet": { input: 3, output: 15 },
+  "claude-3-5-sonnet": { input: 3, output: 15 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+  "claude-3-haiku": { input: 0.25, output: 1.25 },
+};
+const PRICE_FIELDS = ["input", "output", "cache_write", "cache_write_1h", "cache_read"];
+const TOP_TURNS = 5;
+
+// ── Prices ──────────────────────────────────────────────────────────
+/**
+ * The built-in price table merged with the `prices` section of the export
+ * config. Throws on malformed entries.
+ */
+function resolvePrices(custom = {}) {
+  for (const [model, price] of Object.entries(custom)) {
+    const unknown = Object.keys(price || {}).find((field) => !PRICE_FIELDS.includes(field));
+    if (unknown) throw new Error(`prices["${model}"]: unknown field "${unknown}" (expected: ${PRICE_FIELDS.join(", ")})`);
+    for (const field of PRICE_FIELDS) {
+      const value = price?.[field];
+      const required = field === "input" || field === "output";
+      if ((required || value !== undefined) && !(typeof value === "number" && value >= 0)) {
+        throw new Error(`prices["${model}"].${field} must be a non-negative number`);
+      }
+    }
+  }
+  return { ...DEFAULT_PRICES, ...custom };
+}
+
+/** Price entry for a model id (longest matching prefix), or null. */
+function priceFor(model, prices) {
+  let best = null;
+  for (const prefix of Object.keys(prices)) {
+    if (model.startsWith(prefix) && (!best || prefix.length > best.length)) best = prefix;
+  }
+  if (!best) return null;
+  const p = prices[best];
+  return {
+    input: p.input,
+    output: p.output,
+    cache_write: p.cache_write ?? p.input * 1.25,
+    cache_write_1h: p.cache_write_1h ?? p.input * 2,
+    cache_read: p.cache_read ?? p.input * 0.1,
+  };
+}
+
+// ── Tracker ─────────────────────────────────────────────────────────
+function readUsage(usage) {
+  const cacheWrite = usage.cache_creation_input_tokens || 0;
+  const oneHour = usage.cache_creation?.ephemeral_1h_input_tokens || 0;
+  return {
+    input: usage.input_tokens || 0,
+    output: usage.output_tokens || 0,
+    cacheWrite,
+    cacheWrite1h: Math.min(oneHour, cacheWrite),
+    cacheRead: usage.cache_read_input_tokens || 0,
+  };
+}
+
+function costOf(tokens, price) {
+  if (!price) return null;
+  return (
+    (tokens.input * price.input) +
+    (tokens.output * price.output) +
+    ((tokens.cacheWrite - tokens.cacheWrite1h) * price.cache_write) +
+    (tokens.cacheWrite1h * price.cache_write_1h) +
+    (tokens.cacheRead * price.cache_read)
+  ) / 1e6;
+}
+
+function totalTokens(t) {
+  return t.input + t.output + t.cacheWrite + t.cacheRead;
+}
+
+/**
+ * Incremental usage tracker. Feed every entry of the conversation to add()
+ * (it counts turns the way the exporters number them); subagent work comes
+ * in through addTranscript() or, from another tracker, merge().
+ */
+function createUsageTracker() {
+  const responses = new Map(); // message.id -> { model, tokens, time, turn }
+  const turnStarts = []; // [time, turn] of each user prompt
+  let turn = 0;
+  let firstTurn = 1;
+  let anonymous = 0;
+
+  function turnAt(time) {
+    if (!time) return Math.max(turn, firstTurn);
+    let found = firstTurn;
+    for (const [start, n] of turnStarts) {
+      if (start <= time) found = n;
+      else break;
+    }
+    return found;
+  }
+
+  function record(entry, turnOf) {
+    const msg = entry.message;
+    if (!msg?.usage || !msg.model || msg.model === "<synthetic>") return;
+    const time = Date.parse(entry.timestamp) || 0;
+    const key = msg.id || `anonymous-${++anonymous}`;
+    responses.set(key, { model: msg.model, tokens: readUsage(msg.usage), time, turn: turnOf(time) });
+  }
+
+  function add(entry) {
+    if (entry.type === SLICE_START) {
+      firstTurn = entry.slice.fromTurn;
+      turn = firstTurn - 1;
+    } else if (entry.type === "user" && !isSidechain(entry)) {
+      const content = entry.message?.content;
+      if (!Array.isArray(content) || content.some((c) => c.type === "tool_result") || isCompactSummary(entry)) return;
+      turn++;
+      turnStarts.push([Date.parse(entry.timestamp) || 0, turn]);
+    } else if (entry.type === "assistant") {
+      record(entry, () => Math.max(turn, firstTurn));
+    }
+  }
+
+  /** A subagent transcript: each response goes to the turn running at its time. */
+  function addTranscript(entries) {
+    for (const entry of entries) {
+      if (entry.type === "assistant") record(entry, turnAt);
+    }
+  }
+
+  /** Fold in another tracker's responses (e.g. a subagent's). */
+  function merge(other) {
+    for (const [key, r] of other.responses()) responses.set(key, { ...r, turn: turnAt(r.time) });
+  }
+
+  /**
+   * Totals under `prices`:
+   * { responses, tokens, cacheHitRatio, cost, unpriced, models, topTurns }.
+   * `cost` is null when no model could be priced.
+   */
+  function summary(prices) {
+    const zero = () => ({ input: 0, output: 0, cacheWrite: 0, cacheWrite1h: 0, cacheRead: 0 });
+    const tokens = zero();
+    const models = new Map();
+    const turns = new Map();
+    let cost = null;
+    const unpriced = new Set();
+
+    for (const r of responses.values()) {
+      const price = priceFor(r.model, prices);
+      const c = costOf(r.tokens, price);
+      if (c === null) unpriced.add(r.model);
+      else cost = (cost || 0) + c;
+
+      if (!models.has(r.model)) models.set(r.model, { model: r.model, responses: 0, tokens: zero(), cost: price ? 0 : null });
+      const m = models.get(r.model);
+      m.responses++;
+      if (c !== null) m.cost += c;
+
+      if (!turns.has(r.turn)) turns.set(r.turn, { turn: r.turn, tokens: 0, cost: null });
+      const t = turns.get(r.turn);
+      t.tokens += totalTokens(r.tokens);
+      if (c !== null) t.cost = (t.cost || 0) + c;
+
+      for (const field of Object.keys(tokens)) {
+        tokens[field] += r.tokens[field];
+        m.tokens[field] += r.tokens[field];
+      }
+    }
+
+    const prompt = tokens.input + tokens.cacheWrite + tokens.cacheRead;
+    return {
+      responses: responses.size,
+      tokens,
+      cacheHitRatio: prompt > 0 ? tokens.cacheRead / prompt : null,
+      cost,
+      unpriced: [...unpriced],
+      models: [...models.values()].sort((a, b) => (b.cost || 0) - (a.cost || 0) || totalTokens(b.tokens) - totalTokens(a.tokens)),
+      topTurns: [...turns.values()]
+        .sort((a, b) => (b.cost || 0) - (a.cost || 0) || b.tokens - a.tokens)
+        .slice(0, TOP_TURNS),
+    };
+  }
+
+  return { add, addTranscript, merge, summary, responses: () => responses.entries() };
+}
+
+// ── Formatting ──────────────────────────────────────────────────────
+function formatNumber(n) {
+  return Math.round(n).toLocaleString("en-US");
+}
+
+function formatCost(cost) {
+  if (cost === null) return "n/a";
+  return cost >= 1 ? `$${cost.toFixed(2)}` : `$${cost.toFixed(4)}`;
+}
+
+function formatRatio(ratio) {
+  return ratio === null ? "n/a" : `${(ratio * 100).toFixed(1)}%`;
+}
+
+/** Terminal report for --usage-only. */
+function formatUsageReport(summary) {
+  const t = summary.tokens;
+  const lines = [
+    `  Token usage (${summary.responses} responses)`,
+    `    Input:          ${formatNumber(t.input)}`,
+    `    Output:         ${formatNumber(t.output)}`,
+    `    Cache write:    ${formatNumber(t.cacheWrite)}`,
+    `    Cache read:     ${formatNumber(t.cacheRead)}`,
+    `    Cache hit ratio: ${formatRatio(summary.cacheHitRatio)}`,
+    `    Estimated cost: ${formatCost(summary.cost)}`,
+  ];
+  if (summary.unpriced.length > 0) lines.push(`    No price for: ${summary.unpriced.join(", ")}`);
+  if (summary.models.length > 0) {
+    lines.push("", "  By model:");
+    const width = Math.max(...summary.models.map((m) => m.model.length));
+    for (const m of summary.models) {
+      lines.push(`    ${m.model.padEnd(width)}  ${String(m.responses).padStart(5)} responses  ` +
+        `in ${formatNumber(m.tokens.input)}  out ${formatNumber(m.tokens.output)}  ` +
+        `cache write ${formatNumber(m.tokens.cacheWrite)}  cache read ${formatNumber(m.tokens.cacheRead)}  ` +
+        formatCost(m.cost));
+    }
+  }
+  if (summary.topTurns.length > 0) {
+    lines.push("", "  Most expensive turns:");
+    for (const t of summary.topTurns) {
+      lines.push(`    Turn ${String(t.turn).padEnd(5)} ${formatCost(t.cost).padStart(9)}  ${formatNumber(t.tokens)} tokens`);
+    }
+  }
+  return lines;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  resolvePrices,
+  createUsageTracker,
+  formatNumber,
+  formatCost,
+  formatRatio,
+  formatUsageReport,
+};
@@ -0,0 +1,191 @@
+/**
+ * Live exports (`--watch`): keep a session file under observation and hand
+ * a fresh snapshot of it to a callback whenever entries are appended.
+ *
+ * Only the bytes appended since the last update are read (see
+ * createJsonlTail in jsonl.js); the entries so far stay in memory, and each
+ * snapshot has the shape loadSession() returns, so the usual converters
+ * render it. Bursts of writes are debounced into one update, which is never
+ * held back longer than MAX_WAIT_MS while writes keep coming.
+ *
+ * Writes to the session's subagent transcripts trigger an update too: the
+ * older layout's agent-*.jsonl files are seen in the project directory, and
+ * the <session>/subagents/ directory, which may appear at any time, is
+ * polled.
+ *
+ * Without a fixed session the newest one (latest last-entry timestamp) is
+ * followed: when another session file in the directory is written to and
+ * becomes the most recent, the watch switches to it.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createJsonlTail } = require("./jsonl");
+const { indexBranches, activeBranchEntries } = require("./branches");
+const { loadSubagentFiles } = require("./subagents");
+const { findLatestSession } = require("./sessions");
+
+const DEFAULT_DEBOUNCE_MS = 500;
+const MAX_WAIT_MS = 5000;
+// Directory events are missed on some filesystems (network drives, some
+// containers), so the watched file's size is also polled.
+const POLL_MS = 2000;
+
+// ── Live session ────────────────────────────────────────────────────
+/**
+ * A session read incrementally. update() reads what was appended to the
+ * session and its subagent transcripts and returns the number of new
+ * entries; snapshot() returns the loaded session as of now.
+ */
+function createLiveSession(session, { allBranches = false } = {}) {
+  const tail = createJsonlTail(session.file);
+  const subagentTails = new Map(); // file -> tail
+  const subagentDir = path.join(path.dirname(session.file), session.id, "subagents");
+  let subagents = [];
+  let subagentsAdded = 0;
+
+  function readSubagent(file) {
+    if (!subagentTails.has(file)) subagentTails.set(file, createJsonlTail(file));
+    const subagentTail = subagentTails.get(file);
+    subagentsAdded += subagentTail.read();
+    return subagentTail.entries.slice();
+  }
+
+  function update() {
+    subagentsAdded = 0;
+    const added = tail.read();
+    subagents = loadSubagentFiles(path.dirname(session.file), session.id, readSubagent);
+    return added + subagentsAdded;
+  }
+
+  function snapshot() {
+    const all = tail.entries.slice();
+    const branches = indexBranches(all);
+    const entries = allBranches ? all : [...activeBranchEntries(all, branches)];
+    const times = all.filter((e) => e.timestamp).map((e) => Date.parse(e.timestamp));
+    const info = { ...session, start: times.length > 0 ? times[0] : 0, end: times.length > 0 ? times[times.length - 1] : 0 };
+    return {
+      id: session.id,
+      sessions: [info],
+      multi: false,
+      allBranches,
+      entries,
+      branches,
+      subagents,
+      [Symbol.iterator]: () => entries[Symbol.iterator](),
+    };
+  }
+
+  function fileChanged(file, fileTail) {
+    try {
+      return fs.statSync(file).size !== (fileTail ? fileTail.bytesRead() : 0);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * True when the session file or one of its subagent transcripts (read so
+   * far, or new in the subagents directory) has grown or shrunk since the
+   * last update.
+   */
+  function changed() {
+    let names = [];
+    try {
+      names = fs.readdirSync(subagentDir).filter((name) => /^agent-.+\.jsonl$/.test(name));
+    } catch {}
+    const files = new Set([...subagentTails.keys(), ...names.map((name) => path.join(subagentDir, name))]);
+    return fileChanged(session.file, tail) || [...files].some((file) => fileChanged(file, subagentTails.get(file)));
+  }
+
+  return { session, update, snapshot, changed };
+}
+
+// ── Watch ───────────────────────────────────────────────────────────
+/**
+ * Watch `session` ({ id, file }), or with `follow` the newest session of
+ * `projectDir`. Calls onUpdate(snapshot, { added, switched }) once at the
+ * start and after each burst of appended entries; errors thrown by
+ * onUpdate or while reading go to onError (default: rethrown). Returns
+ * { close() }.
+ */
+function watchSession({
+  projectDir, session = null, follow = !session, allBranches = false,
+  debounceMs = DEFAULT_DEBOUNCE_MS, onUpdate, onError = (err) => { throw err; },
+}) {
+  const dir = session ? path.dirname(session.file) : projectDir;
+  let live = session ? createLiveSession(session, { allBranches }) : null;
+  let emitted = false;
+  let otherFileChanged = follow;
+  let timer = null;
+  let firstEventAt = 0;
+
+  function flush() {
+    timer = null;
+    try {
+      let switched = false;
+      if (otherFileChanged) {
+        otherFileChanged = false;
+        const latest = findLatestSession(dir);
+        if (latest && (!live || latest.file !== live.session.file)) {
+          switched = live !== null;
+          live = createLiveSession(latest, { allBranches });
+        }
+      }
+      if (!live) return;
+      const added = live.update();
+      if (added > 0 || switched || !emitted) {
+        emitted = true;
+        onUpdate(live.snapshot(), { added, switched });
+      }
+    } catch (err) {
+      onError(err);
+    }
+  }
+
+  function schedule() {
+    const now = Date.now();
+    if (timer) clearTimeout(timer);
+    else firstEventAt = now;
+    timer = setTimeout(flush, Math.max(0, Math.min(debounceMs, firstEventAt + MAX_WAIT_MS - now)));
+  }
+
+  flush();
+
+  // Subagent transcripts are re-read with each update of their session; an
+  // agent file of another session makes an update that finds nothing new.
+  const watcher = fs.watch(dir, (event, fileName) => {
+    if (!fileName || !fileName.endsWith(".jsonl")) return;
+    if (fileName.startsWith("agent-")) {
+      if (live) schedule();
+    } else if (live && path.join(dir, fileName) === live.session.file) schedule();
+    else if (follow) {
+      otherFileChanged = true;
+      schedule();
+    }
+  });
+  watcher.on("error", onError);
+  const poll = setInterval(() => {
+    if (!timer && live && live.changed()) schedule();
+  }, POLL_MS);
+
+  return {
+    close() {
+      watcher.close();
+      clearInterval(poll);
+      if (timer) clearTimeout(timer);
+    },
+  };
+}
+
+/**
+ * Replace a live export in one step (write a temporary file, then rename),
+ * so a reader never sees it half written.
+ */
+function writeFileAtomic(file, content) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, content, "utf8");
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { DEFAULT_DEBOUNCE_MS, createLiveSession, watchSession, writeFileAtomic };
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { indexBranches, activeBranchEntries } = require("../scripts/lib/branches");
+const { createSession } = require("./helpers");
+
+const uuids = (entries) => entries.map((e) => e.uuid);
+
+test("follows the latest leaf and numbers the abandoned branch", () => {
+  const s = createSession();
+  const u1 = s.user("Add a button");
+  const a1 = s.text("Done");
+  const u2 = s.user("Make it red");
+  s.text("It is red");
+  const u2b = s.user("Make it blue", { parent: a1.uuid }); // the prompt edited
+  const a2b = s.text("It is blue");
+
+  const index = indexBranches(s.entries);
+  assert.strictEqual(index.branchCount, 1);
+  assert.deepStrictEqual(uuids([...activeBranchEntries(s.entries, index)]), [u1.uuid, a1.uuid, u2b.uuid, a2b.uuid]);
+  assert.deepStrictEqual(index.branchOf(u2), { id: 1, forkUuid: a1.uuid });
+  assert.strictEqual(index.branchOf(u2b), null);
+});
+
+test("keeps every block and result of parallel tool calls", () => {
+  const s = createSession();
+  s.user("Read both files");
+  const first = s.tool("Read", { file_path: "/p/a.js" }, null, { id: "msg_parallel" });
+  const second = s.tool("Read", { file_path: "/p/b.js" }, null, { id: "msg_parallel" });
+  s.result(first, "a");
+  s.text("Both read", { parent: s.result(second, "b").uuid });
+
+  const index = indexBranches(s.entries);
+  assert.strictEqual(index.branchCount, 0);
+  assert.strictEqual([...activeBranchEntries(s.entries, index)].length, s.entries.length);
+});
+
+test("lets sidechain entries through", () => {
+  const s = createSession();
+  s.user("Start");
+  const sidechain = s.text("Subagent work");
+  sidechain.isSidechain = true;
+  s.text("Reply");
+  const index = indexBranches(s.entries);
+  assert.ok(index.isActive(sidechain));
+  assert.strictEqual(index.branchOf(sidechain), null);
+});
@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { toHandoff, validateHandoff } = require("../scripts/lib");
+const { estimateTokens, fitHandoff } = require("../scripts/lib/budget");
+const { createTurns } = require("./helpers");
+
+const handoff = () => toHandoff(createTurns(30).entries, { redact: false, prices: null });
+
+test("leaves a handoff that fits alone, reporting the estimate", () => {
+  const full = handoff();
+  const fitted = fitHandoff(handoff(), estimateTokens(full) + 1000);
+  assert.strictEqual(fitted.conversation_digest.length, full.conversation_digest.length);
+  assert.deepStrictEqual(fitted._truncation.steps, []);
+  assert.strictEqual(fitted._truncation.fits, true);
+  assert.deepStrictEqual(Object.keys(fitted).slice(0, 5), ["_format", "_version", "_purpose", "_tool", "_truncation"]);
+});
+
+test("drops the oldest digest entries first", () => {
+  const full = handoff();
+  const fitted = fitHandoff(handoff(), estimateTokens(full) - 100);
+  const [step] = fitted._truncation.steps;
+  assert.strictEqual(fitted._truncation.steps.length, 1);
+  assert.strictEqual(step.step, "conversation_digest");
+  assert.strictEqual(step.kept, fitted.conversation_digest.length);
+  assert.deepStrictEqual(fitted.conversation_digest.at(-1), full.conversation_digest.at(-1));
+  assert.deepStrictEqual(fitted.searches, full.searches);
+  assert.ok(fitted._truncation.estimated_tokens <= estimateTokens(full) - 100);
+});
+
+test("degrades section by section and stays valid", () => {
+  const fitted = fitHandoff(handoff(), 500);
+  const steps = fitted._truncation.steps.map((s) => s.step);
+  assert.deepStrictEqual(steps, ["conversation_digest", "searches", "timing_turns", "actions"]);
+  assert.deepStrictEqual(fitted.searches, { count: 30, unique_patterns: [] });
+  assert.strictEqual(fitted.timing.turns, undefined);
+  assert.ok(Array.isArray(fitted.actions));
+  assert.strictEqual(fitted._truncation.fits, fitted._truncation.estimated_tokens <= 500);
+  assert.deepStrictEqual(validateHandoff(fitted).errors, []);
+});
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { createTurns, createProject } = require("./helpers");
+
+const SCRIPTS = path.join(__dirname, "..", "scripts");
+
+/** Run an exporter script in `project` with `args`: { status, stdout, stderr }. */
+function run(project, script, args) {
+  return spawnSync(process.execPath, [path.join(SCRIPTS, script), ...args], {
+    cwd: project.projectPath,
+    env: { ...process.env, HOME: project.home, USERPROFILE: project.home, XDG_CACHE_HOME: path.join(project.root, "cache") },
+    encoding: "utf8",
+    timeout: 30000,
+  });
+}
+
+function withSession(t) {
+  const project = createProject();
+  t.after(project.remove);
+  project.writeSession(createTurns(2));
+  return project;
+}
+
+test("both scripts write their format to stdout, logging to stderr", (t) => {
+  const project = withSession(t);
+  const markdown = run(project, "export-chat.js", ["--stdout"]);
+  assert.strictEqual(markdown.status, 0, markdown.stderr);
+  assert.match(markdown.stdout, /### User \(Turn 2\)/);
+  assert.match(markdown.stderr, /Parsing session: 11111111/);
+
+  const handoff = run(project, "export-continue.js", ["--stdout", "--last-turns", "1"]);
+  assert.strictEqual(handoff.status, 0, handoff.stderr);
+  assert.strictEqual(JSON.parse(handoff.stdout).slice.from_turn, 2);
+});
+
+test("both scripts share the command line", (t) => {
+  const project = withSession(t);
+  for (const script of ["export-chat.js", "export-continue.js"]) {
+    const search = run(project, script, ["--search", "npm test -- 2"]);
+    assert.strictEqual(search.status, 0, search.stderr);
+    assert.match(search.stdout, /Turn 2 .*\[tools:Bash\]/);
+
+    const list = run(project, script, ["--list", "--json"]);
+    assert.deepStrictEqual(JSON.parse(list.stdout).map((s) => s.turns), [2]);
+
+    const bad = run(project, script, ["--tool", "Bash"]);
+    assert.strictEqual(bad.status, 1);
+    assert.match(bad.stderr, /--tool narrows a search/);
+  }
+  assert.match(run(project, "export-continue.js", ["--format", "md"]).stderr, /Unknown format: md \(expected: json\)/);
+});
+
+test("writes the file name from the --filename template", (t) => {
+  const project = withSession(t);
+  const out = path.join(project.root, "out");
+  const result = run(project, "export-chat.js", ["--format", "dataset", "-o", out, "--filename", "{project}-{session}"]);
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.deepStrictEqual(fs.readdirSync(out), ["project-11111111.dataset.jsonl"]);
+});
+
+test("a duration --since cuts the turns of one session, a date selects sessions", (t) => {
+  const project = withSession(t);
+  // Prompts 35, 20 and 5 minutes ago.
+  project.writeSession(createTurns(3, { sessionId: "22222222-aaaa-bbbb-cccc-000000000002", start: Date.now() - 45 * 60000 }));
+
+  const recent = run(project, "export-continue.js", ["--stdout", "--since", "25m"]);
+  assert.strictEqual(recent.status, 0, recent.stderr);
+  assert.match(recent.stderr, /Parsing session: 22222222/);
+  assert.strictEqual(JSON.parse(recent.stdout).slice.from_turn, 2);
+
+  const merged = run(project, "export-chat.js", ["--stdout", "--since", "2026-01-01"]);
+  assert.strictEqual(merged.status, 0, merged.stderr);
+  assert.match(merged.stderr, /Parsing 2 sessions/);
+
+  const selected = run(project, "export-chat.js", ["--stdout", "--since", "25m", "--last", "5"]);
+  assert.match(selected.stderr, /Parsing 1 session: 22222222/);
+  assert.doesNotMatch(selected.stderr, /Turns:/);
+});
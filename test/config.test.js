@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { CONFIG_FILE, loadConfig, converterOptions, formatFilename } = require("../scripts/lib/config");
+const { createProject } = require("./helpers");
+
+/** A project with these user (home) and project config files; null writes none. */
+function withConfigs(t, user, project) {
+  const p = createProject();
+  t.after(p.remove);
+  if (user) fs.writeFileSync(path.join(p.home, CONFIG_FILE), JSON.stringify(user));
+  if (project) fs.writeFileSync(path.join(p.projectPath, CONFIG_FILE), JSON.stringify(project));
+  return p;
+}
+
+test("layers the project's config over the user's over the defaults", (t) => {
+  const p = withConfigs(t,
+    { outputDir: "~/exports", maxResultLines: 80, includeThinking: false, tools: { Read: "summary" }, prices: { "m-1": { input: 1, output: 2 } } },
+    { outputDir: "out", maxResultLines: 40, tools: { TodoWrite: "input" } });
+  const config = loadConfig(p.projectPath, { home: p.home });
+
+  assert.strictEqual(config.outputDir, path.join(p.projectPath, "out"));
+  assert.strictEqual(config.maxResultLines, 40);
+  assert.strictEqual(config.includeThinking, false);
+  assert.strictEqual(config.includeResults, true);
+  // Sections merge key by key; every other key replaces.
+  assert.deepStrictEqual(config.tools, { Read: "summary", TodoWrite: "input" });
+  assert.deepStrictEqual(config.prices, { "m-1": { input: 1, output: 2 } });
+  assert.deepStrictEqual(converterOptions(config).tools, config.tools);
+
+  const home = withConfigs(t, { outputDir: "~/exports" }, null);
+  assert.strictEqual(loadConfig(home.projectPath, { home: home.home }).outputDir, path.join(home.home, "exports"));
+  const none = withConfigs(t, null, null);
+  assert.strictEqual(loadConfig(none.projectPath, { home: none.home }).outputDir, path.join(none.home, "Downloads"));
+});
+
+test("names the file and key of a mistake", (t) => {
+  /** The error loading `project` as the project config, its path shown as "FILE". */
+  const error = (project) => {
+    const p = withConfigs(t, null, project);
+    try {
+      loadConfig(p.projectPath, { home: p.home });
+    } catch (err) {
+      return err.message.replace(path.join(p.projectPath, CONFIG_FILE), "FILE");
+    }
+    return null;
+  };
+  assert.strictEqual(error({ maxResultLine: 5 }), 'FILE: unknown key "maxResultLine" (did you mean "maxResultLines"?)');
+  assert.strictEqual(error({ maxResultLines: 0 }), 'FILE: "maxResultLines" must be a positive integer');
+  assert.strictEqual(error({ includeResults: "no" }), 'FILE: "includeResults" must be a boolean');
+  assert.strictEqual(error({ tools: { Read: "brief" } }), 'FILE: tools["Read"] must be one of: "full", "input", "summary"');
+  assert.strictEqual(error({ filename: "{project}/{day}" }), 'FILE: "filename": must not contain a path separator (set the output directory instead)');
+  assert.strictEqual(error({ filename: "{day}" }), 'FILE: "filename": unknown placeholder {day} (expected: {project}, {branch}, {session}, {date})');
+});
+
+test("fills a file name template with file-safe values", () => {
+  assert.strictEqual(formatFilename("{project}_{branch}_{date}", { project: "app", branch: "feat/x y", date: "2026-10-18" }), "app_feat-x-y_2026-10-18");
+  assert.strictEqual(formatFilename("{project}-{branch}", { project: "app", branch: null }), "app-");
+});
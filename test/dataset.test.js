@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { toDataset } = require("../scripts/lib");
+const { createSession, createTurns } = require("./helpers");
+
+test("writes one record per turn with its trajectory and answer", () => {
+  const records = toDataset(createTurns(2).entries, { redact: false });
+  assert.strictEqual(records.length, 2);
+  const [first] = records;
+  assert.strictEqual(first.request, "Prompt 1");
+  assert.deepStrictEqual(first.trajectory.map((s) => s.tool), ["Grep", "Bash"]);
+  assert.strictEqual(first.answer, "Reply 1");
+  assert.deepStrictEqual(first.labels, { tool_calls: 2, tool_errors: 0, files_changed: [], answered: true, completed: true });
+});
+
+test("labels failed calls, changed files and turns left unanswered", () => {
+  const s = createSession();
+  s.user("Fix the bug");
+  s.tool("Edit", { file_path: "/p/src/a.js", old_string: "a", new_string: "b" });
+  s.tool("Write", { file_path: "/p/src/b.js", content: "b" }, "Permission denied", { isError: true });
+  s.tool("Bash", { command: "npm test" }, null);
+  const [record] = toDataset(s.entries, { redact: false });
+  assert.strictEqual(record.answer, null);
+  assert.deepStrictEqual(record.labels, { tool_calls: 3, tool_errors: 1, files_changed: ["/p/src/a.js"], answered: false, completed: false });
+  assert.strictEqual(toDataset(s.entries, { redact: false, skipErrorTurns: true }).length, 0);
+});
+
+test("skips text blocks without text", () => {
+  const s = createSession();
+  s.user("Hello");
+  s.assistant([{ type: "text" }, { type: "text", text: "Hi" }, { type: "text", text: null }]);
+  const [record] = toDataset(s.entries, { redact: false });
+  assert.strictEqual(record.answer, "Hi");
+});
+
+test("writes a turn carried over into a resumed session once", () => {
+  const first = createTurns(1);
+  const resumed = createTurns(1, { sessionId: "22222222-aaaa-bbbb-cccc-000000000002" });
+  assert.strictEqual(toDataset([...first.entries, ...resumed.entries], { redact: false }).length, 1);
+  assert.strictEqual(toDataset([...first.entries, ...resumed.entries], { redact: false, dedupe: false }).length, 2);
+});
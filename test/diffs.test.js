@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createChangeTracker, truncateDiff, unifiedDiff } = require("../scripts/lib/diffs");
+const { createSession } = require("./helpers");
+
+/** Feed `session` to a change tracker and build it, git HEAD being `head` (path -> text). */
+function changes(session, head = {}) {
+  const tracker = createChangeTracker();
+  for (const entry of session.entries) tracker.add(entry);
+  const built = tracker.build({ readBase: (p) => head[p] ?? null, label: (p) => p.replace("/p/", ""), maxLines: 100 });
+  return Object.fromEntries(built);
+}
+
+test("diffs two texts with context, merging nearby changes into one hunk", () => {
+  const before = "abcdefghijklmnop".split("").join("\n") + "\n";
+  const after = before.replace("b", "B").replace("g", "G") + "q\n";
+  assert.deepStrictEqual(unifiedDiff(before, after, "x.txt"), {
+    lines: [
+      "--- a/x.txt", "+++ b/x.txt",
+      "@@ -1,10 +1,10 @@", " a", "-b", "+B", " c", " d", " e", " f", "-g", "+G", " h", " i", " j",
+      "@@ -14,3 +14,4 @@", " n", " o", " p", "+q",
+    ],
+    added: 3,
+    removed: 2,
+  });
+  assert.deepStrictEqual(unifiedDiff(null, "x\n", "new.txt").lines, ["--- /dev/null", "+++ b/new.txt", "@@ -0,0 +1 @@", "+x"]);
+  assert.deepStrictEqual(unifiedDiff("x\n", "x\n", "same.txt").lines, []);
+});
+
+test("replays edits onto the first full Read", () => {
+  const s = createSession();
+  s.user("Rename b");
+  s.tool("Read", { file_path: "/p/a.js" }, "     1→const a = 1;\n     2→const b = 2;\n");
+  s.tool("Edit", { file_path: "/p/a.js", old_string: "const b", new_string: "const c" });
+  s.tool("Edit", { file_path: "/p/a.js", old_string: "missing", new_string: "x" }, "String not found", { isError: true });
+  assert.deepStrictEqual(changes(s)["/p/a.js"], {
+    base: "read",
+    status: "exact",
+    added: 1,
+    removed: 1,
+    diff: "--- a/a.js\n+++ b/a.js\n@@ -1,2 +1,2 @@\n const a = 1;\n-const b = 2;\n+const c = 2;",
+    unapplied_edits: undefined,
+  });
+});
+
+test("falls back to git HEAD, a new file, or standalone hunks", () => {
+  const s = createSession();
+  s.user("Change things");
+  s.tool("Edit", { file_path: "/p/tracked.js", old_string: "old", new_string: "new" });
+  s.tool("Edit", { file_path: "/p/tracked.js", old_string: "gone", new_string: "x" });
+  s.tool("Write", { file_path: "/p/created.js", content: "export {};\n" });
+  s.tool("Edit", { file_path: "/p/unknown.js", old_string: "x", new_string: "y" });
+  const result = changes(s, { "/p/tracked.js": "old\n" });
+
+  assert.strictEqual(result["/p/tracked.js"].base, "git");
+  assert.strictEqual(result["/p/tracked.js"].status, "approximate");
+  assert.strictEqual(result["/p/tracked.js"].unapplied_edits, 1);
+  assert.strictEqual(result["/p/tracked.js"].diff, "--- a/tracked.js\n+++ b/tracked.js\n@@ -1 +1 @@\n-old\n+new");
+  assert.deepStrictEqual([result["/p/created.js"].base, result["/p/created.js"].status], ["new", "exact"]);
+  assert.strictEqual(result["/p/unknown.js"].base, "none");
+  assert.strictEqual(result["/p/unknown.js"].diff, "--- a/unknown.js\n+++ b/unknown.js\n@@ edit 1 @@\n-x\n+y");
+});
+
+test("caps a diff at a hunk boundary", () => {
+  const diff = ["--- a/x", "+++ b/x", "@@ -1 +1 @@", "-a", "+b", "@@ -9 +9 @@", "-c", "+d"].join("\n");
+  assert.strictEqual(truncateDiff(diff, 8), diff);
+  assert.strictEqual(truncateDiff(diff, 7), ["--- a/x", "+++ b/x", "@@ -1 +1 @@", "-a", "+b", "... (diff truncated, 3 more lines)"].join("\n"));
+});
@@ -0,0 +1,122 @@
+/**
+ * Synthetic sessions for the tests: entries shaped like the lines of a
+ * Claude Code session file, built one call at a time. Each entry hangs off
+ * the previous one unless `parent` says otherwise, and is written a minute
+ * after it.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { indexBranches } = require("../scripts/lib/branches");
+const { encodeProjectPath } = require("../scripts/lib/project");
+
+const START = Date.parse("2026-10-18T10:00:00Z");
+
+function createSession({ sessionId = "11111111-aaaa-bbbb-cccc-000000000001", start = START } = {}) {
+  const entries = [];
+  let count = 0;
+  let last = null;
+  let time = start;
+  let messages = 0;
+
+  function push(entry, { parent = last, minutes = 1 } = {}) {
+    time += minutes * 60000;
+    const full = { uuid: `e${++count}`, parentUuid: parent, timestamp: new Date(time).toISOString(), sessionId, ...entry };
+    entries.push(full);
+    last = full.uuid;
+    return full;
+  }
+
+  return {
+    entries,
+    /** A user prompt (starts a turn). */
+    user(text, options) {
+      return push({ type: "user", message: { role: "user", content: [{ type: "text", text }] } }, options);
+    },
+    /** An assistant entry with these content blocks; `id` is its message.id (new by default). */
+    assistant(content, { id = `msg_${++messages}`, ...options } = {}) {
+      const message = { id, role: "assistant", model: "claude-sonnet-4-5", content };
+      return push({ type: "assistant", message }, options);
+    },
+    /** A tool call and, unless `result` is null, its result. Returns the tool_use entry. */
+    tool(name, input, result = "ok", { isError = false, ...options } = {}) {
+      const call = this.assistant([{ type: "tool_use", id: `toolu_${count + 1}`, name, input }], options);
+      if (result !== null) this.result(call, result, { isError });
+      return call;
+    },
+    /** The result of the tool call `call`, hanging off it. */
+    result(call, content = "ok", { isError = false } = {}) {
+      const block = { type: "tool_result", tool_use_id: call.message.content[0].id, content, is_error: isError };
+      return push({ type: "user", message: { role: "user", content: [block] } }, { parent: call.uuid });
+    },
+    text(text, options) {
+      return this.assistant([{ type: "text", text }], options);
+    },
+  };
+}
+
+/** A session of `turns` turns: each a prompt, a Grep, a Bash command and a reply. */
+function createTurns(turns, options) {
+  const session = createSession(options);
+  for (let turn = 1; turn <= turns; turn++) {
+    session.user(`Prompt ${turn}`, { minutes: 10 });
+    session.tool("Grep", { pattern: `pattern${turn}`, path: "src" }, "src/a.js:1: match");
+    session.tool("Bash", { command: `npm test -- ${turn}` }, `passed ${turn}`);
+    session.text(`Reply ${turn}`);
+  }
+  return session;
+}
+
+/** The entries as loadSession() would return them (one session, active branch, no subagents). */
+function loaded(session) {
+  const { entries } = session;
+  return {
+    id: entries[0].sessionId,
+    sessions: [],
+    multi: false,
+    allBranches: false,
+    entries,
+    branches: indexBranches(entries),
+    subagents: [],
+    [Symbol.iterator]: () => entries[Symbol.iterator](),
+  };
+}
+
+const toJsonl = (entries) => entries.map((e) => JSON.stringify(e) + "\n").join("");
+
+/**
+ * A project and a home directory under a new temporary directory, with
+ * Claude Code's session directory for the project. Sessions are written as
+ * writeSession(session) and subagent transcripts as writeSubagent(session,
+ * agentId, agentSession), in the nested layout. remove() deletes it all.
+ */
+function createProject() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "claude-export-test-"));
+  const projectPath = path.join(root, "project");
+  const home = path.join(root, "home");
+  const projectDir = path.join(home, ".claude", "projects", encodeProjectPath(projectPath));
+  fs.mkdirSync(projectPath);
+  fs.mkdirSync(projectDir, { recursive: true });
+  return {
+    root,
+    projectPath,
+    home,
+    projectDir,
+    writeSession(session) {
+      const file = path.join(projectDir, `${session.entries[0].sessionId}.jsonl`);
+      fs.writeFileSync(file, toJsonl(session.entries));
+      return file;
+    },
+    writeSubagent(session, agentId, agentSession) {
+      const dir = path.join(projectDir, session.entries[0].sessionId, "subagents");
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `agent-${agentId}.jsonl`);
+      fs.writeFileSync(file, toJsonl(agentSession.entries));
+      return file;
+    },
+    remove: () => fs.rmSync(root, { recursive: true, force: true }),
+  };
+}
+
+module.exports = { START, createSession, createTurns, loaded, toJsonl, createProject };
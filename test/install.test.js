@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { createProject } = require("./helpers");
+
+const REPO = path.join(__dirname, "..");
+const COMMAND = path.join(".claude", "commands", "export.md");
+
+/**
+ * A copy of the package to install from, so that a test can ship a "new
+ * version" of a file by editing it, and a project to install into.
+ */
+function setup(t) {
+  const project = createProject();
+  t.after(project.remove);
+  const src = path.join(project.root, "package");
+  for (const name of ["install.js", "package.json", "scripts", "commands"]) {
+    fs.cpSync(path.join(REPO, name), path.join(src, name), { recursive: true });
+  }
+  const run = (...args) => {
+    const result = spawnSync(process.execPath, [path.join(src, "install.js"), ...args], {
+      cwd: project.projectPath,
+      env: { ...process.env, HOME: project.home, USERPROFILE: project.home },
+      encoding: "utf8",
+      timeout: 30000,
+    });
+    assert.strictEqual(result.status, 0, result.stderr);
+    return result.stdout;
+  };
+  const installed = path.join(project.projectPath, COMMAND);
+  const shipped = path.join(src, "commands", "export.md");
+  /** Replace `from` with `to` in a file. */
+  const edit = (file, from, to) => fs.writeFileSync(file, fs.readFileSync(file, "utf8").replace(from, to));
+  return { run, installed, shipped, edit };
+}
+
+test("upgrades files as installed and keeps local changes the new version does not touch", (t) => {
+  const { run, installed, shipped, edit } = setup(t);
+  assert.match(run(), /\[\+\] \.claude\/commands\/export\.md/);
+
+  edit(shipped, /$/, "New line.\n");
+  assert.match(run("upgrade"), /\[~\] \.claude\/commands\/export\.md \(updated\)/);
+  assert.match(fs.readFileSync(installed, "utf8"), /New line\.\n$/);
+
+  edit(installed, /New line\./, "My line.");
+  assert.match(run("upgrade"), /\[=\] \.claude\/commands\/export\.md \(changed locally, kept; this version does not change it\)/);
+  assert.match(fs.readFileSync(installed, "utf8"), /My line\.\n$/);
+});
+
+test("merges a local change with the new version three-way", (t) => {
+  const { run, installed, shipped, edit } = setup(t);
+  run();
+  edit(installed, /^/, "My note.\n");
+  edit(shipped, /$/, "New line.\n");
+
+  assert.match(run("upgrade", "--merge"), /\[m\] \.claude\/commands\/export\.md \(merged, backup at /);
+  const merged = fs.readFileSync(installed, "utf8");
+  assert.strictEqual(merged, "My note.\n" + fs.readFileSync(shipped, "utf8"));
+});
+
+test("installs the new version over a conflicting change, keeping the local one as .orig", (t) => {
+  const { run, installed, shipped, edit } = setup(t);
+  run();
+  edit(installed, /$/, "My line.\n");
+  edit(shipped, /$/, "New line.\n");
+
+  const local = fs.readFileSync(installed, "utf8");
+  assert.match(run("upgrade", "--merge"), /\[!\] \.claude\/commands\/export\.md \(could not merge: conflicting changes;/);
+  assert.strictEqual(fs.readFileSync(installed, "utf8"), fs.readFileSync(shipped, "utf8"));
+  assert.strictEqual(fs.readFileSync(`${installed}.orig`, "utf8"), local);
+  assert.doesNotMatch(fs.readFileSync(installed, "utf8"), /<<<<<<<|>>>>>>>/);
+
+  edit(installed, /$/, "My line.\n");
+  edit(shipped, /$/, "Newer line.\n");
+  assert.match(run("upgrade", "--keep"), /\[k\] \.claude\/commands\/export\.md \(changed locally, kept\)/);
+  assert.match(fs.readFileSync(installed, "utf8"), /My line\.\n$/);
+});
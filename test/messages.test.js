@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { toMessages } = require("../scripts/lib");
+const { createSession, createTurns } = require("./helpers");
+
+test("alternates user and assistant, each tool call answered by its result", () => {
+  const { system, messages, tools } = toMessages(createTurns(1).entries, { provider: "anthropic", redact: false });
+  assert.match(system, /recorded in Claude Code/);
+  assert.deepStrictEqual(messages.map((m) => m.role), ["user", "assistant", "user", "assistant", "user", "assistant"]);
+  const [call] = messages[1].content;
+  assert.deepStrictEqual(messages[2].content, [{ type: "tool_result", tool_use_id: call.id, content: "src/a.js:1: match", is_error: false }]);
+  assert.deepStrictEqual(tools.map((t) => t.name), ["Grep", "Bash"]);
+  assert.deepStrictEqual(tools[0].input_schema.required, ["pattern", "path"]);
+});
+
+test("gives a tool call without a result an error result", () => {
+  const s = createSession();
+  s.user("Run it");
+  s.tool("Bash", { command: "npm test" }, null);
+  const { messages } = toMessages(s.entries, { provider: "anthropic", redact: false });
+  assert.strictEqual(messages.length, 3);
+  assert.strictEqual(messages[2].content[0].is_error, true);
+});
+
+test("keeps assistant content recorded as a plain string", () => {
+  const s = createSession();
+  s.user("Hello");
+  s.assistant("Hi there");
+  const anthropic = toMessages(s.entries, { provider: "anthropic", redact: false });
+  assert.deepStrictEqual(anthropic.messages[1], { role: "assistant", content: [{ type: "text", text: "Hi there" }] });
+  const openai = toMessages(s.entries, { provider: "openai", redact: false });
+  assert.deepStrictEqual(openai.messages.at(-1), { role: "assistant", content: "Hi there" });
+});
+
+test("turns tool calls into OpenAI function calls and tool messages", () => {
+  const { messages, tools } = toMessages(createTurns(1).entries, { provider: "openai", redact: false });
+  assert.strictEqual(messages[0].role, "system");
+  const call = messages[2].tool_calls[0];
+  assert.deepStrictEqual(call.function, { name: "Grep", arguments: JSON.stringify({ pattern: "pattern1", path: "src" }) });
+  assert.deepStrictEqual(messages[3], { role: "tool", tool_call_id: call.id, content: "src/a.js:1: match" });
+  assert.strictEqual(tools[0].type, "function");
+});
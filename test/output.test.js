@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { deliverExport, writeAttachments } = require("../scripts/lib/output");
+const { createAttachmentCollector } = require("../scripts/lib/attachments");
+const { createProject } = require("./helpers");
+
+const PNG = Buffer.from("not really a png").toString("base64");
+
+function tempDir(t) {
+  const project = createProject();
+  t.after(project.remove);
+  return project.root;
+}
+
+test("writes a file, gzipped with --gzip, creating its directory", (t) => {
+  const dir = tempDir(t);
+  const file = path.join(dir, "out", "chat.md");
+  assert.deepStrictEqual(deliverExport("# Chat\n", { file }), { target: file, bytes: 7, warning: null });
+  assert.strictEqual(fs.readFileSync(file, "utf8"), "# Chat\n");
+
+  const gzipped = deliverExport("# Chat\n", { file, gzip: true });
+  assert.strictEqual(gzipped.target, `${file}.gz`);
+  assert.strictEqual(zlib.gunzipSync(fs.readFileSync(gzipped.target)).toString("utf8"), "# Chat\n");
+});
+
+test("falls back to the file when there is no clipboard command", (t) => {
+  const dir = tempDir(t);
+  const file = path.join(dir, "chat.md");
+  const saved = { PATH: process.env.PATH, DISPLAY: process.env.DISPLAY, WAYLAND_DISPLAY: process.env.WAYLAND_DISPLAY };
+  t.after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+  process.env.PATH = dir;
+  delete process.env.DISPLAY;
+  delete process.env.WAYLAND_DISPLAY;
+
+  const result = deliverExport("# Chat\n", { file, clipboard: true });
+  assert.strictEqual(result.target, file);
+  assert.match(result.warning, /^Could not copy to the clipboard: no clipboard command found \(tried: .*\)\. Writing a file instead\.$/);
+  assert.strictEqual(fs.readFileSync(file, "utf8"), "# Chat\n");
+});
+
+test("writes the linked images next to the export once", (t) => {
+  const dir = tempDir(t);
+  const images = createAttachmentCollector({ dir: "chat_assets" });
+  const block = { type: "image", source: { type: "base64", media_type: "image/png", data: PNG } };
+  assert.strictEqual(images.add(block), "chat_assets/image-001.png");
+  assert.strictEqual(images.add(block), "chat_assets/image-001.png");
+
+  assert.strictEqual(writeAttachments(images, dir), 1);
+  const file = path.join(dir, "chat_assets", "image-001.png");
+  assert.strictEqual(fs.readFileSync(file, "utf8"), "not really a png");
+
+  // Already there at the same size: left alone.
+  const mtime = new Date(0);
+  fs.utimesSync(file, mtime, mtime);
+  assert.strictEqual(writeAttachments(images, dir), 1);
+  assert.strictEqual(fs.statSync(file).mtimeMs, 0);
+  assert.strictEqual(writeAttachments(createAttachmentCollector(), dir), 0);
+  assert.strictEqual(writeAttachments(null, dir), 0);
+});
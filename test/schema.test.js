@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { toHandoff, validateHandoff, HANDOFF_VERSION } = require("../scripts/lib");
+const { createSession, createTurns } = require("./helpers");
+
+test("a fresh handoff is valid for the current version", () => {
+  const result = validateHandoff(toHandoff(createTurns(2).entries, { redact: false, prices: null }));
+  assert.deepStrictEqual(result, { version: HANDOFF_VERSION, schemaVersion: HANDOFF_VERSION, errors: [], warnings: [] });
+});
+
+test("list sections are present, empty, when the session has nothing for them", () => {
+  const s = createSession();
+  s.user("Hello");
+  s.text("Hi");
+  const handoff = toHandoff(s.entries, { redact: false, prices: null });
+  for (const key of ["changes", "files_read", "errors", "actions", "subagents", "compactions", "abandoned_branches", "attachments"]) {
+    assert.deepStrictEqual(handoff[key], [], key);
+  }
+  assert.deepStrictEqual(validateHandoff(handoff).errors, []);
+});
+
+test("reports missing fields and wrong types by path", () => {
+  const handoff = toHandoff(createTurns(1).entries, { redact: false, prices: null });
+  delete handoff.errors;
+  handoff.actions = {};
+  const { errors } = validateHandoff(handoff);
+  assert.ok(errors.includes("/errors: is required"), errors.join("\n"));
+  assert.ok(errors.some((e) => e.startsWith("/actions: ")), errors.join("\n"));
+});
+
+test("warns on an older version and rejects an unknown one", () => {
+  const handoff = toHandoff(createTurns(1).entries, { redact: false, prices: null });
+  handoff._version = "2.2";
+  const older = validateHandoff(handoff);
+  assert.strictEqual(older.schemaVersion, "2.2");
+  assert.strictEqual(older.warnings.length, 1);
+
+  handoff._version = "9.9";
+  const unknown = validateHandoff(handoff);
+  assert.deepStrictEqual(unknown.warnings, []);
+  assert.ok(unknown.errors.length > 0);
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseSearchPattern, parseScopes, searchSession } = require("../scripts/lib/search");
+const { createSession, createTurns } = require("./helpers");
+
+const where = (result) => result.hits.map((h) => `${h.turn}:${h.scope}${h.tool ? `:${h.tool}` : ""}`);
+
+test("parses patterns and scopes", () => {
+  assert.deepStrictEqual(parseSearchPattern("Auth.*bug"), /Auth.*bug/i);
+  assert.deepStrictEqual(parseSearchPattern("/Auth/g"), /Auth/);
+  assert.throws(() => parseSearchPattern("("), /Invalid search pattern/);
+  assert.deepStrictEqual(parseScopes("prompts, Results"), ["prompts", "results"]);
+  assert.deepStrictEqual(parseScopes("all"), ["prompts", "assistant", "tools", "results"]);
+  assert.throws(() => parseScopes("prompts,replies"), /Unknown search scope: replies/);
+});
+
+test("finds a pattern by scope and tool, numbering turns as exported", () => {
+  const { entries } = createTurns(3);
+  assert.deepStrictEqual(where(searchSession(entries, { pattern: /2/ })), ["2:prompts", "2:tools:Grep", "2:tools:Bash", "2:assistant"]);
+  assert.deepStrictEqual(where(searchSession(entries, { pattern: /passed/, scopes: ["results"] })), ["1:results:Bash", "2:results:Bash", "3:results:Bash"]);
+  assert.deepStrictEqual(where(searchSession(entries, { pattern: /3/, tool: "Bash", scopes: ["tools", "results"] })), ["3:tools:Bash", "3:results:Bash"]);
+
+  const result = searchSession(entries, { pattern: /Prompt/, maxHits: 1 });
+  assert.strictEqual(result.hitCount, 3);
+  assert.deepStrictEqual(result.hits[0].snippet, { before: "", match: "Prompt", after: " 1" });
+});
+
+test("--file keeps sessions that edited the file, the edits being the hits", () => {
+  const s = createTurns(1);
+  s.user("Fix a.js");
+  s.tool("Edit", { file_path: "/p/src/a.js", old_string: "a", new_string: "b" });
+  assert.deepStrictEqual(where(searchSession(s.entries, { file: "src/a.js" })), ["2:edit:Edit"]);
+  assert.deepStrictEqual(where(searchSession(s.entries, { file: "./src/a.js", pattern: /Reply/ })), ["1:assistant"]);
+  assert.strictEqual(searchSession(s.entries, { file: "src/b.js", pattern: /Reply/ }).hitCount, 0);
+});
+
+test("searches the subagent transcripts a Task call ran, under its turn", () => {
+  const s = createTurns(1);
+  s.user("Split the module");
+  const task = s.tool("Task", { description: "Split", prompt: "Move b out of a.js" }, null);
+  const agent = createSession({ sessionId: s.entries[0].sessionId });
+  agent.user("Move b out of a.js");
+  agent.tool("Write", { file_path: "/p/src/b.js", content: "export const b = 1;" });
+  agent.text("Created src/b.js");
+  s.result(task, "Done").toolUseResult = { agentId: "a1" };
+  const subagents = [{ agentId: "a1", file: "/sessions/agent-a1.jsonl", entries: agent.entries }];
+
+  assert.strictEqual(searchSession(s.entries, { file: "src/b.js" }).hitCount, 0);
+  assert.deepStrictEqual(where(searchSession(s.entries, { file: "src/b.js", subagents })), ["2:edit:Write"]);
+  assert.deepStrictEqual(where(searchSession(s.entries, { pattern: /export const/, subagents })), ["2:tools:Write"]);
+  // The subagent's prompt is the Task call's input, so it is not a prompt hit of its own.
+  assert.deepStrictEqual(where(searchSession(s.entries, { pattern: /Move b/, subagents })), ["2:tools:Task"]);
+});
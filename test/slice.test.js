@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { SLICE_START, sliceSession, sliceLoadedSession } = require("../scripts/lib/slice");
+const { parseDateOption } = require("../scripts/lib/sessions");
+const { START, createTurns, loaded } = require("./helpers");
+
+const prompts = (entries) => [...entries]
+  .filter((e) => e.type === "user" && e.message.content[0].type === "text")
+  .map((e) => e.message.content[0].text);
+
+// createTurns(): each turn takes 5 minutes and starts 10 minutes after the previous one.
+const turnStart = (turn) => START + ((turn - 1) * 15 + 10) * 60000;
+
+test("keeps the turns in range and summarizes the ones before", () => {
+  const session = createTurns(5);
+  const { entries, slice } = sliceSession(session.entries, { fromTurn: 2, toTurn: 3 });
+  const sliced = [...entries];
+  assert.strictEqual(sliced[0].type, SLICE_START);
+  assert.deepStrictEqual(prompts(sliced), ["Prompt 2", "Prompt 3"]);
+  assert.deepStrictEqual(slice, {
+    fromTurn: 2,
+    toTurn: 3,
+    totalTurns: 5,
+    sessionTurn: 2,
+    before: { turns: 1, toolCalls: 2, filesChanged: [], started: new Date(turnStart(1)).toISOString() },
+  });
+});
+
+test("combines --last-turns and --turns-since with the turn range", () => {
+  const session = createTurns(5);
+  assert.deepStrictEqual(prompts(sliceSession(session.entries, { lastTurns: 2 }).entries), ["Prompt 4", "Prompt 5"]);
+  assert.deepStrictEqual(prompts(sliceSession(session.entries, { since: turnStart(3) }).entries), ["Prompt 3", "Prompt 4", "Prompt 5"]);
+  assert.deepStrictEqual(prompts(sliceSession(session.entries, { since: turnStart(2), toTurn: 3 }).entries), ["Prompt 2", "Prompt 3"]);
+});
+
+test("throws when no turn is in range", () => {
+  const session = createTurns(3);
+  assert.throws(() => sliceSession(session.entries, { fromTurn: 4 }), /has 3 turns; turn 4 does not exist/);
+  assert.throws(() => sliceSession(session.entries, { since: turnStart(3) + 1 }), /No turns in the requested range/);
+});
+
+test("--since and --until select sessions and never slice turns", () => {
+  const session = loaded(createTurns(5));
+  const opts = { since: turnStart(4), until: turnStart(5), fromTurn: null, toTurn: null, lastTurns: null, turnsSince: null };
+  assert.strictEqual(sliceLoadedSession(session, opts), session);
+});
+
+test("--turns-since slices a loaded session, durations counting back from now", () => {
+  const session = loaded(createTurns(5));
+  const since = parseDateOption("10m", false, turnStart(5) + 5 * 60000);
+  const sliced = sliceLoadedSession(session, { turnsSince: since });
+  assert.deepStrictEqual(prompts(sliced), ["Prompt 5"]);
+  assert.strictEqual(sliced.slice.fromTurn, 5);
+  assert.strictEqual(sliced.branches, session.branches);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createTimingTracker, formatDuration } = require("../scripts/lib/timing");
+const { SESSION_START } = require("../scripts/lib/sessions");
+const { createTurns } = require("./helpers");
+
+const MINUTE = 60000;
+
+function timing(entries) {
+  const tracker = createTimingTracker();
+  entries.forEach(tracker.add);
+  return tracker.summary();
+}
+
+test("splits each turn into model and tool time, leaving out idle gaps", () => {
+  // Each turn: a prompt 10 minutes after the last, then an entry a minute for 5 minutes.
+  const summary = timing(createTurns(2).entries);
+  assert.strictEqual(summary.wall, 20 * MINUTE);
+  assert.deepStrictEqual(summary.idleGaps.map((g) => [g.afterTurn, g.ms]), [[1, 10 * MINUTE]]);
+  assert.strictEqual(summary.active, 10 * MINUTE);
+  assert.deepStrictEqual(summary.turns.map((t) => [t.turn, t.wall, t.model, t.tools, t.calls]), [
+    [1, 5 * MINUTE, 3 * MINUTE, 2 * MINUTE, 2],
+    [2, 5 * MINUTE, 3 * MINUTE, 2 * MINUTE, 2],
+  ]);
+  assert.deepStrictEqual(summary.slowest[0], { turn: 1, tool: "Grep", target: "pattern1", ms: MINUTE });
+});
+
+test("counts the gap between sessions as idle and skips subagent entries", () => {
+  const first = createTurns(1).entries;
+  // The second session starts (its prompt) a minute after the first ends.
+  const second = createTurns(1, { start: Date.parse(first.at(-1).timestamp) - 9 * MINUTE }).entries;
+  const sidechain = { ...first[1], isSidechain: true, timestamp: new Date(Date.parse(first[0].timestamp) + 30 * MINUTE).toISOString() };
+
+  const summary = timing([
+    { type: SESSION_START, index: 1, total: 2 }, ...first.slice(0, 2), sidechain, ...first.slice(2),
+    { type: SESSION_START, index: 2, total: 2 }, ...second,
+  ]);
+  assert.deepStrictEqual(summary.idleGaps.map((g) => g.ms), [MINUTE]);
+  assert.deepStrictEqual(summary.turns.map((t) => t.wall), [5 * MINUTE, 5 * MINUTE]);
+});
+
+test("formats durations at a precision for their size", () => {
+  assert.deepStrictEqual([800, 41000, 182000, 7980000].map(formatDuration), ["0.8s", "41s", "3m 02s", "2h 13m"]);
+});
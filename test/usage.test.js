@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { resolvePrices, createUsageTracker } = require("../scripts/lib/usage");
+const { createSession } = require("./helpers");
+
+const USAGE = { input_tokens: 1000, output_tokens: 100, cache_creation_input_tokens: 2000, cache_read_input_tokens: 7000 };
+
+/** An assistant response of `blocks` text blocks, one entry each, sharing a message id and usage. */
+function respond(session, id, blocks = 1, usage = USAGE, model = "claude-sonnet-4-5") {
+  for (let i = 0; i < blocks; i++) {
+    const { message } = session.assistant([{ type: "text", text: `${id} ${i}` }], { id });
+    Object.assign(message, { model, usage });
+  }
+}
+
+test("counts a response split over several entries once and prices it", () => {
+  const s = createSession();
+  s.user("Prompt 1");
+  respond(s, "msg_a", 3);
+  const usage = createUsageTracker();
+  s.entries.forEach(usage.add);
+
+  const summary = usage.summary(resolvePrices());
+  assert.strictEqual(summary.responses, 1);
+  assert.deepStrictEqual(summary.tokens, { input: 1000, output: 100, cacheWrite: 2000, cacheWrite1h: 0, cacheRead: 7000 });
+  assert.strictEqual(summary.cacheHitRatio, 0.7);
+  // claude-sonnet-4: 3 in, 15 out, 3.75 cache write, 0.3 cache read per million tokens.
+  assert.strictEqual(summary.cost.toFixed(6), ((1000 * 3 + 100 * 15 + 2000 * 3.75 + 7000 * 0.3) / 1e6).toFixed(6));
+  assert.deepStrictEqual(summary.unpriced, []);
+});
+
+test("attributes subagent work to the turn running at the time", () => {
+  const s = createSession();
+  s.user("Prompt 1");
+  respond(s, "msg_1");
+  s.user("Prompt 2");
+  respond(s, "msg_2", 1, { ...USAGE, output_tokens: 5000 });
+  // Working while turn 1 runs.
+  const agent = createSession({ start: Date.parse(s.entries[0].timestamp) });
+  respond(agent, "msg_agent", 1, { input_tokens: 10 });
+
+  const usage = createUsageTracker();
+  s.entries.forEach(usage.add);
+  usage.addTranscript(agent.entries);
+  const summary = usage.summary(resolvePrices());
+  assert.strictEqual(summary.responses, 3);
+  assert.deepStrictEqual(summary.topTurns.map((t) => [t.turn, t.tokens]), [[2, 15000], [1, 10110]]);
+});
+
+test("merges configured prices by longest model prefix and rejects bad ones", () => {
+  const s = createSession();
+  s.user("Prompt 1");
+  respond(s, "msg_1", 1, { input_tokens: 1e6 });
+  respond(s, "msg_2", 1, { input_tokens: 1e6 }, "other-model");
+  const usage = createUsageTracker();
+  s.entries.forEach(usage.add);
+
+  const summary = usage.summary(resolvePrices({ "claude-sonnet-4-5": { input: 1, output: 2 } }));
+  assert.strictEqual(summary.cost, 1);
+  assert.deepStrictEqual(summary.unpriced, ["other-model"]);
+  assert.deepStrictEqual(summary.models.map((m) => [m.model, m.cost]), [["claude-sonnet-4-5", 1], ["other-model", null]]);
+
+  assert.throws(() => resolvePrices({ x: { input: 1 } }), /prices\["x"\]\.output must be a non-negative number/);
+  assert.throws(() => resolvePrices({ x: { input: 1, output: 1, cached: 1 } }), /unknown field "cached"/);
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { createJsonlTail } = require("../scripts/lib/jsonl");
+const { createLiveSession, watchSession } = require("../scripts/lib/watch");
+const { createSession, createTurns, createProject, toJsonl } = require("./helpers");
+
+test("a tail reads only what was appended, waiting for a line's end", (t) => {
+  const project = createProject();
+  t.after(project.remove);
+  const file = path.join(project.root, "tail.jsonl");
+  fs.writeFileSync(file, '{"n":1}\n{"n":');
+  const tail = createJsonlTail(file, 4);
+  assert.strictEqual(tail.read(), 1);
+  fs.appendFileSync(file, "2}\n");
+  assert.strictEqual(tail.read(), 1);
+  assert.strictEqual(tail.read(), 0);
+  assert.deepStrictEqual(tail.entries, [{ n: 1 }, { n: 2 }]);
+
+  // Rewritten shorter: read from the start again.
+  fs.writeFileSync(file, '{"n":3}\n');
+  assert.strictEqual(tail.read(), 1);
+  assert.deepStrictEqual(tail.entries, [{ n: 3 }]);
+});
+
+test("a live session picks up appended entries and subagent transcripts", (t) => {
+  const project = createProject();
+  t.after(project.remove);
+  const s = createTurns(1);
+  const file = project.writeSession(s);
+  const live = createLiveSession({ id: s.entries[0].sessionId, file });
+  assert.strictEqual(live.update(), s.entries.length);
+  assert.strictEqual(live.changed(), false);
+
+  const agent = createSession({ sessionId: s.entries[0].sessionId });
+  agent.user("Look around");
+  agent.text("Found it");
+  project.writeSubagent(s, "a1", agent);
+  assert.strictEqual(live.changed(), true);
+  assert.strictEqual(live.update(), 2);
+  assert.deepStrictEqual(live.snapshot().subagents.map((a) => [a.agentId, a.entries.length]), [["a1", 2]]);
+
+  s.user("Prompt 2");
+  fs.appendFileSync(file, toJsonl(s.entries.slice(-1)));
+  assert.strictEqual(live.update(), 1);
+  const snapshot = live.snapshot();
+  assert.strictEqual(snapshot.entries.length, s.entries.length);
+  assert.strictEqual(snapshot.sessions[0].end, Date.parse(s.entries.at(-1).timestamp));
+});
+
+test("watching calls back at the start and after an append", async (t) => {
+  const project = createProject();
+  t.after(project.remove);
+  const s = createTurns(1);
+  const file = project.writeSession(s);
+  const updates = [];
+  let timer;
+  const done = new Promise((resolve, reject) => {
+    const watcher = watchSession({
+      session: { id: s.entries[0].sessionId, file },
+      debounceMs: 10,
+      onUpdate(snapshot, { added }) {
+        updates.push(added);
+        if (updates.length === 1) {
+          s.text("Later");
+          fs.appendFileSync(file, toJsonl(s.entries.slice(-1)));
+        } else {
+          watcher.close();
+          resolve();
+        }
+      },
+      onError: reject,
+    });
+    timer = setTimeout(() => {
+      watcher.close();
+      reject(new Error("no update after the append"));
+    }, 10000);
+  });
+  await done.finally(() => clearTimeout(timer));
+  assert.deepStrictEqual(updates, [s.entries.length - 1, 1]);
+});